@@ -7,6 +7,7 @@ const config = {
   disableHotReload: process.env.DISABLE_HOT_RELOAD === "true",
   enableVisualEdits: process.env.REACT_APP_ENABLE_VISUAL_EDITS === "true",
   enableHealthCheck: process.env.ENABLE_HEALTH_CHECK === "true",
+  enableMockApi: process.env.ENABLE_MOCK_API === "true",
 };
 
 // Conditionally load visual editing modules only if enabled
@@ -29,6 +30,13 @@ if (config.enableHealthCheck) {
   healthPluginInstance = new WebpackHealthPlugin();
 }
 
+// Conditionally load the mock backend only if enabled
+let setupMockEndpoints;
+
+if (config.enableMockApi) {
+  setupMockEndpoints = require("./plugins/mock-backend/mock-endpoints");
+}
+
 const webpackConfig = {
   webpack: {
     alias: {
@@ -80,8 +88,8 @@ if (config.enableVisualEdits) {
   };
 }
 
-// Setup dev server with visual edits and/or health check
-if (config.enableVisualEdits || config.enableHealthCheck) {
+// Setup dev server with visual edits, health check and/or mock backend
+if (config.enableVisualEdits || config.enableHealthCheck || config.enableMockApi) {
   webpackConfig.devServer = (devServerConfig) => {
     // Apply visual edits dev server setup if enabled
     if (config.enableVisualEdits && setupDevServer) {
@@ -105,6 +113,21 @@ if (config.enableVisualEdits || config.enableHealthCheck) {
       };
     }
 
+    // Serve the mock backend at /mock-api if enabled
+    if (config.enableMockApi && setupMockEndpoints) {
+      const originalSetupMiddlewares = devServerConfig.setupMiddlewares;
+
+      devServerConfig.setupMiddlewares = (middlewares, devServer) => {
+        if (originalSetupMiddlewares) {
+          middlewares = originalSetupMiddlewares(middlewares, devServer);
+        }
+
+        setupMockEndpoints(devServer);
+
+        return middlewares;
+      };
+    }
+
     return devServerConfig;
   };
 }
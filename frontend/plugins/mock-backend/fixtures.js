@@ -0,0 +1,203 @@
+// fixtures.js
+// Default seed data for the mock OnFire backend: two groups with a mix of
+// open, in-progress and completed tasks, and payouts for the completed ones
+
+const USERS = {
+  alex: "11111111-1111-4111-8111-111111111111",
+  sam: "22222222-2222-4222-8222-222222222222",
+  jordan: "33333333-3333-4333-8333-333333333333",
+};
+
+const CONVERSATIONS = {
+  family: "aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa",
+  roommates: "bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb",
+};
+
+const DISPLAY_ID = "dddddddd-dddd-4ddd-8ddd-dddddddddddd";
+
+// Every mock account signs in with this password
+const MOCK_PASSWORD = "onfire";
+
+/**
+ * Build the default fixtures with timestamps relative to `now`, so due
+ * dates and "completed today" summaries stay meaningful whenever it runs.
+ * @param {Date} now
+ * @returns {Object} tables keyed by name, plus `passwords` (email -> password)
+ */
+function createFixtures(now = new Date()) {
+  const at = (hours) => new Date(now.getTime() + hours * 3600 * 1000).toISOString();
+
+  const users = [
+    { id: USERS.alex, email: "alex@example.com", username: "alex", first_name: "Alex", last_name: "Rivera" },
+    { id: USERS.sam, email: "sam@example.com", username: "sam", first_name: "Sam", last_name: "Lee" },
+    { id: USERS.jordan, email: "jordan@example.com", username: "jordan", first_name: "Jordan", last_name: "Kim" },
+  ];
+
+  const task = (id, fields) => ({
+    id,
+    title: "",
+    description: "",
+    status: "not_started",
+    priority: "medium",
+    cover_image_url: null,
+    attachment_urls: [],
+    assignee_user_ids: [],
+    completed_by_user_id: null,
+    progress_percentage: 0,
+    recurrence_rule: null,
+    due_date: null,
+    chat_id: CONVERSATIONS.family,
+    estimated_time_minutes: 15,
+    created_by_user_id: USERS.alex,
+    budget_cost: 10,
+    created_at: at(-72),
+    updated_at: at(-72),
+    ...fields,
+  });
+
+  const tasks = [
+    task("c0000000-0000-4000-8000-000000000001", {
+      title: "Empty the dishwasher",
+      priority: "high",
+      assignee_user_ids: [USERS.sam],
+      due_date: at(3),
+      budget_cost: 15,
+    }),
+    task("c0000000-0000-4000-8000-000000000002", {
+      title: "Walk the dog",
+      description: "Around the park, at least 20 minutes",
+      status: "in_progress",
+      progress_percentage: 40,
+      assignee_user_ids: [USERS.jordan],
+      recurrence_rule: "FREQ=DAILY",
+      budget_cost: 20,
+      updated_at: at(-2),
+    }),
+    task("c0000000-0000-4000-8000-000000000003", {
+      title: "Take out the recycling",
+      priority: "urgent",
+      due_date: at(-5),
+      budget_cost: 10,
+    }),
+    task("c0000000-0000-4000-8000-000000000004", {
+      title: "Water the plants",
+      priority: "low",
+      recurrence_rule: "FREQ=WEEKLY;BYDAY=MO,TH",
+      budget_cost: 5,
+    }),
+    task("c0000000-0000-4000-8000-000000000005", {
+      title: "Vacuum the living room",
+      status: "completed",
+      progress_percentage: 100,
+      completed_by_user_id: USERS.sam,
+      budget_cost: 25,
+      updated_at: at(-1),
+    }),
+    task("c0000000-0000-4000-8000-000000000006", {
+      title: "Fold the laundry",
+      status: "completed",
+      progress_percentage: 100,
+      completed_by_user_id: USERS.jordan,
+      budget_cost: 15,
+      updated_at: at(-30),
+    }),
+    task("c0000000-0000-4000-8000-000000000007", {
+      title: "Buy groceries",
+      chat_id: CONVERSATIONS.roommates,
+      created_by_user_id: USERS.sam,
+      assignee_user_ids: [USERS.alex],
+      due_date: at(20),
+      budget_cost: 30,
+    }),
+    task("c0000000-0000-4000-8000-000000000008", {
+      title: "Clean the bathroom",
+      chat_id: CONVERSATIONS.roommates,
+      created_by_user_id: USERS.sam,
+      status: "blocked",
+      description: "Waiting for new cleaning supplies",
+      budget_cost: 40,
+    }),
+  ];
+
+  const payout = (id, taskRow, hoursAgo) => ({
+    id,
+    transaction_type: "send",
+    status: "completed",
+    from_user_id: taskRow.created_by_user_id,
+    to_user_id: taskRow.completed_by_user_id,
+    amount: taskRow.budget_cost,
+    currency: "PRF",
+    fee: 0,
+    net_amount: taskRow.budget_cost,
+    related_entity_type: "task",
+    description: `Payment for completing task: ${taskRow.title}`,
+    notes: "",
+    metadata: {
+      task_id: taskRow.id,
+      idempotency_key: `complete:${taskRow.id}:${taskRow.completed_by_user_id}:initial`,
+    },
+    created_at: at(-hoursAgo),
+  });
+
+  const transactions = [
+    payout("e0000000-0000-4000-8000-000000000001", tasks[4], 1),
+    payout("e0000000-0000-4000-8000-000000000002", tasks[5], 30),
+  ];
+
+  const participant = (conversationId, user, role = "member") => ({
+    conversation_id: conversationId,
+    user_id: user.id,
+    first_name: user.first_name,
+    last_name: user.last_name,
+    username: user.username,
+    avatar_url: null,
+    role,
+  });
+
+  return {
+    users,
+    user_profiles: users.map((user) => ({
+      user_id: user.id,
+      display_name: `${user.first_name} ${user.last_name}`,
+      profile_photo_url: null,
+    })),
+    conversations: [
+      {
+        id: CONVERSATIONS.family,
+        name: "Family Chores",
+        conversation_type: "group",
+        status: "active",
+        description: "Everything that keeps the house running",
+        avatar: null,
+        message_count: 42,
+        last_message_at: at(-1),
+        created_at: at(-24 * 30),
+      },
+      {
+        id: CONVERSATIONS.roommates,
+        name: "Roommates",
+        conversation_type: "group",
+        status: "active",
+        description: null,
+        avatar: null,
+        message_count: 7,
+        last_message_at: at(-6),
+        created_at: at(-24 * 10),
+      },
+    ],
+    conversation_participants_extended: [
+      participant(CONVERSATIONS.family, users[0], "admin"),
+      participant(CONVERSATIONS.family, users[1]),
+      participant(CONVERSATIONS.family, users[2]),
+      participant(CONVERSATIONS.roommates, users[0]),
+      participant(CONVERSATIONS.roommates, users[1], "admin"),
+    ],
+    tasks,
+    transactions,
+    displays: [{ id: DISPLAY_ID, name: "Kitchen Display", owner_user_id: USERS.alex }],
+    conversation_settings: [],
+    passwords: Object.fromEntries(users.map((user) => [user.email, MOCK_PASSWORD])),
+  };
+}
+
+module.exports = { createFixtures, USERS, CONVERSATIONS, DISPLAY_ID, MOCK_PASSWORD };
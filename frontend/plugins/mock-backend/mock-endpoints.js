@@ -0,0 +1,36 @@
+// mock-endpoints.js
+// Mounts the mock OnFire backend on the dev server at /mock-api, with
+// realtime updates over WebSocket at /mock-api/realtime
+
+const { createMockBackend, loadFixturesFile } = require("./mock-server");
+
+/**
+ * Setup the mock backend on the dev server
+ * @param {Object} devServer - Webpack dev server instance
+ */
+function setupMockEndpoints(devServer) {
+  if (!devServer || !devServer.app) {
+    console.warn("[Mock API] Dev server not available, skipping mock backend");
+    return;
+  }
+
+  const fixturesPath = process.env.MOCK_FIXTURES;
+  const backend = createMockBackend({
+    fixtures: fixturesPath ? loadFixturesFile(fixturesPath) : null,
+    qrAutoConfirmMs: Number(process.env.MOCK_QR_AUTO_CONFIRM_MS || 0),
+  });
+
+  devServer.app.use("/mock-api", backend.handle);
+  console.log("[Mock API] Mock backend available at /mock-api");
+
+  // setupMiddlewares runs before the HTTP server exists; attach the
+  // WebSocket endpoint once it is listening
+  const { onListening } = devServer.options;
+  devServer.options.onListening = (server) => {
+    backend.realtime.attach(server.server, "/mock-api/realtime");
+    console.log("[Mock API] Realtime updates available at /mock-api/realtime");
+    if (onListening) onListening(server);
+  };
+}
+
+module.exports = setupMockEndpoints;
@@ -0,0 +1,120 @@
+// mock-realtime.js
+// WebSocket side of the mock OnFire backend: pushes row changes to
+// subscribed displays in the shape src/services/realtime.js expects.
+//
+// A client subscribes with
+//   { type: "subscribe", access_token, conversation_id, tables: ["tasks", ...] }
+// or, before signing in, to its QR login session with
+//   { type: "subscribe", qr_code, tables: ["qr_sessions"] }
+// and then receives { table, event: "INSERT" | "UPDATE" | "DELETE", record, old_record }.
+
+const { WebSocketServer } = require("ws");
+
+const QR_TABLE = "qr_sessions";
+
+/**
+ * @param {Object} options
+ * @param {(token: string) => string|null} options.authenticate user id for an access token
+ * @param {(userId: string, conversationId: string) => boolean} options.canSee conversation membership check
+ * @param {Function} [options.log]
+ * @returns {{ publish: Function, attach: Function, close: Function }}
+ */
+function createRealtimeHub({ authenticate, canSee, log = console.log }) {
+  const wss = new WebSocketServer({ noServer: true });
+  // socket -> { conversationId, qrCode, tables }
+  const subscriptions = new Map();
+
+  const send = (socket, message) => {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+  };
+
+  const reject = (socket, message) => {
+    send(socket, { type: "error", code: "PGRST301", message });
+    socket.close(4001, message);
+  };
+
+  /**
+   * Validate a subscribe message and remember what the socket wants
+   * @param {import('ws').WebSocket} socket
+   * @param {Object} message
+   */
+  const subscribe = (socket, message) => {
+    const tables = Array.isArray(message.tables) ? message.tables : [];
+
+    // A display waiting for its QR login has no token yet
+    if (message.qr_code && tables.length > 0 && tables.every((table) => table === QR_TABLE)) {
+      subscriptions.set(socket, { conversationId: null, qrCode: message.qr_code, tables });
+      send(socket, { type: "subscribed", qr_code: message.qr_code, tables });
+      return;
+    }
+
+    const userId = message.access_token ? authenticate(message.access_token) : null;
+    if (!userId) {
+      reject(socket, "JWT expired");
+      return;
+    }
+    if (!message.conversation_id || !canSee(userId, message.conversation_id)) {
+      reject(socket, "Not a participant of this conversation");
+      return;
+    }
+
+    subscriptions.set(socket, { conversationId: message.conversation_id, qrCode: null, tables });
+    send(socket, { type: "subscribed", conversation_id: message.conversation_id, tables });
+    log(`[Mock API] Realtime subscription to ${message.conversation_id}: ${tables.join(", ")}`);
+  };
+
+  wss.on("connection", (socket) => {
+    socket.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        send(socket, { type: "error", code: "PGRST100", message: "Malformed message" });
+        return;
+      }
+      if (message?.type === "subscribe") subscribe(socket, message);
+    });
+    socket.on("close", () => subscriptions.delete(socket));
+  });
+
+  /**
+   * Push a row change to the sockets subscribed to it
+   * @param {string} table table name as clients subscribe to it
+   * @param {"INSERT"|"UPDATE"|"DELETE"} event
+   * @param {Object|null} record
+   * @param {Object|null} oldRecord
+   * @param {{ conversationId?: string, qrCode?: string }} scope who may see the change
+   */
+  const publish = (table, event, record, oldRecord, { conversationId = null, qrCode = null }) => {
+    subscriptions.forEach((subscription, socket) => {
+      if (!subscription.tables.includes(table)) return;
+      const matches = conversationId
+        ? subscription.conversationId === conversationId
+        : qrCode && subscription.qrCode === qrCode;
+      if (matches) send(socket, { table, event, record, old_record: oldRecord });
+    });
+  };
+
+  /**
+   * Accept WebSocket upgrades for `path` on an HTTP server; other upgrades
+   * (e.g. the dev server's hot reload socket) are left to their handlers
+   * @param {import('http').Server} server
+   * @param {string} path
+   */
+  const attach = (server, path) => {
+    server.on("upgrade", (req, socket, head) => {
+      if (new URL(req.url, "http://mock.local").pathname !== path) return;
+      wss.handleUpgrade(req, socket, head, (client) => wss.emit("connection", client, req));
+    });
+  };
+
+  // Drop every client, e.g. when a test shuts the server down
+  const close = () => {
+    wss.clients.forEach((client) => client.terminate());
+    subscriptions.clear();
+  };
+
+  return { publish, attach, close };
+}
+
+module.exports = { createRealtimeHub };
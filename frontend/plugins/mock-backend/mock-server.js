@@ -0,0 +1,503 @@
+// mock-server.js
+// Mock OnFire backend: an in-memory PostgREST look-alike serving the
+// endpoints the display uses, so the HUD can be developed and tested
+// end to end without network access or real accounts.
+//
+// Runs inside the dev server at /mock-api when ENABLE_MOCK_API=true (see
+// craco.config.js), or on its own via standalone.js. Select the "Local mock"
+// profile on the display settings screen (or set REACT_APP_API_PROFILE=local)
+// to point the app at it. Every fixture account signs in with "onfire".
+//
+// Controls for tests and scripts (not part of the real API):
+//   POST /__mock/reset          reseed; the body may name tables to replace
+//   GET  /__mock/state          dump every table
+//   POST /__mock/qr/confirm     confirm a QR session as if scanned on a phone
+//                               { qr_code?, user_id?, display_id? } (defaults:
+//                               newest pending session, first user, the display)
+//   POST /__mock/expire-tokens  reject current access tokens, to exercise refresh
+//   POST /__mock/participants   add { conversation_id, user_id, role? } to a conversation
+//   DELETE /__mock/participants remove { conversation_id, user_id } from it
+//
+// Row changes (tasks, participants, group settings, QR sessions) are pushed
+// over WebSocket once `realtime.attach(server, path)` is called; see
+// mock-realtime.js for the protocol.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { createFixtures, DISPLAY_ID } = require("./fixtures");
+const { parseQuery, sortRows, selectColumns, applyRange } = require("./postgrest");
+const { createRealtimeHub } = require("./mock-realtime");
+
+const TABLES = [
+  "users",
+  "user_profiles",
+  "conversations",
+  "conversation_participants_extended",
+  "tasks",
+  "transactions",
+  "displays",
+  "conversation_settings",
+];
+const WRITABLE_TABLES = new Set(["tasks", "transactions", "conversation_settings"]);
+// Unique constraints (column lists); rows with a null in them never clash,
+// as in Postgres. tasks: one copy per occurrence of a recurring series.
+// Tables whose updated_at the database sets on every update, like a
+// set_updated_at trigger; whatever a client sends for it is overwritten
+const TOUCHED_TABLES = new Set(["tasks", "conversation_settings"]);
+const UNIQUE_KEYS = {
+  tasks: ["series_id,occurrence_at"],
+  conversation_settings: ["conversation_id"],
+};
+const QR_SESSION_TTL = 5 * 60 * 1000;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const now = () => new Date().toISOString();
+
+// Strictly increasing updated_at values (Postgres has microseconds; two
+// updates in the same millisecond must still order for updated_at=gt. cursors)
+let lastTouched = 0;
+const touchedAt = () => {
+  lastTouched = Math.max(Date.now(), lastTouched + 1);
+  return new Date(lastTouched).toISOString();
+};
+
+// PostgREST-shaped error body
+const pgError = (code, message, details = null, hint = null) => ({ code, message, details, hint });
+
+/**
+ * Read a JSON fixtures file; tables it names replace the defaults
+ * @param {string} filePath
+ * @returns {Object}
+ */
+function loadFixturesFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Create a mock backend with its own in-memory data
+ * @param {Object} options
+ * @param {Object} [options.fixtures] tables replacing the default fixtures
+ * @param {number} [options.qrAutoConfirmMs] confirm new QR sessions after this delay (0 = never)
+ * @param {Function} [options.log]
+ * @returns {{ handle: Function, reset: Function, confirmQrSession: Function, getState: Function, realtime: Object }}
+ */
+function createMockBackend({ fixtures = null, qrAutoConfirmMs = 0, log = console.log } = {}) {
+  let db;
+  // token -> { userId, kind: 'access' | 'refresh' }
+  const tokens = new Map();
+  // qr_code -> session
+  const qrSessions = new Map();
+
+  const reset = (seed = fixtures) => {
+    db = { ...createFixtures(), ...clone(seed || {}) };
+    tokens.clear();
+    qrSessions.clear();
+    log(`[Mock API] Seeded ${db.tasks.length} tasks in ${db.conversations.length} conversations`);
+  };
+
+  const issueTokens = (userId) => {
+    const accessToken = `mock-access-${crypto.randomBytes(12).toString("hex")}`;
+    const refreshToken = `mock-refresh-${crypto.randomBytes(12).toString("hex")}`;
+    tokens.set(accessToken, { userId, kind: "access" });
+    tokens.set(refreshToken, { userId, kind: "refresh" });
+    return { accessToken, refreshToken };
+  };
+
+  const authenticatedUser = (req) => {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+    const entry = match && tokens.get(match[1]);
+    return entry?.kind === "access" ? entry.userId : null;
+  };
+
+  const conversationIdsOf = (userId) =>
+    new Set(db.conversation_participants_extended.filter((p) => p.user_id === userId).map((p) => p.conversation_id));
+
+  const realtime = createRealtimeHub({
+    authenticate: (token) => (tokens.get(token)?.kind === "access" ? tokens.get(token).userId : null),
+    canSee: (userId, conversationId) => conversationIdsOf(userId).has(conversationId),
+    log,
+  });
+
+  // Conversation a row belongs to, for realtime subscribers
+  const conversationOf = (table, row) => (table === "tasks" ? row.chat_id : row.conversation_id);
+
+  const publishRow = (table, event, record, oldRecord = null) => {
+    const row = record || oldRecord;
+    realtime.publish(table, event, record, oldRecord, { conversationId: conversationOf(table, row) });
+  };
+
+  // Earnings of a user in the shape of rpc/transactions_summary. Period
+  // keys are UTC dates; weeks are keyed by their Monday.
+  const summarize = (userId) => {
+    const summary = {
+      user_id: userId,
+      total_amount: 0,
+      transaction_count: 0,
+      daily_summary: {},
+      weekly_summary: {},
+      monthly_summary: {},
+    };
+    const add = (map, key, amount) => {
+      map[key] = (map[key] || 0) + amount;
+    };
+
+    db.transactions
+      .filter((t) => t.to_user_id === userId && t.status === "completed")
+      .forEach((t) => {
+        const sign = t.transaction_type === "unsend" ? -1 : 1;
+        const amount = sign * Number(t.net_amount ?? t.amount ?? 0);
+        const date = new Date(t.created_at);
+        const day = date.toISOString().slice(0, 10);
+        const monday = new Date(date);
+        monday.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+
+        summary.total_amount += amount;
+        summary.transaction_count += 1;
+        add(summary.daily_summary, day, amount);
+        add(summary.weekly_summary, monday.toISOString().slice(0, 10), amount);
+        add(summary.monthly_summary, day.slice(0, 7), amount);
+      });
+    return summary;
+  };
+
+  /**
+   * Confirm a pending QR session as the phone app would
+   * @param {Object} [options]
+   * @returns {Object|null} the confirmed session, or null if none was pending
+   */
+  const confirmQrSession = ({ qr_code, user_id, display_id } = {}) => {
+    const session = qr_code
+      ? qrSessions.get(qr_code)
+      : [...qrSessions.values()].reverse().find((s) => s.status === "pending");
+    if (!session || session.status !== "pending" || Date.parse(session.expires_at) < Date.now()) return null;
+
+    const userId = user_id || db.users[0]?.id;
+    const { accessToken, refreshToken } = issueTokens(userId);
+    Object.assign(session, {
+      status: "confirmed",
+      user_id: userId,
+      display_id: display_id === undefined ? DISPLAY_ID : display_id,
+      jwt_token: accessToken,
+      refresh_token: refreshToken,
+      confirmed_at: now(),
+    });
+    log(`[Mock API] QR session ${session.qr_code} confirmed for user ${userId}`);
+    realtime.publish("qr_sessions", "UPDATE", { qr_code: session.qr_code, status: session.status }, null, {
+      qrCode: session.qr_code,
+    });
+    return session;
+  };
+
+  const rpc = {
+    login_user: ({ p_email, p_password } = {}) => {
+      const user = db.users.find((u) => u.email === p_email);
+      if (!user || db.passwords?.[p_email] !== p_password) {
+        return [200, [{ success: false, message: "Invalid email or password" }]];
+      }
+      const { accessToken, refreshToken } = issueTokens(user.id);
+      return [200, [{ success: true, access_token: accessToken, refresh_token: refreshToken, user_data: user }]];
+    },
+
+    refresh_token: ({ p_refresh_token } = {}) => {
+      const entry = tokens.get(p_refresh_token);
+      if (entry?.kind !== "refresh") {
+        return [200, [{ success: false, message: "Invalid refresh token" }]];
+      }
+      tokens.delete(p_refresh_token);
+      const { accessToken, refreshToken } = issueTokens(entry.userId);
+      return [200, [{ success: true, access_token: accessToken, refresh_token: refreshToken }]];
+    },
+
+    get_user_conversations: (body, userId) => {
+      const ids = conversationIdsOf(userId);
+      return [200, db.conversations.filter((c) => ids.has(c.id) && c.status === "active")];
+    },
+
+    transactions_summary: ({ p_user_uuid } = {}) => [200, [summarize(p_user_uuid)]],
+
+    generate_qr_session: ({ p_device_id = null, p_user_agent = null } = {}) => {
+      const session = {
+        qr_code: `onfire-mock-${crypto.randomBytes(8).toString("hex")}`,
+        device_id: p_device_id,
+        user_agent: p_user_agent,
+        status: "pending",
+        created_at: now(),
+        expires_at: new Date(Date.now() + QR_SESSION_TTL).toISOString(),
+      };
+      qrSessions.set(session.qr_code, session);
+      if (qrAutoConfirmMs > 0) {
+        setTimeout(() => confirmQrSession({ qr_code: session.qr_code }), qrAutoConfirmMs).unref?.();
+      }
+      return [200, { success: true, qr_code: session.qr_code, expires_at: session.expires_at }];
+    },
+
+    check_qr_status: ({ p_qr_code } = {}) => {
+      const session = qrSessions.get(p_qr_code);
+      if (!session) return [200, { success: false, message: "QR session not found" }];
+      if (session.status === "pending" && Date.parse(session.expires_at) < Date.now()) {
+        session.status = "expired";
+      }
+      if (session.status !== "confirmed") return [200, { success: true, status: session.status }];
+      return [200, {
+        success: true,
+        status: "confirmed",
+        jwt_token: session.jwt_token,
+        refresh_token: session.refresh_token,
+        user_id: session.user_id,
+        display_id: session.display_id,
+      }];
+    },
+
+    // What the phone app calls after scanning; the signed-in phone user
+    // (or p_user_id, for scripts) becomes the display's user
+    confirm_qr_login: ({ p_qr_code, p_user_id, p_display_id } = {}, userId) => {
+      const session = confirmQrSession({ qr_code: p_qr_code, user_id: userId || p_user_id, display_id: p_display_id });
+      return [200, session ? { success: true } : { success: false, message: "QR session is not pending" }];
+    },
+  };
+
+  // RPCs callable without a session
+  const PUBLIC_RPCS = new Set(["login_user", "refresh_token", "generate_qr_session", "check_qr_status", "confirm_qr_login"]);
+
+  // Rows a user may see, like the real row-level security
+  const visibleRows = (table, userId) => {
+    const rows = db[table] || [];
+    if (table === "users") return rows.filter((u) => u.id === userId);
+    if (table === "conversations") {
+      const ids = conversationIdsOf(userId);
+      return rows.filter((c) => ids.has(c.id));
+    }
+    return rows;
+  };
+
+  const withDefaults = (table, row) => {
+    const timestamp = now();
+    const base = { id: crypto.randomUUID(), created_at: timestamp };
+    if (table === "tasks") {
+      return {
+        ...base,
+        status: "not_started",
+        priority: "medium",
+        attachment_urls: [],
+        assignee_user_ids: [],
+        completed_by_user_id: null,
+        progress_percentage: 0,
+        series_id: null,
+        occurrence_at: null,
+        ...row,
+        updated_at: row.updated_at || timestamp,
+      };
+    }
+    if (table === "conversation_settings") {
+      return { settings: {}, updated_by_user_id: null, ...row, updated_at: timestamp };
+    }
+    return { ...base, status: "completed", ...row };
+  };
+
+  // Existing row sharing the given columns with `row`
+  const findConflict = (table, row, columns) =>
+    columns && db[table].find((existing) => columns.split(",").every((column) => row[column] != null && existing[column] === row[column]));
+
+  const findUniqueViolation = (table, row) =>
+    (UNIQUE_KEYS[table] || []).map((columns) => findConflict(table, row, columns)).find(Boolean);
+
+  const tableRequest = (table, req, url, body, userId) => {
+    if (!TABLES.includes(table)) {
+      return [404, pgError("PGRST205", `Could not find the table 'public.${table}' in the schema cache`)];
+    }
+    const method = req.method;
+    if (method !== "GET" && !WRITABLE_TABLES.has(table)) {
+      return [403, pgError("42501", `permission denied for table ${table}`)];
+    }
+
+    const query = parseQuery(url.searchParams);
+    const prefer = req.headers.prefer || "";
+    const returnRows = prefer.includes("return=representation");
+
+    if (method === "GET") {
+      const rows = sortRows(visibleRows(table, userId).filter(query.where), query.order);
+      const page = applyRange(rows, req.headers.range, prefer.includes("count=exact"));
+      return [page.partial ? 206 : 200, selectColumns(page.rows, query.select), { "Content-Range": page.contentRange }];
+    }
+
+    // Prefer: resolution=merge-duplicates with ?on_conflict=a,b updates the
+    // row matching on those columns instead of inserting a second one;
+    // resolution=ignore-duplicates skips it. Without either a clash is a 409.
+    if (method === "POST") {
+      const merge = prefer.includes("resolution=merge-duplicates");
+      const ignore = prefer.includes("resolution=ignore-duplicates");
+      const onConflict = (merge || ignore) && url.searchParams.get("on_conflict");
+      const rows = (Array.isArray(body) ? body : [body]).map((input) => input || {});
+      const conflictOf = (row) => findConflict(table, row, onConflict) || findUniqueViolation(table, row);
+      if (!merge && !ignore && rows.some(conflictOf)) {
+        return [409, pgError("23505", `duplicate key value violates unique constraint on table "${table}"`)];
+      }
+
+      const written = [];
+      rows.forEach((row) => {
+        const existing = conflictOf(row);
+        if (existing && merge) {
+          const oldRecord = clone(existing);
+          written.push(Object.assign(existing, row, { updated_at: touchedAt() }));
+          publishRow(table, "UPDATE", clone(existing), oldRecord);
+        } else if (!existing) {
+          const inserted = withDefaults(table, row);
+          db[table].push(inserted);
+          written.push(inserted);
+          publishRow(table, "INSERT", clone(inserted));
+        }
+      });
+      return [201, returnRows ? selectColumns(written, query.select) : null];
+    }
+
+    if (method === "PATCH") {
+      const updated = db[table].filter(query.where);
+      const touched = TOUCHED_TABLES.has(table) ? { updated_at: touchedAt() } : {};
+      updated.forEach((row) => {
+        const oldRecord = clone(row);
+        Object.assign(row, body, touched);
+        publishRow(table, "UPDATE", clone(row), oldRecord);
+      });
+      return returnRows ? [200, selectColumns(updated, query.select)] : [204, null];
+    }
+
+    if (method === "DELETE") {
+      const removed = db[table].filter(query.where);
+      db[table] = db[table].filter((row) => !removed.includes(row));
+      removed.forEach((row) => publishRow(table, "DELETE", null, clone(row)));
+      return returnRows ? [200, selectColumns(removed, query.select)] : [204, null];
+    }
+
+    return [405, pgError("PGRST117", `Unsupported HTTP method: ${method}`)];
+  };
+
+  const control = (name, req, body) => {
+    if (name === "reset" && req.method === "POST") {
+      reset(body && Object.keys(body).length > 0 ? body : fixtures);
+      return [200, { success: true }];
+    }
+    if (name === "state" && req.method === "GET") {
+      return [200, db];
+    }
+    if (name === "qr/confirm" && req.method === "POST") {
+      const session = confirmQrSession(body || {});
+      return session ? [200, { success: true, session }] : [404, { success: false, message: "No pending QR session" }];
+    }
+    // Membership changes made elsewhere (e.g. in the phone app)
+    if (name === "participants" && (req.method === "POST" || req.method === "DELETE")) {
+      const { conversation_id, user_id, role = "member" } = body || {};
+      if (!conversation_id || !user_id) {
+        return [400, { success: false, message: "conversation_id and user_id are required" }];
+      }
+      const existing = db.conversation_participants_extended.find(
+        (p) => p.conversation_id === conversation_id && p.user_id === user_id
+      );
+      if (req.method === "DELETE") {
+        if (!existing) return [404, { success: false, message: "Not a participant" }];
+        db.conversation_participants_extended = db.conversation_participants_extended.filter((p) => p !== existing);
+        publishRow("conversation_participants", "DELETE", null, clone(existing));
+        return [200, { success: true }];
+      }
+      if (existing) return [200, { success: true, participant: existing }];
+      const user = db.users.find((u) => u.id === user_id);
+      const participant = {
+        conversation_id,
+        user_id,
+        first_name: user?.first_name || null,
+        last_name: user?.last_name || null,
+        username: user?.username || null,
+        avatar_url: null,
+        role,
+      };
+      db.conversation_participants_extended.push(participant);
+      publishRow("conversation_participants", "INSERT", clone(participant));
+      return [200, { success: true, participant }];
+    }
+    if (name === "expire-tokens" && req.method === "POST") {
+      [...tokens].forEach(([token, entry]) => entry.kind === "access" && tokens.delete(token));
+      return [200, { success: true }];
+    }
+    return [404, { success: false, message: `Unknown mock control "${name}"` }];
+  };
+
+  const route = (req, url, body) => {
+    const path = url.pathname.replace(/^\/mock-api/, "").replace(/\/+$/, "");
+
+    if (path.startsWith("/__mock/")) return control(path.slice("/__mock/".length), req, body);
+
+    const userId = authenticatedUser(req);
+    if (path.startsWith("/rpc/")) {
+      const name = path.slice("/rpc/".length);
+      if (!rpc[name]) return [404, pgError("PGRST202", `Could not find the function public.${name}`)];
+      if (!userId && !PUBLIC_RPCS.has(name)) return [401, pgError("PGRST301", "JWT expired")];
+      return rpc[name](body || {}, userId);
+    }
+
+    if (!userId) return [401, pgError("PGRST301", "JWT expired")];
+    return tableRequest(path.slice(1), req, url, body, userId);
+  };
+
+  const readBody = (req) => {
+    // express.json() (e.g. from the visual edits setup) may have read it already
+    if (req.body !== undefined) return Promise.resolve(req.body);
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on("data", (chunk) => chunks.push(chunk));
+      req.on("end", () => {
+        const text = Buffer.concat(chunks).toString("utf8");
+        try {
+          resolve(text ? JSON.parse(text) : null);
+        } catch (error) {
+          reject(error);
+        }
+      });
+      req.on("error", reject);
+    });
+  };
+
+  const send = (res, status, data, headers = {}) => {
+    res.statusCode = status;
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+    if (data === null || data === undefined) {
+      res.end();
+      return;
+    }
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.end(JSON.stringify(data));
+  };
+
+  /**
+   * Node/express request handler
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  const handle = async (req, res) => {
+    // The standalone server is another origin than the app
+    res.setHeader("Access-Control-Allow-Origin", req.headers.origin || "*");
+    res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type, Prefer, Range, Range-Unit");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PATCH, DELETE, OPTIONS");
+    res.setHeader("Access-Control-Expose-Headers", "Content-Range");
+    if (req.method === "OPTIONS") {
+      send(res, 204, null);
+      return;
+    }
+
+    const url = new URL(req.url, "http://mock.local");
+    let result;
+    try {
+      const body = await readBody(req);
+      result = route(req, url, body);
+    } catch (error) {
+      result = [400, pgError("PGRST100", error.message)];
+    }
+
+    const [status, data, headers] = result;
+    log(`[Mock API] ${req.method} ${url.pathname} -> ${status}`);
+    send(res, status, data, headers);
+  };
+
+  reset();
+  return { handle, reset, confirmQrSession, getState: () => db, realtime };
+}
+
+module.exports = { createMockBackend, loadFixturesFile };
@@ -0,0 +1,160 @@
+// postgrest.js
+// Just enough of PostgREST's query language for the requests the app makes:
+// column filters (eq, neq, gt, gte, lt, lte, in, is), or=(...), JSON
+// fields (metadata->>key), order=col.desc, select=cols and Range paging
+
+const RESERVED_PARAMS = new Set(["select", "order", "limit", "offset", "or", "on_conflict", "columns"]);
+
+// "metadata->>task_id" reads row.metadata.task_id
+function readColumn(row, column) {
+  const [base, ...path] = column.split("->>").flatMap((part) => part.split("->"));
+  return path.reduce((value, key) => (value == null ? undefined : value[key]), row[base]);
+}
+
+// in.("a","b") / in.(1,2)
+function parseList(value) {
+  return value
+    .replace(/^\(|\)$/g, "")
+    .split(",")
+    .map((item) => item.trim().replace(/^"(.*)"$/, "$1"))
+    .filter((item) => item !== "");
+}
+
+function compare(a, b) {
+  const numeric = typeof a === "number" || (a !== "" && a !== null && !isNaN(a) && !isNaN(b));
+  if (numeric) return Number(a) - Number(b);
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Build a predicate from a PostgREST filter like "eq.active" on `column`
+ * @param {string} column
+ * @param {string} expression operator and value, e.g. "gt.2026-01-01"
+ * @returns {(row: Object) => boolean}
+ */
+function parseFilter(column, expression) {
+  const dot = expression.indexOf(".");
+  const op = expression.slice(0, dot);
+  const value = expression.slice(dot + 1);
+  if (op === "not") {
+    return (row) => !parseFilter(column, value)(row);
+  }
+
+  return (row) => {
+    const actual = readColumn(row, column);
+    switch (op) {
+      case "eq":
+        return actual != null && String(actual) === value;
+      case "neq":
+        return actual == null || String(actual) !== value;
+      case "gt":
+        return actual != null && compare(actual, value) > 0;
+      case "gte":
+        return actual != null && compare(actual, value) >= 0;
+      case "lt":
+        return actual != null && compare(actual, value) < 0;
+      case "lte":
+        return actual != null && compare(actual, value) <= 0;
+      case "in":
+        return actual != null && parseList(value).includes(String(actual));
+      case "is":
+        return value === "null" ? actual == null : String(actual) === value;
+      default:
+        throw new Error(`Unsupported filter operator "${op}"`);
+    }
+  };
+}
+
+// or=(user_id.eq.a,user_id.eq.b)
+function parseOr(expression) {
+  const predicates = parseList(expression).map((condition) => {
+    const dot = condition.indexOf(".");
+    return parseFilter(condition.slice(0, dot), condition.slice(dot + 1));
+  });
+  return (row) => predicates.some((predicate) => predicate(row));
+}
+
+/**
+ * Parse the query string of a table request
+ * @param {URLSearchParams} params
+ * @returns {{ where: (row: Object) => boolean, order: Array, select: string[]|null }}
+ */
+function parseQuery(params) {
+  const predicates = [];
+  for (const [key, value] of params.entries()) {
+    if (key === "or") {
+      predicates.push(parseOr(value));
+    } else if (!RESERVED_PARAMS.has(key)) {
+      predicates.push(parseFilter(key, value));
+    }
+  }
+
+  const order = (params.get("order") || "")
+    .split(",")
+    .filter(Boolean)
+    .map((part) => {
+      const [column, direction = "asc"] = part.split(".");
+      return { column, descending: direction === "desc" };
+    });
+
+  const selectParam = params.get("select");
+  const select = !selectParam || selectParam === "*" ? null : selectParam.split(",").map((c) => c.trim());
+
+  return {
+    where: (row) => predicates.every((predicate) => predicate(row)),
+    order,
+    select,
+  };
+}
+
+// Nulls sort last in both directions, as in Postgres for DESC NULLS LAST
+function sortRows(rows, order) {
+  if (order.length === 0) return rows;
+  return [...rows].sort((a, b) => {
+    for (const { column, descending } of order) {
+      const x = readColumn(a, column);
+      const y = readColumn(b, column);
+      if (x == null && y == null) continue;
+      if (x == null) return 1;
+      if (y == null) return -1;
+      const result = compare(x, y);
+      if (result !== 0) return descending ? -result : result;
+    }
+    return 0;
+  });
+}
+
+function selectColumns(rows, select) {
+  if (!select) return rows;
+  return rows.map((row) => Object.fromEntries(select.map((column) => [column, row[column] ?? null])));
+}
+
+/**
+ * Apply a parsed Range header ("0-199") to sorted rows
+ * @param {Object[]} rows
+ * @param {string|undefined} rangeHeader
+ * @param {boolean} countExact whether the client sent Prefer: count=exact
+ * @returns {{ rows: Object[], contentRange: string, partial: boolean }}
+ */
+function applyRange(rows, rangeHeader, countExact) {
+  const total = countExact ? String(rows.length) : "*";
+  const match = /^(\d+)-(\d*)$/.exec(rangeHeader || "");
+  if (!match) {
+    return {
+      rows,
+      contentRange: rows.length > 0 ? `0-${rows.length - 1}/${total}` : `*/${total}`,
+      partial: false,
+    };
+  }
+
+  const from = Number(match[1]);
+  const to = match[2] === "" ? rows.length - 1 : Math.min(Number(match[2]), rows.length - 1);
+  const page = rows.slice(from, to + 1);
+  return {
+    rows: page,
+    contentRange: page.length > 0 ? `${from}-${from + page.length - 1}/${total}` : `*/${total}`,
+    partial: page.length < rows.length,
+  };
+}
+
+module.exports = { parseQuery, sortRows, selectColumns, applyRange, readColumn };
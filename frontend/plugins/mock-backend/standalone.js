@@ -0,0 +1,42 @@
+// standalone.js
+// Run the mock OnFire backend on its own port, e.g. for end-to-end tests
+// against a production build:
+//
+//   node plugins/mock-backend/standalone.js --port 4010 --fixtures e2e/seed.json --qr-auto-confirm 2000
+//
+// and build/start the app with REACT_APP_API_PROFILE=local and
+// REACT_APP_LOCAL_API_URL=http://localhost:4010 (realtime updates are served
+// at ws://localhost:4010/realtime)
+
+const http = require("http");
+const { createMockBackend, loadFixturesFile } = require("./mock-server");
+
+/**
+ * Read `--name value` from the command line
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function readFlag(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+const port = Number(readFlag("port") || process.env.MOCK_API_PORT || 4010);
+const fixturesPath = readFlag("fixtures") || process.env.MOCK_FIXTURES;
+const qrAutoConfirmMs = Number(readFlag("qr-auto-confirm") || process.env.MOCK_QR_AUTO_CONFIRM_MS || 0);
+
+const backend = createMockBackend({
+  fixtures: fixturesPath ? loadFixturesFile(fixturesPath) : null,
+  qrAutoConfirmMs,
+});
+
+const server = http.createServer(backend.handle);
+backend.realtime.attach(server, "/realtime");
+
+server.listen(port, () => {
+  console.log(`[Mock API] Listening on http://localhost:${port}`);
+  console.log(`[Mock API] Realtime updates at ws://localhost:${port}/realtime`);
+  if (qrAutoConfirmMs > 0) {
+    console.log(`[Mock API] QR sessions confirm automatically after ${qrAutoConfirmMs}ms`);
+  }
+});
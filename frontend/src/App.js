@@ -2,7 +2,10 @@ import { BrowserRouter, Routes, Route, Navigate } from "react-router-dom";
 import Login from "./pages/Login";
 import Dashboard from "./pages/Dashboard";
 import Slideshow from "./pages/Slideshow";
+import Reconciliation from "./pages/Reconciliation";
+import DisplaySettings from "./pages/DisplaySettings";
 import onFireAPI from "./services/api";
+import { Toaster } from "./components/ui/toaster";
 import "./App.css";
 
 // Protected Route Component
@@ -16,6 +19,8 @@ function App() {
       <BrowserRouter>
         <Routes>
           <Route path="/" element={<Login />} />
+          {/* Not linked anywhere: reached by tapping the login title five times */}
+          <Route path="/display-settings" element={<DisplaySettings />} />
           <Route 
             path="/dashboard" 
             element={
@@ -24,6 +29,14 @@ function App() {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/reconciliation/:conversationId" 
+            element={
+              <ProtectedRoute>
+                <Reconciliation />
+              </ProtectedRoute>
+            } 
+          />
           <Route 
             path="/slideshow" 
             element={
@@ -34,6 +47,7 @@ function App() {
           />
         </Routes>
       </BrowserRouter>
+      <Toaster />
     </div>
   );
 }
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { Check, X } from 'lucide-react';
+import { formatAmount } from '../services/currency';
+import './ApprovalsPanel.css';
+
+// Completions waiting for the task creator. Only the creator (the user this
+// display is signed in as) can approve or reject them.
+const ApprovalsPanel = ({ tasks, people, currentUserId, currency, getAmount, onApprove, onReject }) => {
+  const [previewUrl, setPreviewUrl] = useState(null);
+
+  if (tasks.length === 0) return null;
+
+  const findPerson = (id) => people.find(p => p.id === id);
+
+  return (
+    <div className="approvals-panel">
+      <div className="approvals-title">
+        Waiting for approval
+        <span className="approvals-count">{tasks.length}</span>
+      </div>
+
+      <div className="approvals-list">
+        {tasks.map(task => {
+          const completer = findPerson(task.completed_by_user_id);
+          const creator = findPerson(task.created_by_user_id);
+          const canDecide = currentUserId && currentUserId === task.created_by_user_id;
+          const proofs = task.attachment_urls || [];
+
+          return (
+            <div key={task.id} className="approval-item">
+              <div className="approval-info">
+                <div className="approval-task-title">{task.title}</div>
+                <div className="approval-meta">
+                  {completer ? completer.name : 'Someone'} · {formatAmount(getAmount(task), currency)}
+                </div>
+                {proofs.length > 0 && (
+                  <div className="approval-proofs">
+                    {proofs.map(url => (
+                      <img
+                        key={url}
+                        src={url}
+                        alt={`Proof for ${task.title}`}
+                        className="approval-proof"
+                        onClick={() => setPreviewUrl(url)}
+                      />
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {canDecide ? (
+                <div className="approval-actions">
+                  <button className="approval-button reject" onClick={() => onReject(task)} title="Reject">
+                    <X size={18} />
+                  </button>
+                  <button className="approval-button approve" onClick={() => onApprove(task)} title="Approve and pay">
+                    <Check size={18} />
+                  </button>
+                </div>
+              ) : (
+                <div className="approval-waiting">
+                  Waiting for {creator ? creator.name : 'the task creator'}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {previewUrl && (
+        <div className="approval-preview" onClick={() => setPreviewUrl(null)}>
+          <img src={previewUrl} alt="Proof" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApprovalsPanel;
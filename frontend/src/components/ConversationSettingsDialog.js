@@ -0,0 +1,453 @@
+import React, { useState, useEffect } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+import { Button } from './ui/button';
+import { Switch } from './ui/switch';
+import { Label } from './ui/label';
+import { Input } from './ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import {
+  getConversationSettings,
+  updateConversationSettings,
+  getUndoSeconds,
+  getReversalPin
+} from '../services/conversationSettings';
+import { saveSharedSettings } from '../services/sharedSettings';
+import { DEFAULT_REWARD_RULES, getRewardRules } from '../services/rewards';
+import { TASK_PRIORITIES } from '../services/tasks';
+import { getConversationTimeZone } from '../services/goals';
+import { getSupportedTimeZones } from '../lib/time';
+import { CURRENCY_CHOICES, formatAmount, formatFiatEquivalent, getCurrencySettings } from '../services/currency';
+import './ConversationSettingsDialog.css';
+
+const REWARD_TYPES = [
+  ['per_minute', 'Per minute of estimated time'],
+  ['flat', 'Flat amount per task']
+];
+
+// Number inputs are edited as text; empty or invalid values fall back
+const toNumber = (value, fallback) => {
+  const number = Number(value);
+  return value === '' || value == null || Number.isNaN(number) ? fallback : number;
+};
+
+const NO_FIAT = 'none';
+
+// Drafted as { code, fiatCode, fiatRate }; stored as settings.currency
+const toCurrency = (draft) => {
+  const rate = toNumber(draft.fiatRate, 0);
+  return {
+    code: draft.code,
+    fiat: draft.fiatCode !== NO_FIAT && rate > 0 ? { code: draft.fiatCode, rate } : null
+  };
+};
+
+const toRewardRules = (draft) => {
+  const defaults = DEFAULT_REWARD_RULES;
+  return {
+    ...draft,
+    flatAmount: Math.max(0, toNumber(draft.flatAmount, defaults.flatAmount)),
+    ratePerMinute: Math.max(0, toNumber(draft.ratePerMinute, defaults.ratePerMinute)),
+    defaultMinutes: Math.max(1, Math.round(toNumber(draft.defaultMinutes, defaults.defaultMinutes))),
+    priorityMultipliers: TASK_PRIORITIES.reduce((multipliers, priority) => ({
+      ...multipliers,
+      [priority]: Math.max(0, toNumber(draft.priorityMultipliers[priority], 1))
+    }), {}),
+    streakBonus: {
+      enabled: !!draft.streakBonus.enabled,
+      minDays: Math.max(1, Math.round(toNumber(draft.streakBonus.minDays, defaults.streakBonus.minDays))),
+      percent: Math.max(0, toNumber(draft.streakBonus.percent, defaults.streakBonus.percent))
+    },
+    minAmount: Math.max(0, toNumber(draft.minAmount, defaults.minAmount)),
+    maxAmount: draft.maxAmount === '' || draft.maxAmount == null ? null : Math.max(0, toNumber(draft.maxAmount, 0))
+  };
+};
+
+// Group-level policies and reward rules. They are saved on the server and
+// apply on every display of the group; the PIN stays on this display.
+const ConversationSettingsDialog = ({ open, conversationId, onOpenChange }) => {
+  const [draft, setDraft] = useState({});
+  const [rules, setRules] = useState(DEFAULT_REWARD_RULES);
+  const [currency, setCurrency] = useState({ code: 'PRF', fiatCode: NO_FIAT, fiatRate: '' });
+  const [pinDraft, setPinDraft] = useState('');
+  const [hasPin, setHasPin] = useState(false);
+  const [removePin, setRemovePin] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [timeZones] = useState(getSupportedTimeZones);
+
+  useEffect(() => {
+    if (open) {
+      const settings = getConversationSettings(conversationId);
+      setDraft({
+        assigneesOnly: !!settings.assigneesOnly,
+        requiresApproval: !!settings.requiresApproval,
+        undoSeconds: getUndoSeconds(conversationId),
+        timezone: getConversationTimeZone(conversationId)
+      });
+      setRules(getRewardRules(conversationId));
+      const { code, fiat } = getCurrencySettings(conversationId);
+      setCurrency({ code, fiatCode: fiat?.code || NO_FIAT, fiatRate: fiat?.rate ?? '' });
+      // The PIN is never shown, only replaced or removed
+      setPinDraft('');
+      setHasPin(!!getReversalPin(conversationId));
+      setRemovePin(false);
+      setError(null);
+    }
+  }, [open, conversationId]);
+
+  const update = (patch) => setDraft(prev => ({ ...prev, ...patch }));
+  const updateRules = (patch) => setRules(prev => ({ ...prev, ...patch }));
+  const updateMultiplier = (priority, value) =>
+    setRules(prev => ({ ...prev, priorityMultipliers: { ...prev.priorityMultipliers, [priority]: value } }));
+  const updateStreak = (patch) =>
+    setRules(prev => ({ ...prev, streakBonus: { ...prev.streakBonus, ...patch } }));
+  const updateCurrency = (patch) => setCurrency(prev => ({ ...prev, ...patch }));
+
+  const updateUndoSeconds = (value) => {
+    const seconds = Math.min(30, Math.max(0, Math.round(Number(value) || 0)));
+    update({ undoSeconds: seconds });
+  };
+
+  const updatePin = (value) => {
+    setPinDraft(value.replace(/\D/g, '').slice(0, 6));
+    setRemovePin(false);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (pinDraft && pinDraft.length < 4) {
+      setError('The PIN needs 4 to 6 digits.');
+      return;
+    }
+    if (currency.fiatCode !== NO_FIAT && !(toNumber(currency.fiatRate, 0) > 0)) {
+      setError(`Enter how much 1 ${currency.code} is worth in ${currency.fiatCode}.`);
+      return;
+    }
+    // The PIN belongs to this display and is kept even if the group settings fail to save
+    if (pinDraft) {
+      updateConversationSettings(conversationId, { reversalPin: pinDraft });
+    } else if (removePin) {
+      updateConversationSettings(conversationId, { reversalPin: null });
+    }
+    setHasPin(!!getReversalPin(conversationId));
+    setPinDraft('');
+    setRemovePin(false);
+
+    setSaving(true);
+    setError(null);
+    try {
+      await saveSharedSettings(conversationId, {
+        ...draft,
+        rewardRules: toRewardRules(rules),
+        currency: { ...getCurrencySettings(conversationId), ...toCurrency(currency) }
+      });
+      onOpenChange(false);
+    } catch (err) {
+      console.error('Failed to save group settings:', err);
+      setError('Could not save the settings. Check the connection and try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const fiatPreview = toCurrency(currency).fiat &&
+    `${formatAmount(100, { code: currency.code })} shows ${formatFiatEquivalent(100, toCurrency(currency))}.`;
+
+  const numberInput = (id, value, onChange, props = {}) => (
+    <Input
+      id={id}
+      type="number"
+      min="0"
+      className="conversation-setting-number"
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value)}
+      {...props}
+    />
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="conversation-settings-dialog">
+        <DialogHeader>
+          <DialogTitle className="conversation-settings-title">Group settings</DialogTitle>
+          <DialogDescription className="conversation-settings-description">
+            These settings apply to this group on every display.
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSave} className="conversation-settings-list">
+          <div className="conversation-setting">
+            <div>
+              <Label htmlFor="setting-assignees-only">Only assignees can complete tasks</Label>
+              <p className="conversation-setting-hint">
+                Tasks with assignees can only be credited to them. Unassigned tasks stay open to everyone.
+              </p>
+            </div>
+            <Switch
+              id="setting-assignees-only"
+              checked={!!draft.assigneesOnly}
+              onCheckedChange={(checked) => update({ assigneesOnly: checked })}
+            />
+          </div>
+
+          <div className="conversation-setting">
+            <div>
+              <Label htmlFor="setting-requires-approval">Completions need approval</Label>
+              <p className="conversation-setting-hint">
+                A completed task waits for its creator to approve it before anything is paid.
+              </p>
+            </div>
+            <Switch
+              id="setting-requires-approval"
+              checked={!!draft.requiresApproval}
+              onCheckedChange={(checked) => update({ requiresApproval: checked })}
+            />
+          </div>
+
+          <div className="conversation-setting">
+            <div>
+              <Label htmlFor="setting-undo-seconds">Undo window (seconds)</Label>
+              <p className="conversation-setting-hint">
+                Completing or reopening a task waits this long so a stray tap can be undone. 0 turns it off.
+              </p>
+            </div>
+            {numberInput('setting-undo-seconds', draft.undoSeconds, updateUndoSeconds, { max: '30' })}
+          </div>
+
+          <div className="conversation-setting">
+            <div>
+              <Label htmlFor="setting-timezone">Time zone</Label>
+              <p className="conversation-setting-hint">
+                Where days, weeks and months start for goals, streaks and repeating tasks.
+              </p>
+            </div>
+            <Select value={draft.timezone} onValueChange={(value) => update({ timezone: value })}>
+              <SelectTrigger id="setting-timezone" className="conversation-setting-select">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {timeZones.map(zone => (
+                  <SelectItem key={zone} value={zone}>{zone.replace(/_/g, ' ')}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <h3 className="conversation-settings-section">Rewards</h3>
+
+          <div className="conversation-setting">
+            <div>
+              <Label htmlFor="setting-reward-type">How tasks pay</Label>
+              <p className="conversation-setting-hint">Used for tasks without their own reward.</p>
+            </div>
+            <Select value={rules.type} onValueChange={(value) => updateRules({ type: value })}>
+              <SelectTrigger id="setting-reward-type" className="conversation-setting-select">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {REWARD_TYPES.map(([type, label]) => (
+                  <SelectItem key={type} value={type}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="conversation-setting">
+            <div>
+              <Label htmlFor="setting-use-budget">Use the task's own reward</Label>
+              <p className="conversation-setting-hint">
+                A reward set on a task replaces the amount computed below.
+              </p>
+            </div>
+            <Switch
+              id="setting-use-budget"
+              checked={!!rules.useBudgetCost}
+              onCheckedChange={(checked) => updateRules({ useBudgetCost: checked })}
+            />
+          </div>
+
+          {rules.type === 'flat' ? (
+            <div className="conversation-setting">
+              <Label htmlFor="setting-flat-amount">Amount per task</Label>
+              {numberInput('setting-flat-amount', rules.flatAmount, (value) => updateRules({ flatAmount: value }))}
+            </div>
+          ) : (
+            <>
+              <div className="conversation-setting">
+                <Label htmlFor="setting-rate">Amount per minute</Label>
+                {numberInput('setting-rate', rules.ratePerMinute, (value) => updateRules({ ratePerMinute: value }), { step: '0.01' })}
+              </div>
+              <div className="conversation-setting">
+                <div>
+                  <Label htmlFor="setting-default-minutes">Minutes when not estimated</Label>
+                  <p className="conversation-setting-hint">Assumed for tasks without an estimated time.</p>
+                </div>
+                {numberInput('setting-default-minutes', rules.defaultMinutes, (value) => updateRules({ defaultMinutes: value }), { min: '1' })}
+              </div>
+            </>
+          )}
+
+          <div className="conversation-setting">
+            <div>
+              <Label>Priority multipliers</Label>
+              <p className="conversation-setting-hint">The amount is multiplied by the task's priority factor.</p>
+            </div>
+            <div className="conversation-setting-multipliers">
+              {TASK_PRIORITIES.map(priority => (
+                <div key={priority} className="conversation-setting-multiplier">
+                  <Label htmlFor={`setting-multiplier-${priority}`}>
+                    {priority.charAt(0).toUpperCase() + priority.slice(1)}
+                  </Label>
+                  {numberInput(
+                    `setting-multiplier-${priority}`,
+                    rules.priorityMultipliers[priority],
+                    (value) => updateMultiplier(priority, value),
+                    { step: '0.1' }
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="conversation-setting">
+            <div>
+              <Label htmlFor="setting-streak">Streak bonus</Label>
+              <p className="conversation-setting-hint">
+                Extra reward for completing tasks on consecutive days, counted in the group's time zone.
+              </p>
+            </div>
+            <Switch
+              id="setting-streak"
+              checked={!!rules.streakBonus.enabled}
+              onCheckedChange={(checked) => updateStreak({ enabled: checked })}
+            />
+          </div>
+
+          {rules.streakBonus.enabled && (
+            <>
+              <div className="conversation-setting">
+                <Label htmlFor="setting-streak-days">Days in a row</Label>
+                {numberInput('setting-streak-days', rules.streakBonus.minDays, (value) => updateStreak({ minDays: value }), { min: '1' })}
+              </div>
+              <div className="conversation-setting">
+                <Label htmlFor="setting-streak-percent">Bonus (%)</Label>
+                {numberInput('setting-streak-percent', rules.streakBonus.percent, (value) => updateStreak({ percent: value }))}
+              </div>
+            </>
+          )}
+
+          <div className="conversation-setting">
+            <div>
+              <Label htmlFor="setting-min-amount">Limits per task</Label>
+              <p className="conversation-setting-hint">Smallest and largest payout. Leave the maximum empty for no cap.</p>
+            </div>
+            <div className="conversation-setting-range">
+              {numberInput('setting-min-amount', rules.minAmount, (value) => updateRules({ minAmount: value }))}
+              <span>to</span>
+              {numberInput('setting-max-amount', rules.maxAmount, (value) => updateRules({ maxAmount: value }), { placeholder: 'No cap' })}
+            </div>
+          </div>
+
+          <h3 className="conversation-settings-section">Currency</h3>
+
+          <div className="conversation-setting">
+            <div>
+              <Label htmlFor="setting-currency">Reward currency</Label>
+              <p className="conversation-setting-hint">
+                How amounts are shown, e.g. {formatAmount(1234.5, { code: currency.code })}.
+              </p>
+            </div>
+            <Select value={currency.code} onValueChange={(value) => updateCurrency({ code: value })}>
+              <SelectTrigger id="setting-currency" className="conversation-setting-select">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {[...new Set([currency.code, ...CURRENCY_CHOICES])].map(code => (
+                  <SelectItem key={code} value={code}>{code}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="conversation-setting">
+            <div>
+              <Label htmlFor="setting-fiat">Show a money equivalent</Label>
+              <p className="conversation-setting-hint">
+                {currency.fiatCode === NO_FIAT
+                  ? 'Adds an "≈" amount next to earnings.'
+                  : `What 1 ${currency.code} is worth in ${currency.fiatCode}. ${fiatPreview || ''}`}
+              </p>
+            </div>
+            <div className="conversation-setting-range">
+              <Select value={currency.fiatCode} onValueChange={(value) => updateCurrency({ fiatCode: value })}>
+                <SelectTrigger id="setting-fiat" className="conversation-setting-select conversation-setting-fiat">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={NO_FIAT}>None</SelectItem>
+                  {CURRENCY_CHOICES.filter(code => code !== currency.code && code !== 'PRF').map(code => (
+                    <SelectItem key={code} value={code}>{code}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {currency.fiatCode !== NO_FIAT &&
+                numberInput('setting-fiat-rate', currency.fiatRate, (value) => updateCurrency({ fiatRate: value }), { step: '0.01' })}
+            </div>
+          </div>
+
+          <h3 className="conversation-settings-section">This display</h3>
+
+          <div className="conversation-setting">
+            <div>
+              <Label htmlFor="setting-reversal-pin">PIN for reopening completed tasks</Label>
+              <p className="conversation-setting-hint">
+                {removePin
+                  ? 'The PIN is removed when you save.'
+                  : hasPin
+                    ? 'A PIN is set. Enter 4-6 new digits to change it.'
+                    : '4-6 digits, asked for before a payout is reversed and before settings open.'}
+              </p>
+            </div>
+            <div className="conversation-setting-range">
+              <Input
+                id="setting-reversal-pin"
+                type="password"
+                inputMode="numeric"
+                autoComplete="new-password"
+                placeholder={hasPin ? 'New PIN' : 'No PIN'}
+                className="conversation-setting-number"
+                value={pinDraft}
+                onChange={(e) => updatePin(e.target.value)}
+              />
+              {hasPin && !removePin && (
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={() => {
+                    setPinDraft('');
+                    setRemovePin(true);
+                  }}
+                >
+                  Remove
+                </Button>
+              )}
+            </div>
+          </div>
+
+          {error && <div className="conversation-settings-error">{error}</div>}
+
+          <DialogFooter className="conversation-settings-footer">
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" className="conversation-settings-save" disabled={saving}>
+              {saving ? 'Saving...' : 'Save'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ConversationSettingsDialog;
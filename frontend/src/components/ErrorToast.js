@@ -0,0 +1,19 @@
+import React from 'react';
+import { toast } from '../hooks/use-toast';
+import { ToastAction } from './ui/toast';
+import { getErrorTitle } from '../services/apiErrors';
+
+// Toast for a failed request, titled by its error kind. `onRetry` adds a
+// Retry button, offered only when the error is worth retrying.
+// Returns the use-toast handle ({ id, dismiss, update }).
+export const showErrorToast = ({ title, error, onRetry }) =>
+  toast({
+    variant: 'destructive',
+    title: title || getErrorTitle(error),
+    description: error?.message,
+    action: onRetry && error?.retryable ? (
+      <ToastAction altText="Retry" onClick={onRetry}>
+        Retry
+      </ToastAction>
+    ) : undefined
+  });
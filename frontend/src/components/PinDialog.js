@@ -0,0 +1,57 @@
+import React, { useState, useEffect } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from './ui/input-otp';
+import './PinDialog.css';
+
+// Asks for the display PIN before a protected action. `onConfirm` is only
+// called with the right PIN; a wrong one clears the input.
+const PinDialog = ({ open, pin, title, description, onConfirm, onOpenChange }) => {
+  const [value, setValue] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setValue('');
+      setError('');
+    }
+  }, [open]);
+
+  const handleChange = (next) => {
+    setValue(next);
+    setError('');
+    if (next.length < pin.length) return;
+
+    if (next === pin) {
+      onConfirm();
+    } else {
+      setValue('');
+      setError('Wrong PIN, try again');
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="pin-dialog">
+        <DialogHeader>
+          <DialogTitle className="pin-dialog-title">{title}</DialogTitle>
+          {description && (
+            <DialogDescription className="pin-dialog-description">{description}</DialogDescription>
+          )}
+        </DialogHeader>
+
+        <div className="pin-dialog-body">
+          <InputOTP maxLength={pin.length} value={value} onChange={handleChange} inputMode="numeric" autoFocus>
+            <InputOTPGroup>
+              {[...Array(pin.length)].map((_, index) => (
+                <InputOTPSlot key={index} index={index} className="pin-slot" />
+              ))}
+            </InputOTPGroup>
+          </InputOTP>
+          {error && <div className="pin-dialog-error">{error}</div>}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PinDialog;
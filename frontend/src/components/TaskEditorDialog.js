@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { EMPTY_TASK_INPUT, TASK_PRIORITIES, taskToInput, validateTaskInput } from '../services/tasks';
+import { RECURRENCE_PRESETS, getRecurrencePreset, parseRecurrence, weeklyRule } from '../services/recurrence';
+import './TaskEditorDialog.css';
+
+const REPEAT_OPTIONS = [
+  ['none', 'Does not repeat'],
+  ['daily', 'Daily'],
+  ['weekdays', 'Weekdays'],
+  ['weekly', 'Weekly on...'],
+  ['monthly', 'Monthly'],
+  ['custom', 'Custom rule']
+];
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const weeklyDays = (rule) => {
+  try {
+    return parseRecurrence(rule).byDay || [];
+  } catch {
+    return [];
+  }
+};
+
+// Create/edit dialog for a task. `task` is null when creating.
+const TaskEditorDialog = ({ open, task, people, onOpenChange, onSave, onDelete }) => {
+  const [values, setValues] = useState(EMPTY_TASK_INPUT);
+  const [errors, setErrors] = useState({});
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [repeatMode, setRepeatMode] = useState('none');
+
+  useEffect(() => {
+    if (open) {
+      const initial = task ? taskToInput(task) : EMPTY_TASK_INPUT;
+      setValues(initial);
+      setRepeatMode(getRecurrencePreset(initial.recurrence_rule));
+      setErrors({});
+      setConfirmDelete(false);
+    }
+  }, [open, task]);
+
+  const setField = (field, value) => {
+    setValues(prev => ({ ...prev, [field]: value }));
+    setErrors(prev => ({ ...prev, [field]: undefined }));
+  };
+
+  const toggleAssignee = (userId) => {
+    const current = values.assignee_user_ids;
+    setField(
+      'assignee_user_ids',
+      current.includes(userId) ? current.filter(id => id !== userId) : [...current, userId]
+    );
+  };
+
+  // Switching mode keeps a rule that still fits it (e.g. chosen weekdays)
+  const changeRepeatMode = (mode) => {
+    const current = values.recurrence_rule;
+    setRepeatMode(mode);
+    if (mode === 'custom') return;
+    if ((mode === 'weekly' || mode === 'monthly') && getRecurrencePreset(current) === mode) return;
+    setField('recurrence_rule', RECURRENCE_PRESETS[mode] || '');
+  };
+
+  const toggleWeekday = (weekday) => {
+    const days = weeklyDays(values.recurrence_rule);
+    setField(
+      'recurrence_rule',
+      weeklyRule(days.includes(weekday) ? days.filter(d => d !== weekday) : [...days, weekday])
+    );
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const validationErrors = validateTaskInput(values);
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+    onSave(values);
+  };
+
+  const fieldError = (field) => errors[field] && <div className="task-editor-error">{errors[field]}</div>;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="task-editor-dialog">
+        <DialogHeader>
+          <DialogTitle className="task-editor-title">{task ? 'Edit task' : 'New task'}</DialogTitle>
+          <DialogDescription className="task-editor-description">
+            {task ? 'Changes show on every display right away.' : 'The task is added to this group\'s board.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="task-editor-form">
+          <div className="form-group">
+            <Label htmlFor="task-title">Title</Label>
+            <Input
+              id="task-title"
+              value={values.title}
+              onChange={(e) => setField('title', e.target.value)}
+              placeholder="Empty the dishwasher"
+              autoFocus
+            />
+            {fieldError('title')}
+          </div>
+
+          <div className="form-group">
+            <Label htmlFor="task-description">Description</Label>
+            <Textarea
+              id="task-description"
+              value={values.description}
+              onChange={(e) => setField('description', e.target.value)}
+              rows={3}
+            />
+            {fieldError('description')}
+          </div>
+
+          <div className="form-group">
+            <Label htmlFor="task-cover">Cover image URL</Label>
+            <Input
+              id="task-cover"
+              value={values.cover_image_url}
+              onChange={(e) => setField('cover_image_url', e.target.value)}
+              placeholder="https://..."
+            />
+            {fieldError('cover_image_url')}
+          </div>
+
+          <div className="task-editor-row">
+            <div className="form-group">
+              <Label htmlFor="task-minutes">Estimated minutes</Label>
+              <Input
+                id="task-minutes"
+                type="number"
+                min="1"
+                value={values.estimated_time_minutes}
+                onChange={(e) => setField('estimated_time_minutes', e.target.value)}
+              />
+              {fieldError('estimated_time_minutes')}
+            </div>
+
+            <div className="form-group">
+              <Label htmlFor="task-budget">Reward</Label>
+              <Input
+                id="task-budget"
+                type="number"
+                min="0"
+                value={values.budget_cost}
+                onChange={(e) => setField('budget_cost', e.target.value)}
+                placeholder="From rules"
+              />
+              {fieldError('budget_cost')}
+            </div>
+
+            <div className="form-group">
+              <Label htmlFor="task-priority">Priority</Label>
+              <Select value={values.priority} onValueChange={(value) => setField('priority', value)}>
+                <SelectTrigger id="task-priority" className="task-editor-select">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {TASK_PRIORITIES.map(priority => (
+                    <SelectItem key={priority} value={priority}>
+                      {priority.charAt(0).toUpperCase() + priority.slice(1)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {fieldError('priority')}
+            </div>
+          </div>
+
+          <div className="form-group">
+            <Label htmlFor="task-due">Due</Label>
+            <Input
+              id="task-due"
+              type="datetime-local"
+              value={values.due_date}
+              onChange={(e) => setField('due_date', e.target.value)}
+            />
+            {fieldError('due_date')}
+          </div>
+
+          <div className="form-group">
+            <Label htmlFor="task-repeat">Repeats</Label>
+            <Select value={repeatMode} onValueChange={changeRepeatMode}>
+              <SelectTrigger id="task-repeat" className="task-editor-select">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {REPEAT_OPTIONS.map(([mode, label]) => (
+                  <SelectItem key={mode} value={mode}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            {repeatMode === 'weekly' && (
+              <div className="task-editor-weekdays">
+                {WEEKDAYS.map((name, index) => (
+                  <button
+                    type="button"
+                    key={name}
+                    className={`task-editor-weekday ${weeklyDays(values.recurrence_rule).includes(index + 1) ? 'selected' : ''}`}
+                    onClick={() => toggleWeekday(index + 1)}
+                  >
+                    {name}
+                  </button>
+                ))}
+              </div>
+            )}
+            {repeatMode === 'custom' && (
+              <Input
+                value={values.recurrence_rule}
+                onChange={(e) => setField('recurrence_rule', e.target.value)}
+                placeholder="FREQ=WEEKLY;INTERVAL=2;BYDAY=SA"
+              />
+            )}
+            {fieldError('recurrence_rule')}
+          </div>
+
+          {people.length > 0 && (
+            <div className="form-group">
+              <Label>Assignees</Label>
+              <div className="task-editor-assignees">
+                {people.map(person => (
+                  <button
+                    type="button"
+                    key={person.id}
+                    className={`task-editor-assignee ${values.assignee_user_ids.includes(person.id) ? 'selected' : ''}`}
+                    onClick={() => toggleAssignee(person.id)}
+                  >
+                    <span className="avatar" style={{ background: person.avatar ? 'transparent' : person.color }}>
+                      {person.avatar ? (
+                        <img src={person.avatar} alt={person.name} className="avatar-image" />
+                      ) : (
+                        person.initial
+                      )}
+                    </span>
+                    {person.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <DialogFooter className="task-editor-footer">
+            {task && onDelete && (
+              <Button
+                type="button"
+                variant="destructive"
+                className="task-editor-delete"
+                onClick={() => (confirmDelete ? onDelete(task) : setConfirmDelete(true))}
+              >
+                {confirmDelete ? 'Really delete?' : 'Delete'}
+              </Button>
+            )}
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" className="task-editor-save">
+              {task ? 'Save changes' : 'Create task'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TaskEditorDialog;
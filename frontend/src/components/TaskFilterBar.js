@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { Search, Save, Trash2, X } from 'lucide-react';
+import { Input } from './ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { TASK_PRIORITIES, TASK_SORTS, DUE_FILTERS } from '../services/tasks';
+import {
+  DEFAULT_FILTERS,
+  getFilterPresets,
+  saveFilterPreset,
+  deleteFilterPreset,
+  isFiltering
+} from '../services/taskFilters';
+import './TaskFilterBar.css';
+
+// Search, filters, sort and saved presets above the task board.
+// Controlled: `filters` comes from the HUD, every change goes to onChange.
+const TaskFilterBar = ({ filters, people, resultCount, totalCount, onChange }) => {
+  const [presets, setPresets] = useState(getFilterPresets);
+  const [presetName, setPresetName] = useState('');
+  const [naming, setNaming] = useState(false);
+
+  const set = (field, value) => onChange({ ...filters, [field]: value });
+
+  const toggle = (field, value) => {
+    const current = filters[field];
+    set(field, current.includes(value) ? current.filter(v => v !== value) : [...current, value]);
+  };
+
+  const savePreset = (e) => {
+    e.preventDefault();
+    const name = presetName.trim();
+    if (!name) return;
+    setPresets(saveFilterPreset(name, filters));
+    setPresetName('');
+    setNaming(false);
+  };
+
+  const applyPreset = (name) => {
+    const preset = presets.find(p => p.name === name);
+    if (preset) onChange({ ...DEFAULT_FILTERS, ...preset.filters });
+  };
+
+  return (
+    <div className="task-filter-bar">
+      <div className="filter-row">
+        <div className="filter-search">
+          <Search size={18} />
+          <Input
+            value={filters.search}
+            onChange={(e) => set('search', e.target.value)}
+            placeholder="Search tasks"
+            aria-label="Search tasks"
+          />
+        </div>
+
+        <Select value={filters.due} onValueChange={(value) => set('due', value)}>
+          <SelectTrigger className="filter-select" aria-label="Show">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(DUE_FILTERS).map(([key, label]) => (
+              <SelectItem key={key} value={key}>{label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+
+        <Select value={filters.sort} onValueChange={(value) => set('sort', value)}>
+          <SelectTrigger className="filter-select" aria-label="Sort by">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(TASK_SORTS).map(([key, label]) => (
+              <SelectItem key={key} value={key}>Sort: {label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+
+        {presets.length > 0 && (
+          <Select value="" onValueChange={applyPreset}>
+            <SelectTrigger className="filter-select" aria-label="Presets">
+              <SelectValue placeholder="Presets" />
+            </SelectTrigger>
+            <SelectContent>
+              {presets.map(preset => (
+                <SelectItem key={preset.name} value={preset.name}>{preset.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        )}
+      </div>
+
+      <div className="filter-row">
+        <div className="filter-chips">
+          {TASK_PRIORITIES.map(priority => (
+            <button
+              key={priority}
+              className={`filter-chip priority-${priority} ${filters.priorities.includes(priority) ? 'selected' : ''}`}
+              onClick={() => toggle('priorities', priority)}
+            >
+              {priority.charAt(0).toUpperCase() + priority.slice(1)}
+            </button>
+          ))}
+        </div>
+
+        {people.length > 0 && (
+          <div className="filter-chips">
+            {people.map(person => (
+              <button
+                key={person.id}
+                className={`filter-person ${filters.assigneeIds.includes(person.id) ? 'selected' : ''}`}
+                onClick={() => toggle('assigneeIds', person.id)}
+                title={`Assigned to ${person.name}`}
+              >
+                <span className="avatar" style={{ background: person.avatar ? 'transparent' : person.color }}>
+                  {person.avatar ? <img src={person.avatar} alt={person.name} className="avatar-image" /> : person.initial}
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="filter-reward">
+          <Input
+            type="number"
+            min="0"
+            value={filters.minReward}
+            onChange={(e) => set('minReward', e.target.value)}
+            placeholder="Min"
+            aria-label="Minimum reward"
+          />
+          <span>–</span>
+          <Input
+            type="number"
+            min="0"
+            value={filters.maxReward}
+            onChange={(e) => set('maxReward', e.target.value)}
+            placeholder="Max"
+            aria-label="Maximum reward"
+          />
+        </div>
+
+        <div className="filter-actions">
+          {isFiltering(filters) && (
+            <>
+              <span className="filter-count">{resultCount} of {totalCount}</span>
+              <button className="filter-action" onClick={() => onChange({ ...DEFAULT_FILTERS, sort: filters.sort })} title="Clear filters">
+                <X size={16} />
+              </button>
+            </>
+          )}
+          {naming ? (
+            <form onSubmit={savePreset} className="filter-preset-form">
+              <Input
+                value={presetName}
+                onChange={(e) => setPresetName(e.target.value)}
+                placeholder="Preset name"
+                autoFocus
+              />
+              <button type="submit" className="filter-action" title="Save preset">
+                <Save size={16} />
+              </button>
+            </form>
+          ) : (
+            <button className="filter-action" onClick={() => setNaming(true)} title="Save these filters as a preset">
+              <Save size={16} />
+            </button>
+          )}
+          {presets.length > 0 && (
+            <Select value="" onValueChange={(name) => setPresets(deleteFilterPreset(name))}>
+              <SelectTrigger className="filter-action filter-delete-trigger" aria-label="Delete a preset">
+                <Trash2 size={16} />
+              </SelectTrigger>
+              <SelectContent>
+                {presets.map(preset => (
+                  <SelectItem key={preset.name} value={preset.name}>Delete “{preset.name}”</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaskFilterBar;
@@ -0,0 +1,17 @@
+import React from 'react';
+import { toast } from '../hooks/use-toast';
+import { ToastAction } from './ui/toast';
+
+// Toast with an Undo button for an action that runs once the toast times out.
+// Returns the use-toast handle ({ id, dismiss, update }).
+export const showUndoToast = ({ title, description, seconds, onUndo }) =>
+  toast({
+    title,
+    description,
+    duration: seconds * 1000,
+    action: (
+      <ToastAction altText="Undo" onClick={onUndo}>
+        Undo
+      </ToastAction>
+    )
+  });
@@ -2,7 +2,8 @@
 // Inspired by react-hot-toast library
 import * as React from "react"
 
-const TOAST_LIMIT = 1
+// An error toast must not push an undo toast (and its Undo button) off screen
+const TOAST_LIMIT = 3
 const TOAST_REMOVE_DELAY = 1000000
 
 const actionTypes = {
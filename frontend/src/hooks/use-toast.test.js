@@ -0,0 +1,15 @@
+import { reducer } from './use-toast';
+
+describe('toast reducer', () => {
+  it('keeps an undo toast on screen when an error toast follows it', () => {
+    const undo = { id: '1', title: 'Completing task', open: true };
+    const error = { id: '2', title: 'Network error', variant: 'destructive', open: true };
+
+    const state = [undo, error].reduce(
+      (current, toast) => reducer(current, { type: 'ADD_TOAST', toast }),
+      { toasts: [] }
+    );
+
+    expect(state.toasts.map(toast => toast.id)).toEqual(['2', '1']);
+  });
+});
@@ -0,0 +1,18 @@
+// Promise helpers
+
+// Map `items` through async `fn` with at most `limit` calls in flight.
+// Resolves with the results in input order; rejects on the first failure.
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
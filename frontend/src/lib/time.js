@@ -0,0 +1,131 @@
+// Calendar helpers that work in an explicit IANA time zone rather than UTC,
+// so "today" and "this week" match the wall clock where the display hangs.
+
+export const getLocalTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// IANA zones a group can pick, always including this display's zone and UTC
+export const getSupportedTimeZones = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return [...new Set([getLocalTimeZone(), 'UTC', ...zones])];
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// { year, month, day, hour, minute, weekday } of `date` as seen in `timeZone`.
+// weekday is 1 (Monday) .. 7 (Sunday), ISO style.
+export const getZonedParts = (date, timeZone = getLocalTimeZone()) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(date));
+
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  const weekdays = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    hour: Number(get('hour')),
+    minute: Number(get('minute')),
+    weekday: weekdays[get('weekday')]
+  };
+};
+
+// YYYY-MM-DD of the zoned calendar day
+export const toDateKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// YYYY-MM of the zoned calendar month
+export const toMonthKey = (date, timeZone) => {
+  const { year, month } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}`;
+};
+
+// ISO 8601 week of the zoned calendar day: { year, week, monday }
+// where monday is the YYYY-MM-DD key of that week's Monday
+export const getIsoWeek = (date, timeZone) => {
+  const { year, month, day, weekday } = getZonedParts(date, timeZone);
+  // Work on a UTC date carrying the zoned calendar day
+  const calendarDay = new Date(Date.UTC(year, month - 1, day));
+
+  const monday = new Date(calendarDay);
+  monday.setUTCDate(calendarDay.getUTCDate() - (weekday - 1));
+
+  // The ISO week belongs to the year of its Thursday
+  const thursday = new Date(calendarDay);
+  thursday.setUTCDate(calendarDay.getUTCDate() + (4 - weekday));
+  const isoYear = thursday.getUTCFullYear();
+  const firstDay = new Date(Date.UTC(isoYear, 0, 1));
+  const week = Math.ceil(((thursday - firstDay) / 86400000 + 1) / 7);
+
+  return {
+    year: isoYear,
+    week,
+    monday: monday.toISOString().split('T')[0]
+  };
+};
+
+// Calendar arithmetic on YYYY-MM-DD keys (no time zone involved)
+const keyToUTCDate = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+export const addDays = (dateKey, days) => {
+  const date = keyToUTCDate(dateKey);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+export const daysBetween = (fromKey, toKey) =>
+  Math.round((keyToUTCDate(toKey) - keyToUTCDate(fromKey)) / 86400000);
+
+// 1 (Monday) .. 7 (Sunday) of a date key
+export const weekdayOfKey = (dateKey) => keyToUTCDate(dateKey).getUTCDay() || 7;
+
+export const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// The instant the zoned calendar day starts (local midnight in `timeZone`)
+export const startOfZonedDay = (dateKey, timeZone = getLocalTimeZone()) => {
+  const guess = keyToUTCDate(dateKey);
+  // Offset of the zone at that moment; applied twice to settle across DST changes
+  let instant = guess;
+  for (let i = 0; i < 2; i++) {
+    const { year, month, day, hour, minute } = getZonedParts(instant, timeZone);
+    const seenAsUTC = Date.UTC(year, month - 1, day, hour, minute);
+    instant = new Date(guess.getTime() - (seenAsUTC - instant.getTime()));
+  }
+  return instant;
+};
+
+const RELATIVE_UNITS = [
+  ['year', 365 * 86400],
+  ['month', 30 * 86400],
+  ['week', 7 * 86400],
+  ['day', 86400],
+  ['hour', 3600],
+  ['minute', 60]
+];
+
+// "5 minutes ago", "in 3 days", "2 weeks ago"... (style 'narrow' gives "5m ago"
+// style output where the locale has it). Under a minute either way is "now".
+export const formatRelativeTime = (date, { now = new Date(), style = 'long', locale } = {}) => {
+  const seconds = Math.round((new Date(date) - new Date(now)) / 1000);
+  const formatter = new Intl.RelativeTimeFormat(locale, { numeric: 'auto', style });
+
+  for (const [unit, size] of RELATIVE_UNITS) {
+    if (Math.abs(seconds) >= size) {
+      return formatter.format(Math.trunc(seconds / size), unit);
+    }
+  }
+  return formatter.format(0, 'second');
+};
@@ -2,9 +2,11 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import TaskManagementHUD from './TaskManagementHUD';
 import onFireAPI from '../services/api';
+import { getErrorTitle } from '../services/apiErrors';
+import { Alert, AlertTitle, AlertDescription } from '../components/ui/alert';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
 import { Button } from '../components/ui/button';
-import { LogOut, RefreshCw } from 'lucide-react';
+import { AlertTriangle, LogOut, RefreshCw, Scale } from 'lucide-react';
 import './Dashboard.css';
 
 const Dashboard = () => {
@@ -13,6 +15,8 @@ const Dashboard = () => {
   const [selectedConversation, setSelectedConversation] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  // ApiError of the last failed conversation load
+  const [loadError, setLoadError] = useState(null);
   const userData = onFireAPI.getUserData();
 
   useEffect(() => {
@@ -26,6 +30,7 @@ const Dashboard = () => {
   const loadConversations = async () => {
     setLoading(true);
     setError('');
+    setLoadError(null);
     try {
       const convos = await onFireAPI.getConversations();
       console.log('Loaded conversations:', convos);
@@ -43,8 +48,12 @@ const Dashboard = () => {
         setSelectedConversation(convos[0].id);
       }
     } catch (err) {
-      setError('Failed to load conversations. Please try again.');
       console.error('Conversation loading error:', err);
+      if (err.kind === 'auth') {
+        handleLogout();
+        return;
+      }
+      setLoadError(err);
     } finally {
       setLoading(false);
     }
@@ -138,6 +147,17 @@ const Dashboard = () => {
 
         {/* Controls - Right */}
         <div className="header-controls">
+          {selectedConversation && (
+            <Button 
+              variant="outline" 
+              size="icon" 
+              onClick={() => navigate(`/reconciliation/${selectedConversation}`)}
+              className="refresh-button reconcile-button"
+              title="Check payouts"
+            >
+              <Scale size={18} />
+            </Button>
+          )}
           <Button 
             variant="outline" 
             size="icon" 
@@ -164,6 +184,22 @@ const Dashboard = () => {
         </div>
       )}
 
+      {loadError && (
+        <Alert variant="destructive" className="dashboard-load-error">
+          <AlertTriangle size={18} />
+          <AlertTitle>{getErrorTitle(loadError)}</AlertTitle>
+          <AlertDescription>
+            <p>Failed to load conversations. {loadError.message}</p>
+            {loadError.retryable && (
+              <Button variant="outline" size="sm" onClick={loadConversations} className="retry-button">
+                <RefreshCw size={14} />
+                <span>Try again</span>
+              </Button>
+            )}
+          </AlertDescription>
+        </Alert>
+      )}
+
       {selectedConversation ? (
         <TaskManagementHUD conversationId={selectedConversation} />
       ) : (
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Button } from '../components/ui/button';
+import { ArrowLeft, Check, Server } from 'lucide-react';
+import onFireAPI from '../services/api';
+import { getProfiles, getActiveProfile, getProfileOverride, setProfileOverride, getConfigLoadError } from '../services/config';
+import './DisplaySettings.css';
+
+const SOURCE_LABELS = {
+  display: 'chosen on this display',
+  'config.json': 'from /config.json',
+  build: 'set by this build',
+  default: 'default'
+};
+
+// Hidden screen for installers: which backend this display talks to
+const DisplaySettings = () => {
+  const navigate = useNavigate();
+  const profiles = getProfiles();
+  const active = getActiveProfile();
+  const override = getProfileOverride();
+  const [selected, setSelected] = useState(active.name);
+  const configError = getConfigLoadError();
+
+  // Sessions, caches and queued changes belong to one backend, so switching
+  // signs out and starts the app fresh against the new one
+  const applyProfile = (name) => {
+    console.log('⚙️ Switching API profile to', name || 'the deployed default');
+    onFireAPI.logout();
+    setProfileOverride(name);
+    window.location.assign('/');
+  };
+
+  return (
+    <div className="display-settings-container">
+      <div className="display-settings-header">
+        <Button variant="outline" size="icon" className="refresh-button" onClick={() => navigate('/')} title="Back">
+          <ArrowLeft size={18} />
+        </Button>
+        <h1 className="display-settings-title">Display Settings</h1>
+      </div>
+
+      <div className="display-settings-card">
+        <h2><Server size={18} /> Backend</h2>
+        <p className="display-settings-hint">
+          Using <strong>{profiles[active.name]?.label}</strong> ({SOURCE_LABELS[active.source]}).
+          Switching signs this display out.
+        </p>
+        {configError && (
+          <p className="display-settings-warning">/config.json could not be read ({configError}); build defaults apply.</p>
+        )}
+
+        <div className="profile-list">
+          {Object.entries(profiles).map(([name, profile]) => (
+            <button
+              key={name}
+              className={`profile-option ${selected === name ? 'selected' : ''}`}
+              onClick={() => setSelected(name)}
+              disabled={!profile.apiBaseUrl}
+            >
+              <div>
+                <div className="profile-label">
+                  {profile.label}
+                  {active.name === name && <span className="profile-active"><Check size={14} /> In use</span>}
+                </div>
+                <div className="profile-url">{profile.apiBaseUrl || 'Not configured for this deployment'}</div>
+              </div>
+            </button>
+          ))}
+        </div>
+
+        <div className="display-settings-actions">
+          {override && (
+            <Button variant="outline" className="display-settings-reset" onClick={() => applyProfile(null)}>
+              Use deployed default
+            </Button>
+          )}
+          <Button
+            className="display-settings-apply"
+            disabled={selected === active.name}
+            onClick={() => applyProfile(selected)}
+          >
+            Switch to {profiles[selected]?.label}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DisplaySettings;
@@ -6,6 +6,7 @@ import { Label } from '../components/ui/label';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
 import QRCode from 'qrcode';
 import onFireAPI from '../services/api';
+import { startQrLogin } from '../services/qrSession';
 import './Login.css';
 
 const Login = () => {
@@ -17,17 +18,28 @@ const Login = () => {
   const navigate = useNavigate();
   
   // QR Code states
-  const [qrCode, setQrCode] = useState(null);
   const [qrStatus, setQrStatus] = useState('generating');
   const [qrMessage, setQrMessage] = useState('Generating QR code...');
   const [timeRemaining, setTimeRemaining] = useState(null);
   const [showDisplayModal, setShowDisplayModal] = useState(false);
   const [displayName, setDisplayName] = useState('');
+  // Offline changes left from a session that ended (e.g. expired tokens)
+  const [queuedChanges, setQueuedChanges] = useState(onFireAPI.getOfflineState().held);
   const canvasRef = useRef(null);
-  const pollingRef = useRef(null);
+  const qrSessionRef = useRef(null);
   const timerRef = useRef(null);
   const expiresAtRef = useRef(null);
-  const qrCodeRef = useRef(null); // Use ref to avoid stale closure
+  const titleTapsRef = useRef([]);
+
+  // Hidden entry to the display settings: five taps on the title within 3s
+  const handleTitleTap = () => {
+    const now = Date.now();
+    titleTapsRef.current = [...titleTapsRef.current.filter(t => now - t < 3000), now];
+    if (titleTapsRef.current.length >= 5) {
+      titleTapsRef.current = [];
+      navigate('/display-settings');
+    }
+  };
 
   // Email/Password login
   const handleSubmit = async (e) => {
@@ -51,57 +63,48 @@ const Login = () => {
   };
 
   // QR Code functions
-  const getClientIP = async () => {
-    try {
-      const response = await fetch('https://api.ipify.org?format=json');
-      const data = await response.json();
-      return data.ip;
-    } catch {
-      return '0.0.0.0';
-    }
+
+  // The session shows a code, waits for the phone app to confirm it and
+  // swaps in a fresh code whenever one expires, so the screen can be left alone
+  const startQRSession = () => {
+    stopQRSession();
+    setQrStatus('generating');
+    setQrMessage('Generating QR code...');
+
+    qrSessionRef.current = startQrLogin({
+      onSession: handleQRSession,
+      onConfirmed: handleQRConfirmed,
+      onError: handleQRError
+    });
   };
 
-  const generateQRSession = async () => {
-    try {
-      setQrStatus('generating');
-      setQrMessage('Generating QR code...');
-      
-      const response = await fetch('https://api2.onfire.so/rpc/generate_qr_session', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          p_ip_address: await getClientIP(),
-          p_user_agent: navigator.userAgent
-        })
-      });
+  const stopQRSession = () => {
+    qrSessionRef.current?.stop();
+    qrSessionRef.current = null;
+    stopTimer();
+  };
 
-      const data = await response.json();
-      
-      if (data.success) {
-        console.log('✅ QR Session generated:', data);
-        console.log('📱 QR Code:', data.qr_code);
-        console.log('⏰ API Expires at:', data.expires_at);
-        
-        setQrCode(data.qr_code);
-        qrCodeRef.current = data.qr_code; // Store in ref for polling
-        
-        // Override expiration to 15 seconds from now (instead of API's 5 minutes)
-        const customExpiration = new Date(Date.now() + 15 * 1000); // 15 seconds
-        expiresAtRef.current = customExpiration;
-        console.log('⏰ Custom expiration set to 15 seconds:', customExpiration);
-        
-        await displayQRCode(data.qr_code);
-        startPolling();
-        setQrStatus('waiting');
-        setQrMessage('Waiting for mobile app to scan...');
-      } else {
-        throw new Error('Failed to generate QR session');
-      }
-    } catch (error) {
-      console.error('❌ Error generating QR:', error);
-      setQrStatus('error');
-      setQrMessage('Error generating QR code. Please refresh.');
-    }
+  const handleQRSession = async ({ qrCode, expiresAt }) => {
+    console.log('✅ QR Session generated:', qrCode);
+    expiresAtRef.current = expiresAt;
+    await displayQRCode(qrCode);
+    setQrStatus('waiting');
+    setQrMessage('Waiting for mobile app to scan...');
+    startTimer();
+  };
+
+  const handleQRError = (error, { retryIn }) => {
+    expiresAtRef.current = null;
+    stopTimer();
+    setTimeRemaining(null);
+    setQrStatus('error');
+    setQrMessage(`Could not get a QR code. Retrying in ${Math.ceil(retryIn / 1000)}s, or tap to retry now.`);
+  };
+
+  const retryQRCode = () => {
+    setQrStatus('generating');
+    setQrMessage('Generating QR code...');
+    qrSessionRef.current?.regenerate();
   };
 
   const displayQRCode = async (code) => {
@@ -118,22 +121,20 @@ const Login = () => {
     }
   };
 
-  const startPolling = () => {
-    console.log('🔄 Starting QR status polling (every 2 seconds)...');
-    // Call immediately first time
-    checkQRStatus();
-    // Then poll every 2 seconds
-    pollingRef.current = setInterval(checkQRStatus, 2000);
-    
-    // Start timer countdown
-    startTimer();
-  };
-
   const startTimer = () => {
+    stopTimer();
     updateTimer();
     timerRef.current = setInterval(updateTimer, 1000);
   };
 
+  const stopTimer = () => {
+    if (timerRef.current) {
+      clearInterval(timerRef.current);
+      timerRef.current = null;
+    }
+  };
+
+  // Countdown only: the session replaces the code itself when it runs out
   const updateTimer = () => {
     if (!expiresAtRef.current) return;
     
@@ -147,288 +148,65 @@ const Login = () => {
       setTimeRemaining(`${minutes}:${secs.toString().padStart(2, '0')}`);
     } else {
       setTimeRemaining(null);
-      handleQRExpired();
-    }
-  };
-
-  const checkQRStatus = async () => {
-    const currentQrCode = qrCodeRef.current;
-    console.log('🔍 checkQRStatus called, qrCode:', currentQrCode);
-    
-    if (!currentQrCode) {
-      console.log('⚠️ No QR code set, skipping check');
-      return;
-    }
-    
-    try {
-      console.log('🌐 Fetching status for QR:', currentQrCode);
-      const response = await fetch('https://api2.onfire.so/rpc/check_qr_status', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ p_qr_code: currentQrCode })
-      });
-
-      const data = await response.json();
-      console.log('📡 QR Status Response:', data);
-      
-      if (!data || !data.success) {
-        console.error('❌ Invalid response from check_qr_status', data);
-        return;
-      }
-      
-      if (data.status === 'confirmed' && data.jwt_token) {
-        console.log('✅ QR Code confirmed! JWT Token received');
-        console.log('📺 Display ID:', data.display_id);
-        stopPolling();
-        
-        // Check if display_id is present
-        if (data.display_id) {
-          handleDisplayLinked(data.jwt_token, data.display_id);
-        } else {
-          // Fallback: No display linked (regular login)
-          handleQRSuccess(data.jwt_token);
-        }
-      } else if (data.status === 'expired') {
-        console.log('⏰ QR Code expired');
-        stopPolling();
-        handleQRExpired();
-      } else if (data.status === 'pending') {
-        console.log('⏳ Still pending... (polling continues)');
-        // Continue polling
-      } else {
-        console.log('❓ Unknown status:', data.status);
-      }
-    } catch (error) {
-      console.error('❌ Status check error:', error);
-      console.error('Error details:', error.message, error.stack);
     }
   };
 
-  const handleQRSuccess = async (jwtToken) => {
+  const handleQRConfirmed = async (result) => {
     console.log('🎉 QR Login successful!');
+    stopTimer();
+    const { display } = await onFireAPI.completeQrLogin(result);
+    console.log('✅ isAuthenticated:', onFireAPI.isAuthenticated());
     setQrStatus('success');
-    setQrMessage('✅ Login successful! Redirecting...');
-    
-    try {
-      // Fetch user data first
-      const userResponse = await fetch('https://api2.onfire.so/users?select=id,email,username,first_name,last_name', {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${jwtToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      let userData = null;
-      if (userResponse.ok) {
-        const users = await userResponse.json();
-        if (users && users.length > 0) {
-          userData = users[0];
-          console.log('✅ User data fetched:', userData);
-        }
-      }
-      
-      // Store in localStorage
-      localStorage.setItem('onfire_access_token', jwtToken);
-      localStorage.setItem('onfire_refresh_token', jwtToken);
-      if (userData) {
-        localStorage.setItem('onfire_user_data', JSON.stringify(userData));
-      }
-      
-      // Store JWT as cookie for *.onfire.so domain
-      const isProduction = window.location.hostname.includes('onfire.so');
-      if (isProduction) {
-        document.cookie = `jwt=${jwtToken}; Domain=.onfire.so; Secure; Path=/`;
-        console.log('✅ Cookie "jwt" set for *.onfire.so domain');
-      } else {
-        // Localhost: set cookie without domain restriction
-        document.cookie = `jwt=${jwtToken}; Path=/`;
-        console.log('✅ Cookie "jwt" set for localhost (testing)');
-      }
-      
-      // IMPORTANT: Initialize onFireAPI instance variables
-      // This is critical for isAuthenticated() to work
-      onFireAPI.accessToken = jwtToken;
-      onFireAPI.refreshToken = jwtToken;
-      onFireAPI.userData = userData;
-      
-      console.log('✅ OnFireAPI instance initialized');
-      console.log('✅ isAuthenticated:', onFireAPI.isAuthenticated());
-      
-      // Wait a bit for all state to settle, then navigate
-      setTimeout(() => {
-        console.log('🚀 Navigating to dashboard...');
-        navigate('/dashboard');
-      }, 500);
-    } catch (error) {
-      console.error('❌ Error in QR login success handler:', error);
-      // Even on error, try to set basic auth
-      localStorage.setItem('onfire_access_token', jwtToken);
-      localStorage.setItem('onfire_refresh_token', jwtToken);
-      onFireAPI.accessToken = jwtToken;
-      onFireAPI.refreshToken = jwtToken;
-      
+
+    if (display?.name) {
+      // Show display success modal, auto-dismiss after 3 seconds and navigate
+      console.log('✅ Display linked:', display);
+      setDisplayName(display.name);
+      setShowDisplayModal(true);
+      setQrMessage('');
+
       setTimeout(() => {
+        setShowDisplayModal(false);
         navigate('/dashboard');
-      }, 500);
-    }
-  };
-
-  const handleDisplayLinked = async (jwtToken, displayId) => {
-    console.log('📺 Display linked! Fetching display info...');
-    
-    try {
-      // Fetch display information
-      const displayResponse = await fetch(`https://api2.onfire.so/displays?id=eq.${displayId}&select=id,name`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${jwtToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      let displayInfo = null;
-      if (displayResponse.ok) {
-        const displays = await displayResponse.json();
-        if (displays && displays.length > 0) {
-          displayInfo = displays[0];
-          console.log('✅ Display info fetched:', displayInfo);
-        }
-      }
-      
-      // Fetch user data
-      const userResponse = await fetch('https://api2.onfire.so/users?select=id,email,username,first_name,last_name', {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${jwtToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      let userData = null;
-      if (userResponse.ok) {
-        const users = await userResponse.json();
-        if (users && users.length > 0) {
-          userData = users[0];
-          console.log('✅ User data fetched:', userData);
-        }
-      }
-      
-      // Store in localStorage
-      localStorage.setItem('onfire_access_token', jwtToken);
-      localStorage.setItem('onfire_refresh_token', jwtToken);
-      localStorage.setItem('onfire_display_id', displayId);
-      if (userData) {
-        localStorage.setItem('onfire_user_data', JSON.stringify(userData));
-      }
-      
-      // Store JWT as cookie for *.onfire.so domain
-      const isProduction = window.location.hostname.includes('onfire.so');
-      if (isProduction) {
-        document.cookie = `jwt=${jwtToken}; Domain=.onfire.so; Secure; Path=/`;
-        console.log('✅ Cookie "jwt" set for *.onfire.so domain');
-      } else {
-        // Localhost: set cookie without domain restriction
-        document.cookie = `jwt=${jwtToken}; Path=/`;
-        console.log('✅ Cookie "jwt" set for localhost (testing)');
-      }
-      
-      // Initialize onFireAPI instance variables
-      onFireAPI.accessToken = jwtToken;
-      onFireAPI.refreshToken = jwtToken;
-      onFireAPI.userData = userData;
-      
-      console.log('✅ OnFireAPI initialized with display');
-      
-      // Show display success modal
-      if (displayInfo && displayInfo.name) {
-        setDisplayName(displayInfo.name);
-        setShowDisplayModal(true);
-        setQrStatus('success');
-        setQrMessage('');
-        
-        // Auto-dismiss modal after 3 seconds and navigate
-        setTimeout(() => {
-          setShowDisplayModal(false);
-          navigate('/dashboard');
-        }, 3000);
-      } else {
-        // No display name found, navigate immediately
-        setTimeout(() => {
-          navigate('/dashboard');
-        }, 500);
-      }
-    } catch (error) {
-      console.error('❌ Error fetching display info:', error);
-      // On error, still set basic auth and navigate
-      localStorage.setItem('onfire_access_token', jwtToken);
-      localStorage.setItem('onfire_refresh_token', jwtToken);
-      localStorage.setItem('onfire_display_id', displayId);
-      onFireAPI.accessToken = jwtToken;
-      onFireAPI.refreshToken = jwtToken;
-      
+      }, 3000);
+    } else {
+      setQrMessage('✅ Login successful! Redirecting...');
       setTimeout(() => {
+        console.log('🚀 Navigating to dashboard...');
         navigate('/dashboard');
       }, 500);
     }
   };
 
-  const handleQRExpired = () => {
-    setQrStatus('expired');
-    setQrMessage('⏰ QR code expired. Click to refresh.');
-    setTimeRemaining(null);
-  };
-
-  const stopPolling = () => {
-    if (pollingRef.current) {
-      clearInterval(pollingRef.current);
-      pollingRef.current = null;
-    }
-    if (timerRef.current) {
-      clearInterval(timerRef.current);
-      timerRef.current = null;
-    }
-  };
-
-  const refreshQRCode = () => {
-    stopPolling();
-    setQrCode(null);
-    qrCodeRef.current = null;
-    setTimeRemaining(null);
-    generateQRSession();
-  };
-
-  // Initialize QR code when tab is switched
   useEffect(() => {
-    if (activeTab === 'qr' && !qrCode) {
-      generateQRSession();
-    }
-    
-    // Cleanup on unmount or tab switch
-    return () => {
-      if (activeTab !== 'qr') {
-        stopPolling();
-      }
-    };
-  }, [activeTab]);
+    return onFireAPI.onOfflineStateChange(state => setQueuedChanges(state.held));
+  }, []);
 
-  // Cleanup on component unmount (e.g., when navigating away)
+  // Run the QR session while its tab is open; leaving the tab or the page stops it
   useEffect(() => {
+    if (activeTab !== 'qr') return undefined;
+    startQRSession();
     return () => {
-      console.log('🧹 Login component unmounting, stopping all polling...');
-      stopPolling();
+      console.log('🧹 Leaving QR login, stopping the QR session...');
+      stopQRSession();
     };
-  }, []);
+  }, [activeTab]);
 
   return (
     <div className="login-container">
       <div className="login-content">
         <Card className="login-card">
           <CardHeader>
-            <CardTitle className="login-title">Welcome Back</CardTitle>
+            <CardTitle className="login-title" onClick={handleTitleTap}>Welcome Back</CardTitle>
             <CardDescription>Sign in to access your Task Management HUD</CardDescription>
           </CardHeader>
           <CardContent>
+            {queuedChanges > 0 && (
+              <div className="queued-changes-notice">
+                📮 {queuedChanges} offline change{queuedChanges === 1 ? '' : 's'} will sync once the account that made them signs in again
+              </div>
+            )}
+
             {/* Tab Navigation */}
             <div className="login-tabs">
               <button
@@ -487,24 +265,24 @@ const Login = () => {
             {activeTab === 'qr' && (
               <div className="qr-login-container">
                 <div 
-                  className={`qr-code-wrapper ${qrStatus === 'expired' ? 'expired' : ''}`}
-                  onClick={qrStatus === 'expired' ? refreshQRCode : undefined}
-                  style={{ cursor: qrStatus === 'expired' ? 'pointer' : 'default' }}
+                  className={`qr-code-wrapper ${qrStatus === 'error' ? 'expired' : ''}`}
+                  onClick={qrStatus === 'error' ? retryQRCode : undefined}
+                  style={{ cursor: qrStatus === 'error' ? 'pointer' : 'default' }}
                 >
                   <canvas ref={canvasRef} id="qr-canvas"></canvas>
-                  {qrStatus === 'expired' && (
+                  {qrStatus === 'error' && (
                     <div className="reload-overlay">
                       <div className="reload-icon">🔄</div>
                     </div>
                   )}
-                  {timeRemaining && qrStatus !== 'expired' && (
+                  {timeRemaining && qrStatus === 'waiting' && (
                     <div className="qr-timer">Expires in {timeRemaining}</div>
                   )}
                 </div>
                 
                 <div className={`qr-status-message ${qrStatus}`}>
-                  {qrStatus === 'waiting' && <span className="loading-spinner"></span>}
-                  {qrStatus !== 'expired' && qrMessage}
+                  {(qrStatus === 'waiting' || qrStatus === 'generating') && <span className="loading-spinner"></span>}
+                  {qrMessage}
                 </div>
 
                 <div className="qr-instructions">
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Button } from '../components/ui/button';
+import { ArrowLeft, RefreshCw, Wrench } from 'lucide-react';
+import onFireAPI from '../services/api';
+import { reconcileConversation, repairIssue, ISSUE_LABELS } from '../services/reconciliation';
+import { getCurrencySettings, formatAmount } from '../services/currency';
+import { getReversalPin } from '../services/conversationSettings';
+import PinDialog from '../components/PinDialog';
+import './Reconciliation.css';
+
+const Reconciliation = () => {
+  const { conversationId } = useParams();
+  const navigate = useNavigate();
+  const [report, setReport] = useState(null);
+  const [people, setPeople] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showAll, setShowAll] = useState(false);
+  const [repairing, setRepairing] = useState(null);
+  // Repair waiting for the display PIN
+  const [pinRequest, setPinRequest] = useState(null);
+  const currency = getCurrencySettings(conversationId);
+  const reversalPin = getReversalPin(conversationId);
+
+  const loadReport = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const [result, participants] = await Promise.all([
+        reconcileConversation(conversationId),
+        onFireAPI.getConversationParticipants(conversationId)
+      ]);
+      const names = {};
+      participants.forEach(p => {
+        names[p.user_id] = p.first_name || p.username || `User ${p.user_id.substring(0, 8)}`;
+      });
+      console.log('Reconciliation report:', result);
+      setPeople(names);
+      setReport(result);
+    } catch (err) {
+      console.error('Reconciliation failed:', err);
+      setError('Failed to load transactions for this conversation. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [conversationId]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  // Repairs pay out or reverse payouts: behind the display PIN when one is set
+  const handleRepair = (issue, row, key) => {
+    if (reversalPin) {
+      setPinRequest({ issue, row, key });
+    } else {
+      runRepair(issue, row, key);
+    }
+  };
+
+  const runRepair = async (issue, row, key) => {
+    setRepairing(key);
+    try {
+      await repairIssue(issue, row, conversationId);
+      await loadReport();
+    } catch (err) {
+      console.error('Repair failed:', err);
+      setError(`Repair failed: ${err.message}`);
+    } finally {
+      setRepairing(null);
+    }
+  };
+
+  const personName = (userId) => (userId ? people[userId] || `User ${userId.substring(0, 8)}` : '—');
+
+  if (loading && !report) {
+    return (
+      <div className="dashboard-loading">
+        <div className="loading-spinner"></div>
+        <p>Checking payouts...</p>
+      </div>
+    );
+  }
+
+  const rows = (report?.rows || []).filter(row => showAll || row.issues.length > 0);
+
+  return (
+    <div className="reconciliation-container">
+      <div className="reconciliation-header">
+        <Button variant="outline" size="icon" className="refresh-button" onClick={() => navigate('/dashboard')} title="Back to tasks">
+          <ArrowLeft size={18} />
+        </Button>
+        <h1 className="reconciliation-title">Payout Reconciliation</h1>
+        <Button variant="outline" size="icon" className="refresh-button" onClick={loadReport} title="Re-run check">
+          <RefreshCw size={18} />
+        </Button>
+      </div>
+
+      {error && <div className="error-banner">{error}</div>}
+
+      {report && (
+        <div className="reconciliation-summary">
+          <span>{report.rows.length} tasks</span>
+          <span>{report.transactionCount} transactions</span>
+          <span className={report.issues.length > 0 ? 'has-issues' : 'all-clear'}>
+            {report.issues.length > 0 ? `${report.issues.length} issue${report.issues.length === 1 ? '' : 's'}` : '✓ Ledger matches tasks'}
+          </span>
+          <label className="reconciliation-toggle">
+            <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+            Show all tasks
+          </label>
+        </div>
+      )}
+
+      <div className="reconciliation-list">
+        {rows.map(row => (
+          <div key={row.task.id} className="reconciliation-row">
+            <div className="reconciliation-task">
+              <div className="reconciliation-task-title">{row.task.title}</div>
+              <div className="reconciliation-task-meta">
+                {row.task.status} · reward {formatAmount(row.expectedAmount, currency)} · {row.sends.length} send / {row.unsends.length} unsend
+                {row.recipient && ` · ${personName(row.recipient)}`}
+              </div>
+            </div>
+            <div className="reconciliation-issues">
+              {row.pending && <span className="issue-pending">Waiting to sync</span>}
+              {!row.pending && row.issues.length === 0 && <span className="issue-ok">OK</span>}
+              {row.issues.map((issue, index) => {
+                const key = `${row.task.id}-${index}`;
+                return (
+                  <div key={key} className={`reconciliation-issue ${issue.type}`}>
+                    <div>
+                      <div className="issue-label">{ISSUE_LABELS[issue.type]}</div>
+                      <div className="issue-message">{issue.message}</div>
+                    </div>
+                    <Button
+                      size="sm"
+                      className="repair-button"
+                      disabled={repairing !== null}
+                      onClick={() => handleRepair(issue, row, key)}
+                    >
+                      <Wrench size={14} />
+                      <span>{repairing === key ? 'Repairing...' : 'Repair'}</span>
+                    </Button>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+        {rows.length === 0 && report && (
+          <div className="no-conversation">
+            <p>No payout issues found for this conversation</p>
+          </div>
+        )}
+      </div>
+
+      <PinDialog
+        open={!!pinRequest}
+        pin={reversalPin || ''}
+        title="Enter PIN to repair"
+        description={pinRequest ? `${ISSUE_LABELS[pinRequest.issue.type]} for "${pinRequest.row.task.title}"` : ''}
+        onConfirm={() => {
+          const { issue, row, key } = pinRequest;
+          setPinRequest(null);
+          runRepair(issue, row, key);
+        }}
+        onOpenChange={(open) => !open && setPinRequest(null)}
+      />
+    </div>
+  );
+};
+
+export default Reconciliation;
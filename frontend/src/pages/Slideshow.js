@@ -1,9 +1,10 @@
 import React from 'react';
+import { getConfig } from '../services/config';
 import './Slideshow.css';
 
 const Slideshow = () => {
-  // Get the slideshow URL - can be made dynamic later
-  const slideshowUrl = 'https://api2.onfire.so/s/slideshow';
+  // Served by the backend of the active profile
+  const { slideshowUrl } = getConfig();
 
   return (
     <div className="slideshow-container">
@@ -1,7 +1,96 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import './TaskManagementHUD.css';
-import { Coins } from 'lucide-react';
+import { AlertTriangle, Coins, Columns3, LayoutGrid, Pencil, Plus, Settings } from 'lucide-react';
 import onFireAPI from '../services/api';
+import { getErrorTitle } from '../services/apiErrors';
+import { Alert, AlertTitle, AlertDescription } from '../components/ui/alert';
+import { showErrorToast } from '../components/ErrorToast';
+import TaskEditorDialog from '../components/TaskEditorDialog';
+import ConversationSettingsDialog from '../components/ConversationSettingsDialog';
+import ApprovalsPanel from '../components/ApprovalsPanel';
+import TaskFilterBar from '../components/TaskFilterBar';
+import { getSavedFilters, saveFilters, applyTaskFilters } from '../services/taskFilters';
+import {
+  inputToTaskColumns,
+  getCompletionCandidates,
+  isAllowedCompleter,
+  isAssigneesOnly,
+  isApprovalRequired,
+  TASK_STATUSES,
+  TASK_STATUS_LABELS,
+  getStatusLabel,
+  getBoardStatus,
+  MANUAL_STATUSES,
+  canTransition,
+  getTransitionColumns,
+  getDueState
+} from '../services/tasks';
+import { onConversationSettingsChange, getUndoSeconds, getReversalPin } from '../services/conversationSettings';
+import { loadSharedSettings, applySharedSettingsRow } from '../services/sharedSettings';
+import PinDialog from '../components/PinDialog';
+import { showUndoToast } from '../components/UndoToast';
+import { subscribeToConversation } from '../services/realtime';
+import { calculateReward, getRewardRules } from '../services/rewards';
+import { getGoals, getGoalProgress, getPeriodAmounts, getConversationTimeZone, setConversationGoals, setPersonGoals, hasPersonGoals } from '../services/goals';
+import { getCurrencySettings, formatAmount, formatFiatEquivalent } from '../services/currency';
+import { toDateKey, toMonthKey, getIsoWeek, addDays, formatRelativeTime } from '../lib/time';
+import { describeRecurrence, formatOccurrence } from '../services/recurrence';
+import { startRecurrenceScheduler, getReopenTime, getUpcomingOccurrence } from '../services/scheduler';
+import {
+  completeTaskWithPayout,
+  uncompleteTaskWithReversal,
+  submitForApproval,
+  approveCompletion,
+  rejectCompletion,
+  getPendingPayouts,
+  getPaidAmounts,
+  retryPendingPayout
+} from '../services/completionService';
+
+const GOAL_PERIODS = [
+  { key: 'daily', label: 'Daily' },
+  { key: 'weekly', label: 'Weekly' },
+  { key: 'monthly', label: 'Monthly' }
+];
+
+// Completed tasks are fetched and rendered in pages of this size
+const COMPLETED_PAGE_SIZE = 60;
+const COMPLETED_RENDER_STEP = 24;
+
+// Grid of cards or kanban board; a display keeps its choice across reloads
+const VIEW_KEY = 'onfire_hud_view';
+
+const PERSON_COLORS = ['#ff6b35', '#ff8c42', '#ff9a56', '#ffa86b', '#ffb680', '#ffc494', '#ffd2a8'];
+
+// Map conversation participants to the people shown on avatars and task cards
+const buildPeopleList = (participants) => participants.map((participant, index) => {
+  const name = participant.first_name || participant.username || `User ${participant.user_id.substring(0, 8)}`;
+  const initial = name[0].toUpperCase();
+  const avatar = participant.avatar_url || null;
+
+  return {
+    id: participant.user_id,
+    name: name,
+    initial: initial,
+    avatar: avatar,
+    color: PERSON_COLORS[index % PERSON_COLORS.length]
+  };
+});
+
+// updated_at the server last gave a task; optimistic rows carry it in
+// server_updated_at since their own updated_at is a local clock reading
+const getServerVersion = (task) => task.server_updated_at || task.updated_at;
+
+// Insert or replace a task in a list with a row from the server, keeping its
+// position if already present (and dropping any optimistic server version)
+const upsertTask = (list, task) => {
+  const index = list.findIndex(t => t.id === task.id);
+  if (index === -1) return [task, ...list];
+  const { server_updated_at, ...current } = list[index];
+  const next = [...list];
+  next[index] = { ...current, ...task };
+  return next;
+};
 
 const TaskManagementHUD = ({ conversationId }) => {
   const [tasks, setTasks] = useState([]);
@@ -9,59 +98,326 @@ const TaskManagementHUD = ({ conversationId }) => {
   const [people, setPeople] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
-  const [modalData, setModalData] = useState({ personName: '', taskTitle: '', coins: 0 });
+  const [modalData, setModalData] = useState({ personName: '', taskTitle: '', amount: 0 });
   const [transactionSummaries, setTransactionSummaries] = useState({});
   const [showEarningsModal, setShowEarningsModal] = useState(false);
   const [selectedPerson, setSelectedPerson] = useState(null);
   const [showAllParticipants, setShowAllParticipants] = useState(false);
+  const [summaryReloadTick, setSummaryReloadTick] = useState(0);
+  const [offlineState, setOfflineState] = useState(onFireAPI.getOfflineState());
+  const [pendingPayouts, setPendingPayouts] = useState([]);
+  // task id -> net amount actually paid for a completed task
+  const [paidAmounts, setPaidAmounts] = useState(() => new Map());
+  const rewardRules = getRewardRules(conversationId);
+  const timeZone = getConversationTimeZone(conversationId);
+  const currency = getCurrencySettings(conversationId);
+  const [editingGoals, setEditingGoals] = useState(false);
+  const [goalDraft, setGoalDraft] = useState({});
+  const [goalScope, setGoalScope] = useState('person');
+  const [goalsVersion, setGoalsVersion] = useState(0);
+  const [editorOpen, setEditorOpen] = useState(false);
+  const [editingTask, setEditingTask] = useState(null);
+  const [actionError, setActionError] = useState('');
+  // ApiError of a task load that left nothing to show for this conversation
+  const [loadError, setLoadError] = useState(null);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [, setSettingsVersion] = useState(0);
+  const [expandedPickerTaskId, setExpandedPickerTaskId] = useState(null);
+  const [view, setView] = useState(() => localStorage.getItem(VIEW_KEY) || 'grid');
+  const [progressDrafts, setProgressDrafts] = useState({});
+  const [filters, setFilters] = useState(() => getSavedFilters(conversationId));
+  const [, setClockTick] = useState(0);
+  const [completedTotal, setCompletedTotal] = useState(0);
+  const [visibleCompleted, setVisibleCompleted] = useState(COMPLETED_RENDER_STEP);
+  const [loadingMoreCompleted, setLoadingMoreCompleted] = useState(false);
+  const completedSentinelRef = useRef(null);
+  const assigneesOnly = isAssigneesOnly(conversationId);
+  const requiresApproval = isApprovalRequired(conversationId);
+  const currentUserId = onFireAPI.getCurrentUserId();
+  const undoSeconds = getUndoSeconds(conversationId);
+  const reversalPin = getReversalPin(conversationId);
+  const [pendingActionIds, setPendingActionIds] = useState([]);
+  const [pinRequest, setPinRequest] = useState(null);
 
+  // Optimistic local edits: taskId -> the server's updated_at the edit was
+  // made on. Realtime rows no newer than that predate our change and are
+  // skipped; the server stamps our own write later, so its echo goes through.
+  const pendingLocalRef = useRef(new Map());
+  const completedIdsRef = useRef(new Set());
+  const loadedConversationRef = useRef(null);
+  const pendingMutationsRef = useRef(offlineState.pending);
+  // Deferred complete/reopen actions still inside their undo window: taskId -> { timeout, toast }
+  const deferredActionsRef = useRef(new Map());
+  // Deferred actions run with the latest handlers, not the ones from tap time
+  const actionsRef = useRef({});
+  // Aborts the summary load in flight when a newer one starts or the conversation changes
+  const summaryAbortRef = useRef(null);
+  // Requests belong to the conversation they were made for: switching
+  // conversations aborts them, and late responses are dropped
+  const requestScopeRef = useRef({ conversationId: null, controller: null });
+
+  // Offline banner, plus a reload once queued mutations have been replayed
   useEffect(() => {
-    if (conversationId) {
-      loadTasks();
-    }
+    return onFireAPI.onOfflineStateChange((state) => {
+      const flushed = pendingMutationsRef.current > 0 && state.pending === 0;
+      pendingMutationsRef.current = state.pending;
+      setOfflineState(state);
+      if (flushed && !state.offline) {
+        console.log('Outbox replayed, reloading tasks and summaries');
+        loadTasks();
+        setSummaryReloadTick(tick => tick + 1);
+      }
+    });
+  }, [conversationId]);
+
+  // Re-render when group settings (e.g. the assignees-only policy) change
+  useEffect(() => {
+    return onConversationSettingsChange((changedId) => {
+      if (changedId === conversationId) setSettingsVersion(v => v + 1);
+    });
+  }, [conversationId]);
+
+  // Actions still waiting out their undo window are dropped when the
+  // conversation changes
+  useEffect(() => {
+    const deferred = deferredActionsRef.current;
+    return () => {
+      deferred.forEach(({ timeout, toast }, taskId) => {
+        console.log('Dropping deferred action for task', taskId);
+        clearTimeout(timeout);
+        toast.dismiss();
+      });
+      deferred.clear();
+      setPendingActionIds([]);
+    };
+  }, [conversationId]);
+
+  useEffect(() => {
+    completedIdsRef.current = new Set(completedTasks.map(t => t.id));
+  }, [completedTasks]);
+
+  useEffect(() => {
+    if (!conversationId) return;
+
+    let channel = null;
+    const scope = { conversationId, controller: new AbortController() };
+    requestScopeRef.current = scope;
+    pendingLocalRef.current.clear();
+    setPendingPayouts(getPendingPayouts(conversationId));
+
+    // Group settings other displays saved; until they arrive this display's
+    // last known copy applies
+    loadSharedSettings(conversationId, { signal: scope.controller.signal }).catch(error => {
+      if (!scope.controller.signal.aborted) console.error('Could not load group settings:', error);
+    });
+
+    loadTasks().then(({ tasks: loadedTasks, participants, cursor }) => {
+      if (scope.controller.signal.aborted) return;
+      channel = subscribeToConversation(conversationId, {
+        onTaskChange: applyRemoteTaskChange,
+        // Cancelled by leaving the conversation: nothing to update
+        onParticipantsChange: () => loadParticipants(conversationId).catch(() => {}),
+        onSettingsChange: applySharedSettingsRow
+      });
+      channel.seed(loadedTasks, participants, cursor);
+    });
+
+    return () => {
+      console.log('Leaving conversation, cancelling its requests:', conversationId);
+      scope.controller.abort();
+      channel?.stop();
+    };
+  }, [conversationId]);
+
+  // Each conversation reopens with the filters last used for it on this display
+  useEffect(() => {
+    setFilters(getSavedFilters(conversationId));
+  }, [conversationId]);
+
+  // Completed gallery: render more as its end scrolls into view, and fetch
+  // the next page from the server once everything loaded is shown
+  useEffect(() => {
+    const sentinel = completedSentinelRef.current;
+    if (!sentinel || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) showMoreCompleted();
+    }, { rootMargin: '400px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [visibleCompleted, completedTasks.length, completedTotal, loadingMoreCompleted, view]);
+
+  useEffect(() => {
+    setVisibleCompleted(COMPLETED_RENDER_STEP);
+  }, [conversationId]);
+
+  // Re-render every minute so due badges and relative times stay current
+  useEffect(() => {
+    const timer = setInterval(() => setClockTick(tick => tick + 1), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Recurring tasks come back on their schedule
+  useEffect(() => {
+    if (!conversationId) return;
+    return startRecurrenceScheduler(conversationId, {
+      getTimeZone: () => getConversationTimeZone(conversationId),
+      onCreated: (created) => {
+        if (!isCurrentConversation(conversationId)) return;
+        setTasks(prev => created.reduce((list, task) => upsertTask(list, task), prev));
+      }
+    });
   }, [conversationId]);
 
   useEffect(() => {
     if (people.length > 0) {
       loadTransactionSummaries();
     }
-  }, [people]);
+  }, [people, summaryReloadTick]);
+
+  // What was actually paid per completed task, refreshed with the summaries
+  // since every payout or reversal reloads them
+  const completedIdsKey = completedTasks.map(t => t.id).join(',');
+  useEffect(() => {
+    const taskIds = completedIdsKey ? completedIdsKey.split(',') : [];
+    if (taskIds.length === 0) {
+      setPaidAmounts(new Map());
+      return;
+    }
+    const controller = new AbortController();
+    getPaidAmounts(taskIds, { signal: controller.signal })
+      .then(amounts => {
+        if (!controller.signal.aborted) setPaidAmounts(amounts);
+      })
+      .catch(error => {
+        if (!controller.signal.aborted) console.error('Error loading paid amounts:', error);
+      });
+    return () => controller.abort();
+  }, [completedIdsKey, transactionSummaries]);
+
+  useEffect(() => {
+    return () => {
+      summaryAbortRef.current?.abort();
+      summaryAbortRef.current = null;
+    };
+  }, [conversationId]);
+
+  const applyRemoteTaskChange = (change) => {
+    if (change.type === 'delete') {
+      pendingLocalRef.current.delete(change.id);
+      setTasks(prev => prev.filter(t => t.id !== change.id));
+      setCompletedTasks(prev => prev.filter(t => t.id !== change.id));
+      return;
+    }
+
+    const task = change.task;
+    const localVersion = pendingLocalRef.current.get(task.id);
+    if (localVersion && task.updated_at && task.updated_at <= localVersion) {
+      console.log('Realtime: skipping stale update for locally changed task', task.id);
+      return;
+    }
+    pendingLocalRef.current.delete(task.id);
+
+    const isCompleted = task.status === 'completed';
+    const wasCompleted = completedIdsRef.current.has(task.id);
+
+    if (isCompleted) {
+      setTasks(prev => prev.filter(t => t.id !== task.id));
+      setCompletedTasks(prev => upsertTask(prev, task));
+    } else {
+      setCompletedTasks(prev => prev.filter(t => t.id !== task.id));
+      setTasks(prev => upsertTask(prev, task));
+    }
+
+    // Completion changed elsewhere (e.g. the mobile app): earnings moved too.
+    // A reopened task no longer names its completer, so all summaries reload.
+    if (isCompleted !== wasCompleted) {
+      onFireAPI.invalidateSummaries(isCompleted ? [task.created_by_user_id, task.completed_by_user_id] : undefined);
+      setSummaryReloadTick(tick => tick + 1);
+    }
+  };
+
+  // Is `convId` still the conversation on screen? Checked after every await
+  // whose result would otherwise land in another conversation's state.
+  const isCurrentConversation = (convId) => {
+    const scope = requestScopeRef.current;
+    return scope.conversationId === convId && !scope.controller?.signal.aborted;
+  };
+
+  // Resolves with null (and leaves `people` alone) when the conversation
+  // changed meanwhile; rejects only if the request itself was cancelled
+  const loadParticipants = async (convId) => {
+    const signal = requestScopeRef.current.controller?.signal;
+    console.log('Fetching conversation participants for:', convId);
+    const participants = await onFireAPI.getConversationParticipants(convId, { signal });
+    if (!isCurrentConversation(convId)) return null;
+    console.log('Fetched conversation participants:', participants);
 
+    const peopleList = buildPeopleList(participants);
+    console.log('Generated people list with avatars:', peopleList);
+    setPeople(peopleList);
+    return participants;
+  };
+
+  // One batched load for everyone; only summaries invalidated by a
+  // transaction (or expired) are fetched again
   const loadTransactionSummaries = async () => {
-    console.log('Loading transaction summaries for people:', people);
-    const summaries = {};
-    
-    for (const person of people) {
-      try {
-        const summary = await onFireAPI.getTransactionSummary(person.id);
-        if (summary) {
-          summaries[person.id] = summary;
-          console.log(`Transaction summary for ${person.name}:`, summary);
-        }
-      } catch (error) {
-        console.error(`Error loading summary for ${person.name}:`, error);
+    // Called from a handler of a conversation we already left
+    if (!isCurrentConversation(conversationId)) return;
+    summaryAbortRef.current?.abort();
+    const controller = new AbortController();
+    summaryAbortRef.current = controller;
+
+    try {
+      const summaries = await onFireAPI.getTransactionSummaries(people.map(p => p.id), { signal: controller.signal });
+      if (controller.signal.aborted) return;
+      // Keep the previous value for anyone whose summary failed to load
+      setTransactionSummaries(prev => {
+        const next = {};
+        people.forEach(person => {
+          const summary = summaries[person.id] || prev[person.id];
+          if (summary) next[person.id] = summary;
+        });
+        return next;
+      });
+      console.log('All transaction summaries loaded:', summaries);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        console.log('Stale transaction summary load cancelled');
+        return;
+      }
+      console.error('Error loading transaction summaries:', error);
+      // The offline banner already explains network failures
+      if (error.kind !== 'network') {
+        showErrorToast({ title: 'Could not load earnings', error, onRetry: () => setSummaryReloadTick(tick => tick + 1) });
       }
+    } finally {
+      if (summaryAbortRef.current === controller) summaryAbortRef.current = null;
     }
-    
-    setTransactionSummaries(summaries);
-    console.log('All transaction summaries loaded:', summaries);
   };
 
+  // A load started for a conversation that is no longer on screen (e.g. a
+  // reload after a payout that finished late) leaves the state untouched
   const loadTasks = async () => {
+    const convId = conversationId;
+    const signal = requestScopeRef.current.controller?.signal;
+    if (!isCurrentConversation(convId)) return { tasks: [], participants: null };
+
     setLoading(true);
+    let apiTasks = [];
+    let participants = null;
+    let cursor = null;
     try {
-      console.log('Loading tasks for conversation:', conversationId);
-      const apiTasks = await onFireAPI.getTasks(conversationId);
+      console.log('Loading tasks for conversation:', convId);
+      const synced = await onFireAPI.syncTasks(convId, { completedLimit: COMPLETED_PAGE_SIZE, signal });
+      if (!isCurrentConversation(convId)) return { tasks: [], participants: null };
+      setLoadError(null);
+      apiTasks = synced.tasks || [];
+      cursor = synced.cursor;
+      setCompletedTotal(synced.completedTotal);
       console.log('Loaded tasks:', apiTasks);
       
-      if (!apiTasks || apiTasks.length === 0) {
-        console.log('No tasks found for this conversation');
-        setTasks([]);
-        setCompletedTasks([]);
-        setPeople([]);
-        return;
-      }
-      
       // Separate completed and active tasks
       const completed = apiTasks.filter(t => t.status === 'completed');
       const active = apiTasks.filter(t => t.status !== 'completed');
@@ -71,36 +427,60 @@ const TaskManagementHUD = ({ conversationId }) => {
       setTasks(active);
       setCompletedTasks(completed);
       
-      // Fetch conversation participants with updated fields
-      console.log('Fetching conversation participants for:', conversationId);
-      const participants = await onFireAPI.getConversationParticipants(conversationId);
-      console.log('Fetched conversation participants:', participants);
-      
-      // Generate people list from ALL conversation participants
-      const colors = ['#ff6b35', '#ff8c42', '#ff9a56', '#ffa86b', '#ffb680', '#ffc494', '#ffd2a8'];
-      const peopleList = participants.map((participant, index) => {
-        const name = participant.first_name || participant.username || `User ${participant.user_id.substring(0, 8)}`;
-        const initial = name[0].toUpperCase();
-        const avatar = participant.avatar_url || null;
-        
-        return {
-          id: participant.user_id,
-          name: name,
-          initial: initial,
-          avatar: avatar,
-          color: colors[index % colors.length]
-        };
-      });
-      
-      console.log('Generated people list with avatars:', peopleList);
-      setPeople(peopleList);
+      // Generate people list from ALL conversation participants, also in an
+      // empty conversation: they are the assignees and completers of its first task
+      participants = await loadParticipants(convId);
+      if (!isCurrentConversation(convId)) return { tasks: [], participants: null };
+      loadedConversationRef.current = convId;
     } catch (error) {
+      if (!isCurrentConversation(convId)) {
+        console.log('Dropping task load for a conversation no longer shown:', convId);
+        return { tasks: [], participants: null };
+      }
       console.error('Error loading tasks:', error);
-      setTasks([]);
-      setCompletedTasks([]);
-      setPeople([]);
+      // Keep showing what we have for this conversation rather than an empty
+      // HUD; with nothing loaded yet the error takes the board's place
+      if (loadedConversationRef.current !== convId) {
+        setTasks([]);
+        setCompletedTasks([]);
+        setPeople([]);
+        setLoadError(error);
+      } else {
+        showErrorToast({ title: 'Could not refresh tasks', error, onRetry: () => loadTasks() });
+      }
+      apiTasks = [];
     } finally {
-      setLoading(false);
+      if (isCurrentConversation(convId)) setLoading(false);
+    }
+    return { tasks: apiTasks || [], participants, cursor };
+  };
+
+  const showMoreCompleted = () => {
+    if (visibleCompleted < completedTasks.length) {
+      setVisibleCompleted(count => count + COMPLETED_RENDER_STEP);
+    } else if (completedTasks.length < completedTotal) {
+      loadMoreCompleted();
+    }
+  };
+
+  const loadMoreCompleted = async () => {
+    if (loadingMoreCompleted) return;
+    const convId = conversationId;
+    const signal = requestScopeRef.current.controller?.signal;
+    setLoadingMoreCompleted(true);
+    try {
+      const page = await onFireAPI.getCompletedTasksPage(convId, completedTasks.length, COMPLETED_PAGE_SIZE, { signal });
+      if (!isCurrentConversation(convId)) return;
+      setCompletedTasks(prev => page.rows.reduce((list, task) => (list.some(t => t.id === task.id) ? list : [...list, task]), prev));
+      if (page.total !== null) setCompletedTotal(page.total);
+      setVisibleCompleted(count => count + COMPLETED_RENDER_STEP);
+    } catch (error) {
+      if (!signal?.aborted) {
+        console.error('Error loading more completed tasks:', error);
+        showErrorToast({ title: 'Could not load more completed tasks', error, onRetry: () => loadMoreCompleted() });
+      }
+    } finally {
+      setLoadingMoreCompleted(false);
     }
   };
 
@@ -110,98 +490,151 @@ const TaskManagementHUD = ({ conversationId }) => {
     
     if (!task || !person) return;
     
+    // Not saved yet: nothing to complete on the server
+    if (String(taskId).startsWith('temp-')) return;
+    
     // Prevent duplicate calls
     if (showModal) return;
     
-    const coins = Math.ceil((task.estimated_time_minutes || 30) / 10);
-    const amount = task.budget_cost || coins;
+    if (!canTransition(task.status, 'completed')) {
+      setActionError(`"${task.title}" is ${getStatusLabel(task.status).toLowerCase()} and cannot be completed yet`);
+      return;
+    }
+    
+    if (!isAllowedCompleter(task, personId, assigneesOnly)) {
+      setActionError(`Only assignees can complete "${task.title}"`);
+      return;
+    }
+    setExpandedPickerTaskId(null);
+    
+    deferTaskAction(task, `Completed by ${person.name}`, () => actionsRef.current.finishCompletion(taskId, personId));
+  };
+
+  // Runs once the undo window has passed; the task may have changed meanwhile
+  const finishCompletion = async (taskId, personId) => {
+    const task = tasks.find(t => t.id === taskId);
+    const person = people.find(p => p.id === personId);
+    if (!task || !person || !canTransition(task.status, 'completed')) {
+      console.log('Task changed during the undo window, not completing it:', taskId);
+      return;
+    }
+    
+    if (requiresApproval) {
+      requestApproval(task, person);
+      return;
+    }
+    
+    await payOutCompletion(task, person);
+  };
+
+  // Destructive taps (complete, reopen) wait `undoSeconds` behind an Undo
+  // toast so a brushed screen can be taken back before anything is paid
+  const deferTaskAction = (task, title, run) => {
+    if (deferredActionsRef.current.has(task.id)) return;
+    if (!undoSeconds) {
+      run();
+      return;
+    }
+
+    const settle = () => {
+      deferredActionsRef.current.delete(task.id);
+      setPendingActionIds(prev => prev.filter(id => id !== task.id));
+    };
+
+    const undo = () => {
+      const deferred = deferredActionsRef.current.get(task.id);
+      if (!deferred) return;
+      console.log('↩️ Undone before it ran:', title, task.id);
+      clearTimeout(deferred.timeout);
+      deferred.toast.dismiss();
+      settle();
+    };
+
+    const timeout = setTimeout(() => {
+      const deferred = deferredActionsRef.current.get(task.id);
+      settle();
+      deferred?.toast.dismiss();
+      run();
+    }, undoSeconds * 1000);
+
+    const toast = showUndoToast({
+      title,
+      description: `"${task.title}" in ${undoSeconds}s`,
+      seconds: undoSeconds,
+      onUndo: undo
+    });
+
+    deferredActionsRef.current.set(task.id, { timeout, toast });
+    setPendingActionIds(prev => [...prev, task.id]);
+  };
+
+  // Complete `task` for `person` and pay them, either directly or when the
+  // creator approves a queued completion
+  const payOutCompletion = async (task, person, approverId = null) => {
+    const taskId = task.id;
+    
+    // The celebrated amount is exactly what gets paid
+    const { amount, breakdown } = calculateReward(task, rewardRules, { completerId: person.id, completedTasks, timeZone });
+    console.log('Reward for task:', amount, breakdown);
     
     setModalData({
       personName: person.name,
       taskTitle: task.title,
-      coins: coins
+      amount: amount,
+      awaitingApproval: false
     });
     setShowModal(true);
     
+    // Move task to completed section right away; the service call below
+    // marks it completed and pays out (or compensates) as one operation
+    const updatedTask = {
+      ...task,
+      ...getTransitionColumns(task, 'completed', { completedBy: person.id }),
+      updated_at: new Date().toISOString(),
+      server_updated_at: getServerVersion(task)
+    };
+    pendingLocalRef.current.set(taskId, getServerVersion(task));
+    setTasks(prevTasks => prevTasks.filter(t => t.id !== taskId));
+    setCompletedTasks(prevCompleted => [...prevCompleted, updatedTask]);
+    console.log('UI updated - task moved to completed section');
+    
     try {
-      // 1. Mark task as completed
-      await onFireAPI.completeTask(taskId, personId);
-      console.log('Task marked as completed');
-      
-      // 2. Immediately update local state to move task to completed section
-      const updatedTask = {
-        ...task,
-        status: 'completed',
-        completed_by_user_id: personId,
-        updated_at: new Date().toISOString()
-      };
-      
-      // Remove from active tasks and add to completed
-      setTasks(prevTasks => prevTasks.filter(t => t.id !== taskId));
-      setCompletedTasks(prevCompleted => [...prevCompleted, updatedTask]);
+      const result = approverId
+        ? await approveCompletion({ task, person, approverId, amount, conversationId })
+        : await completeTaskWithPayout({ task, person, amount, conversationId });
+      console.log(`Task completion finished with status "${result.status}"`);
+      // Paid out; the board now shows another conversation
+      if (!isCurrentConversation(conversationId)) return;
       
-      console.log('UI updated - task moved to completed section');
-      
-      // 3. Create transaction for the budget_cost
-      console.log('Preparing transaction data...');
-      console.log('Task creator ID:', task.created_by_user_id);
-      console.log('Completer ID:', personId);
-      console.log('Amount:', amount);
-      console.log('Task ID:', taskId);
-      
-      // Validate required fields before creating transaction
-      if (!task.created_by_user_id) {
-        console.error('Cannot create transaction: task.created_by_user_id is missing');
-        console.log('Full task object:', task);
+      if (result.status === 'rolled_back') {
+        // Payment failed and the task was reopened: show the real state
+        setShowModal(false);
+        loadTasks();
         return;
       }
-      
-      if (!personId) {
-        console.error('Cannot create transaction: personId is missing');
-        return;
-      }
-      
-      if (!amount || amount <= 0) {
-        console.error('Cannot create transaction: invalid amount', amount);
+
+      if (result.status === 'already_completed') {
+        // Another display completed it first and paid for it
+        setShowModal(false);
+        setActionError(`"${task.title}" was already completed on another display`);
+        loadTasks();
         return;
       }
       
-      const transactionData = {
-        from_user_id: task.created_by_user_id,
-        to_user_id: personId,
-        amount: amount,
-        fee: 0,
-        net_amount: amount,
-        related_entity_type: 'task',
-        related_entity_id: taskId,
-        description: `Payment for completing task: ${task.title}`,
-        notes: `Task completed by ${person.name}`,
-        metadata: {
-          task_id: taskId,
-          task_title: task.title,
-          completed_by: personId,
-          conversation_id: conversationId
-        }
-      };
-      
-      console.log('Transaction data prepared:', JSON.stringify(transactionData, null, 2));
-      
-      try {
-        const result = await onFireAPI.createTransaction(transactionData);
-        console.log('✅ Transaction created successfully:', result);
-        
-        // Reload transaction summaries to update progress bars
-        console.log('Reloading transaction summaries after task completion...');
-        await loadTransactionSummaries();
-        console.log('Transaction summaries refreshed');
-      } catch (txError) {
-        console.error('❌ Transaction creation failed:', txError.message);
-        console.error('Full error:', txError);
+      if (result.status === 'pending_payout') {
+        setPendingPayouts(getPendingPayouts(conversationId));
       }
       
+      // Reload transaction summaries to update progress bars
+      console.log('Reloading transaction summaries after task completion...');
+      await loadTransactionSummaries();
+      console.log('Transaction summaries refreshed');
     } catch (error) {
       console.error('Error completing task or creating transaction:', error);
+      if (!isCurrentConversation(conversationId)) return;
       // Revert UI change on error
+      setShowModal(false);
+      setActionError(`Could not complete "${task.title}": ${error.message}`);
       loadTasks();
     }
 
@@ -211,78 +644,96 @@ const TaskManagementHUD = ({ conversationId }) => {
     }, 3000);
   };
 
-  const uncompleteTask = async (taskId) => {
+  // Approval mode: the task waits in awaiting_approval with its completer
+  // recorded; nothing is paid until the creator approves
+  const requestApproval = (task, person) => {
+    const { amount } = calculateReward(task, rewardRules, { completerId: person.id, completedTasks, timeZone });
+    setModalData({
+      personName: person.name,
+      taskTitle: task.title,
+      amount: amount,
+      awaitingApproval: true
+    });
+    setShowModal(true);
+    setTimeout(() => {
+      setShowModal(false);
+    }, 3000);
+
+    updateOpenTask(
+      task,
+      getTransitionColumns(task, 'awaiting_approval', { completedBy: person.id }),
+      () => submitForApproval({ task, person, conversationId })
+    );
+  };
+
+  const approveTask = (task) => {
+    const person = people.find(p => p.id === task.completed_by_user_id);
+    if (!person) {
+      setActionError(`The completer of "${task.title}" is no longer in this group`);
+      return;
+    }
+    setActionError('');
+    payOutCompletion(task, person, currentUserId);
+  };
+
+  const rejectTask = (task) => {
+    updateOpenTask(
+      task,
+      getTransitionColumns(task, 'in_progress', { completedBy: null }),
+      () => rejectCompletion({ task, approverId: currentUserId })
+    );
+  };
+
+  const getApprovalAmount = (task) =>
+    calculateReward(task, rewardRules, { completerId: task.completed_by_user_id, completedTasks, timeZone }).amount;
+
+  const uncompleteTask = async (taskId, reopenAs = 'not_started') => {
+    console.log('Uncompleting task:', taskId);
+    
+    // Get task data before uncompleting
+    const completedTask = completedTasks.find(t => t.id === taskId);
+    
+    if (!completedTask) {
+      console.error('Task not found in completed list');
+      return;
+    }
+    
+    // Store data for reversal transaction
+    // Fallback only: the reversal uses the amount actually paid when it can be looked up
+    const amount = getPaidCoins(completedTask);
+    const person = people.find(p => p.id === completedTask.completed_by_user_id);
+    
+    // Immediately update local state
+    const revertedTask = {
+      ...completedTask,
+      ...getTransitionColumns(completedTask, reopenAs),
+      updated_at: new Date().toISOString(),
+      server_updated_at: getServerVersion(completedTask)
+    };
+    pendingLocalRef.current.set(taskId, getServerVersion(completedTask));
+    setCompletedTasks(prevCompleted => prevCompleted.filter(t => t.id !== taskId));
+    setTasks(prevTasks => [revertedTask, ...prevTasks]);
+    console.log('UI updated - task moved back to active section');
+    
     try {
-      console.log('Uncompleting task:', taskId);
+      const result = await uncompleteTaskWithReversal({ task: completedTask, person, amount, conversationId, reopenAs });
+      console.log(`Task uncomplete finished with status "${result.status}"`);
+      if (!isCurrentConversation(conversationId)) return;
       
-      // Get task data before uncompleting
-      const completedTask = completedTasks.find(t => t.id === taskId);
-      
-      if (!completedTask) {
-        console.error('Task not found in completed list');
+      if (result.status === 'rolled_back' || result.status === 'already_reopened') {
+        loadTasks();
         return;
       }
       
-      // Store data for reversal transaction
-      const coins = Math.ceil((completedTask.estimated_time_minutes || 30) / 10);
-      const amount = completedTask.budget_cost || coins;
-      const person = people.find(p => p.id === completedTask.completed_by_user_id);
-      
-      // 1. Update API - change status to not_started
-      await onFireAPI.uncompleteTask(taskId);
-      console.log('Task status changed to not_started');
-      
-      // 2. Immediately update local state
-      const revertedTask = {
-        ...completedTask,
-        status: 'not_started',
-        completed_by_user_id: null,
-        progress_percentage: 0,
-        updated_at: new Date().toISOString()
-      };
-      
-      // Remove from completed tasks
-      setCompletedTasks(prevCompleted => prevCompleted.filter(t => t.id !== taskId));
-      
-      // Add back to active tasks
-      setTasks(prevTasks => [revertedTask, ...prevTasks]);
-      
-      console.log('UI updated - task moved back to active section');
-      
-      // 3. Create reversal transaction with type "unsend" and negative amount
-      const reversalData = {
-        from_user_id: completedTask.created_by_user_id,
-        to_user_id: completedTask.completed_by_user_id,
-        amount: -amount,  // Negative amount for reversal
-        fee: 0,
-        net_amount: -amount,  // Negative net amount
-        related_entity_type: 'task',
-        description: `Reversal for uncompleted task: ${completedTask.title}`,
-        notes: `Task uncompleted by ${person?.name || 'user'}`,
-        metadata: {
-          task_id: taskId,
-          task_title: completedTask.title,
-          uncompleted_by: completedTask.completed_by_user_id,
-          conversation_id: conversationId,
-          reversal: true
-        }
-      };
-      
-      console.log('Creating reversal transaction:', reversalData);
-      
-      try {
-        const result = await onFireAPI.createReversalTransaction(reversalData);
-        console.log('✅ Reversal transaction created:', result);
-        
-        // Reload transaction summaries to update progress bars
-        console.log('Reloading transaction summaries after task uncomplete...');
-        await loadTransactionSummaries();
-        console.log('Transaction summaries refreshed');
-      } catch (txError) {
-        console.error('❌ Reversal transaction failed:', txError.message);
-        console.error('Continuing with task uncomplete despite transaction error');
+      // Reopening without a payout also drops a payout still waiting for a retry
+      if (result.status === 'pending_payout' || result.status === 'no_payout') {
+        setPendingPayouts(getPendingPayouts(conversationId));
       }
       
+      // Reload transaction summaries to update progress bars
+      console.log('Reloading transaction summaries after task uncomplete...');
+      await loadTransactionSummaries();
+      console.log('Transaction summaries refreshed');
     } catch (error) {
       console.error('Error uncompleting task:', error);
       // Revert UI change by reloading from API
@@ -290,59 +741,246 @@ const TaskManagementHUD = ({ conversationId }) => {
     }
   };
 
+  // Optimistically apply a change to an open task, reverting it if the API
+  // call fails (e.g. a transition the workflow does not allow)
+  const updateOpenTask = async (task, changes, request) => {
+    const updatedTask = { ...task, ...changes, updated_at: new Date().toISOString(), server_updated_at: getServerVersion(task) };
+    setActionError('');
+    pendingLocalRef.current.set(task.id, getServerVersion(task));
+    setTasks(prev => prev.map(t => (t.id === task.id ? updatedTask : t)));
+
+    try {
+      await request();
+    } catch (error) {
+      console.error(`Error updating task ${task.id}:`, error);
+      if (!isCurrentConversation(conversationId)) return;
+      pendingLocalRef.current.delete(task.id);
+      setTasks(prev => prev.map(t => (t.id === task.id ? task : t)));
+      setActionError(`Could not update "${task.title}": ${error.message}`);
+    }
+  };
+
+  const moveTask = (task, toStatus) => {
+    if (String(task.id).startsWith('temp-')) return;
+    if (!canTransition(task.status, toStatus)) {
+      setActionError(`"${task.title}" cannot move to ${getStatusLabel(toStatus).toLowerCase()}`);
+      return;
+    }
+    updateOpenTask(task, getTransitionColumns(task, toStatus), () => onFireAPI.transitionTask(task, toStatus));
+  };
+
+  // The slider only updates a draft; the value is saved when it is released
+  const commitProgress = (task) => {
+    const percent = progressDrafts[task.id];
+    setProgressDrafts(prev => {
+      const next = { ...prev };
+      delete next[task.id];
+      return next;
+    });
+    if (percent == null || percent === (task.progress_percentage || 0)) return;
+
+    const status = task.status === 'not_started' && percent > 0 ? 'in_progress' : task.status;
+    updateOpenTask(task, { status, progress_percentage: percent }, () => onFireAPI.setTaskProgress(task, percent));
+  };
+
+  const switchView = (nextView) => {
+    localStorage.setItem(VIEW_KEY, nextView);
+    setView(nextView);
+  };
+
+  const retryPayout = async (idempotencyKey) => {
+    try {
+      await retryPendingPayout(idempotencyKey);
+      await loadTransactionSummaries();
+    } catch (error) {
+      console.error('Retrying pending payout failed:', error);
+    } finally {
+      if (isCurrentConversation(conversationId)) setPendingPayouts(getPendingPayouts(conversationId));
+    }
+  };
+
+  // Reopening reverses a payout: behind the display PIN when one is set,
+  // then deferred like completions
+  const requestUncomplete = (task, reopenAs = 'not_started') => {
+    if (deferredActionsRef.current.has(task.id)) return;
+    const reopen = () => deferTaskAction(task, 'Reopening task', () => actionsRef.current.uncompleteTask(task.id, reopenAs));
+
+    if (reversalPin) {
+      setPinRequest({
+        title: 'Enter PIN to reopen',
+        description: `Reopening "${task.title}" takes back its payout.`,
+        onConfirm: reopen
+      });
+    } else {
+      reopen();
+    }
+  };
+
+  // The settings hold the payout rules and the PIN itself, so they sit
+  // behind the PIN as well
+  const openSettings = () => {
+    if (reversalPin) {
+      setPinRequest({
+        title: 'Enter PIN for settings',
+        description: 'Group settings are protected by the display PIN.',
+        onConfirm: () => setSettingsOpen(true)
+      });
+    } else {
+      setSettingsOpen(true);
+    }
+  };
+
   const handleTaskThumbnailClick = (task) => {
-    // Directly uncomplete without confirmation
-    uncompleteTask(task.id);
+    requestUncomplete(task);
+  };
+
+  const openTaskEditor = (task = null) => {
+    setEditingTask(task);
+    setEditorOpen(true);
+  };
+
+  // Create or edit from the dialog. The board updates immediately and is
+  // reverted if the API call fails.
+  const saveTask = async (input) => {
+    const original = editingTask;
+    setEditorOpen(false);
+    setActionError('');
+    const now = new Date().toISOString();
+
+    if (!original) {
+      const tempId = `temp-${Date.now()}`;
+      const optimisticTask = {
+        ...inputToTaskColumns(input),
+        id: tempId,
+        status: 'not_started',
+        chat_id: conversationId,
+        created_at: now,
+        updated_at: now
+      };
+      setTasks(prev => [optimisticTask, ...prev]);
+
+      try {
+        const created = await onFireAPI.createTask(conversationId, input);
+        if (!isCurrentConversation(conversationId)) return;
+        if (created) {
+          pendingLocalRef.current.set(created.id, created.updated_at);
+        }
+        setTasks(prev => {
+          // Realtime may already have delivered the new row
+          const withoutTemp = prev.filter(t => t.id !== tempId);
+          if (!created || withoutTemp.some(t => t.id === created.id)) return withoutTemp;
+          return [created, ...withoutTemp];
+        });
+      } catch (error) {
+        console.error('Error creating task:', error);
+        if (!isCurrentConversation(conversationId)) return;
+        setTasks(prev => prev.filter(t => t.id !== tempId));
+        setActionError(`Could not create "${input.title}": ${error.message}`);
+      }
+      return;
+    }
+
+    const updatedTask = { ...original, ...inputToTaskColumns(input), updated_at: now, server_updated_at: getServerVersion(original) };
+    pendingLocalRef.current.set(original.id, getServerVersion(original));
+    setTasks(prev => prev.map(t => (t.id === original.id ? updatedTask : t)));
+
+    try {
+      await onFireAPI.editTask(original.id, input);
+    } catch (error) {
+      console.error('Error updating task:', error);
+      if (!isCurrentConversation(conversationId)) return;
+      pendingLocalRef.current.delete(original.id);
+      setTasks(prev => prev.map(t => (t.id === original.id ? original : t)));
+      setActionError(`Could not save "${original.title}": ${error.message}`);
+    }
+  };
+
+  const deleteTask = async (task) => {
+    setEditorOpen(false);
+    setActionError('');
+    setTasks(prev => prev.filter(t => t.id !== task.id));
+
+    try {
+      await onFireAPI.deleteTask(task.id);
+    } catch (error) {
+      console.error('Error deleting task:', error);
+      if (!isCurrentConversation(conversationId)) return;
+      setTasks(prev => [task, ...prev]);
+      setActionError(`Could not delete "${task.title}": ${error.message}`);
+    }
   };
 
   const getPersonProgress = (personId) => {
     const summary = transactionSummaries[personId];
+    const goals = getGoals(conversationId, personId);
+    let total;
+    let amounts;
     
     if (summary) {
-      // Use API data
-      const today = new Date().toISOString().split('T')[0];
-      const dailyAmount = Math.abs(summary.daily_summary?.[today] || 0);
+      // Use API data, picking the current day/ISO week/month in the conversation's time zone
+      total = Math.abs(summary.total_amount || 0);
+      amounts = getPeriodAmounts(summary, timeZone);
+    } else {
+      // Fallback to calculated values if API data not available
+      const now = new Date();
+      const today = toDateKey(now, timeZone);
+      const thisWeek = getIsoWeek(now, timeZone).monday;
+      const thisMonth = toMonthKey(now, timeZone);
+      const personTasks = completedTasks.filter(t => t.completed_by_user_id === personId);
       
-      // Get most recent week amount
-      const weekKeys = Object.keys(summary.weekly_summary || {});
-      const latestWeek = weekKeys.length > 0 ? weekKeys[weekKeys.length - 1] : null;
-      const weeklyAmount = latestWeek ? Math.abs(summary.weekly_summary[latestWeek]) : 0;
-      
-      // Get current month amount
-      const currentMonth = new Date().toISOString().substring(0, 7); // YYYY-MM
-      const monthlyAmount = Math.abs(summary.monthly_summary?.[currentMonth] || 0);
-      
-      return {
-        total: Math.abs(summary.total_amount || 0),
-        daily: dailyAmount,
-        weekly: weeklyAmount,
-        monthly: monthlyAmount,
-        dayHeight: Math.min((dailyAmount / 10) * 100, 100),
-        weekHeight: Math.min((weeklyAmount / 50) * 100, 100),
-        monthHeight: Math.min((monthlyAmount / 200) * 100, 100)
-      };
+      total = 0;
+      amounts = { daily: 0, weekly: 0, monthly: 0 };
+      personTasks.forEach(t => {
+        const coins = getPaidCoins(t);
+        total += coins;
+        if (!t.updated_at) return;
+        if (toDateKey(t.updated_at, timeZone) === today) amounts.daily += coins;
+        if (getIsoWeek(t.updated_at, timeZone).monday === thisWeek) amounts.weekly += coins;
+        if (toMonthKey(t.updated_at, timeZone) === thisMonth) amounts.monthly += coins;
+      });
     }
     
-    // Fallback to calculated values if API data not available
-    const personTasks = completedTasks.filter(t => t.completed_by_user_id === personId);
-    const totalCoins = personTasks.reduce((sum, t) => {
-      return sum + Math.ceil((t.estimated_time_minutes || 30) / 10);
-    }, 0);
+    const bars = {};
+    GOAL_PERIODS.forEach(({ key }) => {
+      bars[key] = getGoalProgress(amounts[key], goals[key]);
+    });
     
-    return {
-      total: totalCoins,
-      daily: totalCoins,
-      weekly: totalCoins,
-      monthly: totalCoins,
-      dayHeight: Math.min((totalCoins / 10) * 100, 100),
-      weekHeight: Math.min((totalCoins / 50) * 100, 100),
-      monthHeight: Math.min((totalCoins / 200) * 100, 100)
-    };
+    return { total, ...amounts, goals, bars };
   };
 
-  const getCompletedByPerson = () => {
+  const openGoalEditor = () => {
+    setGoalDraft(getGoals(conversationId, selectedPerson.id));
+    setGoalScope(hasPersonGoals(conversationId, selectedPerson.id) ? 'person' : 'conversation');
+    setEditingGoals(true);
+  };
+
+  // Goals are group settings: saved on the server for every display
+  const saveGoals = async () => {
+    const goals = {};
+    GOAL_PERIODS.forEach(({ key }) => {
+      const value = Number(goalDraft[key]);
+      if (value > 0) goals[key] = value;
+    });
+    
+    try {
+      if (goalScope === 'person') {
+        await setPersonGoals(conversationId, selectedPerson.id, goals);
+      } else {
+        // Group goals only show for this person without their own override
+        await setConversationGoals(conversationId, goals, { clearPersonId: selectedPerson.id });
+      }
+      console.log(`Saved ${goalScope} goals:`, goals);
+      setEditingGoals(false);
+      setGoalsVersion(v => v + 1);
+    } catch (error) {
+      console.error('Error saving goals:', error);
+      showErrorToast({ title: 'Could not save goals', error, onRetry: saveGoals });
+    }
+  };
+
+  const getCompletedByPerson = (list = completedTasks) => {
     const grouped = {};
-    completedTasks.forEach(task => {
+    list.forEach(task => {
       const personId = task.completed_by_user_id;
       if (!personId) return;
       
@@ -358,20 +996,72 @@ const TaskManagementHUD = ({ conversationId }) => {
     return grouped;
   };
 
+  // Completed tasks per day in the conversation's time zone, newest first,
+  // so repeating chores show once per period instead of piling up
+  const getCompletedByPeriod = () => {
+    const today = toDateKey(new Date(), timeZone);
+    const byDay = {};
+    const newestFirst = [...completedTasks].sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+    newestFirst.slice(0, visibleCompleted).forEach(task => {
+      const key = toDateKey(task.updated_at, timeZone);
+      (byDay[key] = byDay[key] || []).push(task);
+    });
+
+    return Object.keys(byDay).sort().reverse().map(key => {
+      let label;
+      if (key === today) label = 'Today';
+      else if (key === addDays(today, -1)) label = 'Yesterday';
+      else {
+        label = new Intl.DateTimeFormat(undefined, { weekday: 'long', month: 'short', day: 'numeric', timeZone: 'UTC' })
+          .format(new Date(`${key}T00:00:00Z`));
+      }
+      return { key, label, byPerson: getCompletedByPerson(byDay[key]) };
+    });
+  };
+
+  // "🔁 Daily · next Tue" for open tasks, "🔁 back tomorrow" for completed ones
+  const getRecurrenceLabel = (task) => {
+    if (!task.recurrence_rule) return null;
+    if (task.status === 'completed') {
+      const reopenAt = getReopenTime(task, timeZone);
+      return reopenAt ? `🔁 back ${formatOccurrence(reopenAt, timeZone)}` : '🔁';
+    }
+    const next = getUpcomingOccurrence(task, timeZone);
+    const rule = describeRecurrence(task.recurrence_rule);
+    return next ? `🔁 ${rule} · next ${formatOccurrence(next, timeZone)}` : `🔁 ${rule}`;
+  };
+
   const getTaskCoins = (task) => {
-    // Use budget_cost from API, fallback to calculated value if not available
-    return task.budget_cost || Math.ceil((task.estimated_time_minutes || 30) / 10);
+    // Base reward under this conversation's rules (no completer-specific bonus)
+    return calculateReward(task, rewardRules).amount;
   };
 
-  const getTimeAgo = (timestamp) => {
-    const now = new Date();
-    const taskDate = new Date(timestamp);
-    const diffMinutes = Math.floor((now - taskDate) / 60000);
-    
-    if (diffMinutes === 0) return 'Now';
-    if (diffMinutes === 1) return '1m';
-    if (diffMinutes < 60) return `${diffMinutes}m`;
-    return `${Math.floor(diffMinutes/60)}h`;
+  // Completed tasks: what their completer was actually paid, or the reward
+  // with their bonuses while the ledger has not been loaded
+  const getPaidCoins = (task) => {
+    if (paidAmounts.has(task.id)) return paidAmounts.get(task.id);
+    return calculateReward(task, rewardRules, { completerId: task.completed_by_user_id, completedTasks, timeZone }).amount;
+  };
+
+  // Open tasks as shown on the board, after the filter bar
+  const getVisibleTasks = () => applyTaskFilters(tasks, filters, getTaskCoins);
+
+  const changeFilters = (next) => {
+    setFilters(next);
+    saveFilters(conversationId, next);
+  };
+
+  const renderDueBadge = (task) => {
+    const state = getDueState(task);
+    if (!state) return null;
+    const label = state === 'overdue'
+      ? `Overdue · ${formatRelativeTime(task.due_date)}`
+      : `Due ${formatRelativeTime(task.due_date)}`;
+    return (
+      <div className={`task-due-badge due-${state}`} title={new Date(task.due_date).toLocaleString()}>
+        {label}
+      </div>
+    );
   };
 
   const handleAvatarClick = (person) => {
@@ -382,8 +1072,131 @@ const TaskManagementHUD = ({ conversationId }) => {
   const closeEarningsModal = () => {
     setShowEarningsModal(false);
     setSelectedPerson(null);
+    setEditingGoals(false);
   };
 
+  // Assignees first; the +N button expands the full picker
+  const renderCompleterPicker = (task) => {
+    const candidates = getCompletionCandidates(task, people, assigneesOnly);
+    const expanded = expandedPickerTaskId === task.id;
+    const hiddenCount = candidates.length - 5;
+    return (
+      <div className={`avatars-row ${expanded ? 'expanded' : ''}`}>
+        {(expanded ? candidates : candidates.slice(0, 5)).map(person => (
+          <div
+            key={person.id}
+            className={`avatar ${person.assigned ? 'assigned' : ''}`}
+            style={{ background: person.avatar ? 'transparent' : person.color }}
+            onClick={(e) => {
+              e.stopPropagation();
+              completeTask(task.id, person.id);
+            }}
+            title={`Mark as completed by ${person.name}${person.assigned ? ' (assigned)' : ''}`}
+          >
+            {person.avatar ? (
+              <img src={person.avatar} alt={person.name} className="avatar-image" />
+            ) : (
+              person.initial
+            )}
+          </div>
+        ))}
+        {hiddenCount > 0 && (
+          <button
+            className="avatar avatar-more"
+            onClick={(e) => {
+              e.stopPropagation();
+              setExpandedPickerTaskId(expanded ? null : task.id);
+            }}
+            title={expanded ? 'Show fewer' : `+${hiddenCount} more`}
+          >
+            {expanded ? '−' : `+${hiddenCount}`}
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  // Status badge and progress of an open task (not shown for untouched tasks)
+  const renderStatus = (task) => {
+    const status = task.status || 'not_started';
+    if (status === 'not_started') return null;
+    return (
+      <div className="task-status-row">
+        <span className={`task-status-badge status-${status}`}>{getStatusLabel(status)}</span>
+        {status !== 'completed' && (
+          <div className="task-progress-bar">
+            <div className="task-progress-fill" style={{ width: `${task.progress_percentage || 0}%` }}></div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderBoardCard = (task) => {
+    const status = task.status || 'not_started';
+    const isTemp = String(task.id).startsWith('temp-');
+    const progress = progressDrafts[task.id] ?? task.progress_percentage ?? 0;
+    const completer = people.find(p => p.id === task.completed_by_user_id);
+
+    return (
+      <div key={task.id} className={`board-card status-${status} ${pendingClass(task)}`}>
+        <div className="board-card-header">
+          <div className="board-card-title">{task.title}</div>
+          {!isTemp && status !== 'completed' && (
+            <button className="task-edit-button board-edit-button" onClick={() => openTaskEditor(task)} title="Edit task">
+              <Pencil size={14} />
+            </button>
+          )}
+        </div>
+        {task.recurrence_rule && <div className="task-recurrence">{getRecurrenceLabel(task)}</div>}
+        {renderDueBadge(task)}
+        <div className="board-card-meta">
+          <Coins size={14} /> {status === 'completed' ? getPaidCoins(task) : getTaskCoins(task)}
+          {completer && <span className="board-card-completer">· {completer.name}</span>}
+        </div>
+
+        {(status === 'not_started' || status === 'in_progress' || status === 'blocked') && !isTemp && (
+          <label className="board-progress">
+            <input
+              type="range"
+              min="0"
+              max="99"
+              step="5"
+              value={progress}
+              onChange={(e) => setProgressDrafts(prev => ({ ...prev, [task.id]: Number(e.target.value) }))}
+              onPointerUp={() => commitProgress(task)}
+              onKeyUp={() => commitProgress(task)}
+            />
+            <span>{progress}%</span>
+          </label>
+        )}
+
+        {/* Queued completions are decided in the approvals panel */}
+        {!isTemp && status !== 'awaiting_approval' && (
+          <div className="board-card-actions">
+            {status === 'completed'
+              ? ['in_progress', 'not_started'].map(target => (
+                <button key={target} className="board-move-button" onClick={() => requestUncomplete(task, target)}>
+                  Reopen as {TASK_STATUS_LABELS[target].toLowerCase()}
+                </button>
+              ))
+              : MANUAL_STATUSES.filter(target => target !== status && canTransition(status, target)).map(target => (
+                <button key={target} className="board-move-button" onClick={() => moveTask(task, target)}>
+                  → {TASK_STATUS_LABELS[target]}
+                </button>
+              ))}
+          </div>
+        )}
+
+        {status !== 'awaiting_approval' && canTransition(status, 'completed') && renderCompleterPicker(task)}
+      </div>
+    );
+  };
+
+  actionsRef.current = { finishCompletion, uncompleteTask };
+
+  const pendingClass = (task) => (pendingActionIds.includes(task.id) ? 'pending-action' : '');
+
   if (loading) {
     return (
       <div className="task-hud-loading">
@@ -396,7 +1209,77 @@ const TaskManagementHUD = ({ conversationId }) => {
   return (
     <div className="task-hud-container">
       <div className="task-hud-content">
-        <h1 className="task-hud-title">Tasks</h1>
+        <div className="task-hud-header">
+          <h1 className="task-hud-title">Tasks</h1>
+          <button className="add-task-button" onClick={() => openTaskEditor()} title="Add a task">
+            <Plus size={22} />
+          </button>
+          <button
+            className="add-task-button view-toggle-button"
+            onClick={() => switchView(view === 'board' ? 'grid' : 'board')}
+            title={view === 'board' ? 'Show as cards' : 'Show as board'}
+          >
+            {view === 'board' ? <LayoutGrid size={22} /> : <Columns3 size={22} />}
+          </button>
+          <button className="add-task-button settings-button" onClick={openSettings} title="Group settings">
+            <Settings size={22} />
+          </button>
+        </div>
+
+        {actionError && (
+          <div className="offline-banner conflict">
+            <span>⚠️ {actionError}</span>
+            <button className="banner-action" onClick={() => setActionError('')}>Dismiss</button>
+          </div>
+        )}
+
+        {loadError && (
+          <Alert variant="destructive" className="task-load-error">
+            <AlertTriangle size={18} />
+            <AlertTitle>{getErrorTitle(loadError)}</AlertTitle>
+            <AlertDescription>
+              <p>{loadError.message}</p>
+              {loadError.retryable && (
+                <button className="banner-action" onClick={() => loadTasks()}>Try again</button>
+              )}
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {(offlineState.offline || offlineState.pending > 0) && (
+          <div className="offline-banner">
+            {offlineState.offline && <span>📴 Offline – showing last known tasks</span>}
+            {offlineState.pending > 0 && (
+              <span>{offlineState.pending} change{offlineState.pending === 1 ? '' : 's'} waiting to sync</span>
+            )}
+          </div>
+        )}
+        {pendingPayouts.map(pending => (
+          <div key={pending.idempotency_key} className="offline-banner conflict">
+            <span>
+              ⏳ {pending.kind === 'unsend' ? 'Reversal' : 'Payout'} for "{pending.task_title}" has not been made yet
+            </span>
+            <button className="banner-action" onClick={() => retryPayout(pending.idempotency_key)}>
+              Retry
+            </button>
+          </div>
+        ))}
+        {offlineState.conflicts.length > 0 && (
+          <div className="offline-banner conflict">
+            <span>
+              ⚠️ {offlineState.conflicts.length} offline change{offlineState.conflicts.length === 1 ? '' : 's'} could not be applied
+              because the task was changed elsewhere
+            </span>
+          </div>
+        )}
+        {offlineState.held > 0 && (
+          <div className="offline-banner">
+            <span>
+              📮 {offlineState.held} offline change{offlineState.held === 1 ? '' : 's'} from another account will sync
+              when that account signs in on this display
+            </span>
+          </div>
+        )}
         
         {/* Participant Avatars Row */}
         <div className="participants-row">
@@ -417,7 +1300,7 @@ const TaskManagementHUD = ({ conversationId }) => {
                   )}
                 </div>
                 <div className="participant-name">{person.name}</div>
-                <div className="participant-earnings">${progress.total || 0}</div>
+                <div className="participant-earnings">{formatAmount(progress.total, currency)}</div>
               </div>
             );
           })}
@@ -439,103 +1322,154 @@ const TaskManagementHUD = ({ conversationId }) => {
           )}
         </div>
 
-        {/* Available Tasks Section */}
-        <div className="tasks-section">
-          {tasks.length === 0 ? (
-            <div className="no-tasks-message">
-              <div style={{ fontSize: '3em', marginBottom: '20px' }}>📋</div>
-              <p>No active tasks found for this conversation</p>
-            </div>
-          ) : (
-            <div className="task-grid">
-              {tasks.map(task => (
-                <div key={task.id} className="task-card">
-                  <div className="task-coins">
-                    <Coins size={20} />
-                    <span>{getTaskCoins(task)}</span>
+        <ApprovalsPanel
+          tasks={tasks.filter(t => t.status === 'awaiting_approval')}
+          people={people}
+          currentUserId={currentUserId}
+          currency={currency}
+          getAmount={getApprovalAmount}
+          onApprove={approveTask}
+          onReject={rejectTask}
+        />
+
+        {tasks.length > 0 && (
+          <TaskFilterBar
+            filters={filters}
+            people={people}
+            resultCount={getVisibleTasks().length}
+            totalCount={tasks.length}
+            onChange={changeFilters}
+          />
+        )}
+
+        {/* Kanban board: one column per status */}
+        {view === 'board' && !loadError && (
+          <div className="task-board">
+            {TASK_STATUSES.map(status => {
+              const columnTasks = status === 'completed'
+                ? completedTasks
+                : getVisibleTasks().filter(t => getBoardStatus(t.status) === status);
+              return (
+                <div key={status} className={`board-column status-${status}`}>
+                  <div className="board-column-title">
+                    {TASK_STATUS_LABELS[status]}
+                    <span className="board-column-count">{columnTasks.length}</span>
                   </div>
-                  <img 
-                    src={task.cover_image_url || task.attachment_urls?.[0] || 'https://images.unsplash.com/photo-1484480974693-6ca0a78fb36b?w=400'} 
-                    alt={task.title} 
-                    className="task-image" 
-                  />
-                  <div className="task-content">
-                    <div className="task-title">{task.title}</div>
-                    <div className="avatars-row">
-                      {people.slice(0, 5).map(person => (
-                        <div
-                          key={person.id}
-                          className="avatar"
-                          style={{ background: person.avatar ? 'transparent' : person.color }}
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            completeTask(task.id, person.id);
-                          }}
-                          title={`Mark as completed by ${person.name}`}
-                        >
-                          {person.avatar ? (
-                            <img src={person.avatar} alt={person.name} className="avatar-image" />
-                          ) : (
-                            person.initial
-                          )}
-                        </div>
-                      ))}
-                      {people.length > 5 && (
-                        <div className="avatar avatar-more" title={`+${people.length - 5} more`}>
-                          +{people.length - 5}
-                        </div>
-                      )}
+                  {columnTasks.map(renderBoardCard)}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Available Tasks Section */}
+        {view !== 'board' && !loadError && (
+          <div className="tasks-section">
+            {tasks.length === 0 ? (
+              <div className="no-tasks-message">
+                <div style={{ fontSize: '3em', marginBottom: '20px' }}>📋</div>
+                <p>No active tasks found for this conversation</p>
+              </div>
+            ) : getVisibleTasks().length === 0 ? (
+              <div className="no-tasks-message">
+                <p>No tasks match this filter</p>
+              </div>
+            ) : (
+              <div className="task-grid">
+                {getVisibleTasks().map(task => (
+                  <div key={task.id} className={`task-card priority-${task.priority || 'medium'} ${pendingClass(task)}`}>
+                    {(task.priority === 'urgent' || task.priority === 'high') && (
+                      <div className={`task-priority-badge priority-${task.priority}`}>{task.priority}</div>
+                    )}
+                    {!String(task.id).startsWith('temp-') && (
+                      <button
+                        className="task-edit-button"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          openTaskEditor(task);
+                        }}
+                        title="Edit task"
+                      >
+                        <Pencil size={16} />
+                      </button>
+                    )}
+                    <div className="task-coins">
+                      <Coins size={20} />
+                      <span>{getTaskCoins(task)}</span>
+                    </div>
+                    <img 
+                      src={task.cover_image_url || task.attachment_urls?.[0] || 'https://images.unsplash.com/photo-1484480974693-6ca0a78fb36b?w=400'} 
+                      alt={task.title} 
+                      className="task-image" 
+                    />
+                    <div className="task-content">
+                      <div className="task-title">{task.title}</div>
+                      {task.recurrence_rule && <div className="task-recurrence">{getRecurrenceLabel(task)}</div>}
+                      {renderDueBadge(task)}
+                      {renderStatus(task)}
+                      {task.status !== 'awaiting_approval' && canTransition(task.status, 'completed') && renderCompleterPicker(task)}
                     </div>
                   </div>
-                </div>
-              ))}
-            </div>
-          )}
-        </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
 
         {/* Completed Tasks Section - Only show if there are completed tasks */}
-        {completedTasks.length > 0 && (
+        {view !== 'board' && completedTasks.length > 0 && (
           <div className="completed-section">
             <div className="section-title">Completed Tasks</div>
             <div className="completed-gallery">
-              {Object.entries(getCompletedByPerson()).map(([personId, data]) => {
-                const totalCoins = data.tasks.reduce((sum, t) => sum + getTaskCoins(t), 0);
-                return (
-                  <div key={personId} className="completed-person-row">
-                    <div className="completed-person-avatar">
-                      <div className="avatar" style={{ background: data.person.avatar ? 'transparent' : data.person.color }}>
-                        {data.person.avatar ? (
-                          <img src={data.person.avatar} alt={data.person.name} className="avatar-image" />
-                        ) : (
-                          data.person.initial
-                        )}
-                      </div>
-                      <div className="completed-person-name">{data.person.name}</div>
-                      <div style={{ color: '#FFD700', fontSize: '0.8em', fontWeight: '700' }}>
-                        {totalCoins} total
-                      </div>
-                    </div>
-                    <div className="completed-tasks-gallery">
-                      {data.tasks.map((task) => (
-                        <div
-                          key={task.id}
-                          className="completed-task-thumbnail"
-                          onClick={() => handleTaskThumbnailClick(task)}
-                          title={task.title}
-                        >
-                          <img 
-                            src={task.cover_image_url || task.attachment_urls?.[0] || 'https://images.unsplash.com/photo-1484480974693-6ca0a78fb36b?w=400'} 
-                            alt={task.title} 
-                          />
-                          <div className="task-coins-badge">{getTaskCoins(task)}</div>
-                          <div className="task-time-badge">{getTimeAgo(task.updated_at)}</div>
-                          <div className="task-tooltip">{task.title}</div>
+              {getCompletedByPeriod().map(period => (
+                <div key={period.key} className="completed-period">
+                  <div className="completed-period-title">{period.label}</div>
+                  {Object.entries(period.byPerson).map(([personId, data]) => {
+                    const totalCoins = data.tasks.reduce((sum, t) => sum + getPaidCoins(t), 0);
+                    return (
+                      <div key={personId} className="completed-person-row">
+                        <div className="completed-person-avatar">
+                          <div className="avatar" style={{ background: data.person.avatar ? 'transparent' : data.person.color }}>
+                            {data.person.avatar ? (
+                              <img src={data.person.avatar} alt={data.person.name} className="avatar-image" />
+                            ) : (
+                              data.person.initial
+                            )}
+                          </div>
+                          <div className="completed-person-name">{data.person.name}</div>
+                          <div style={{ color: '#FFD700', fontSize: '0.8em', fontWeight: '700' }}>
+                            {formatAmount(totalCoins, currency)} total
+                          </div>
                         </div>
-                      ))}
-                    </div>
-                  </div>
-                );
-              })}
+                        <div className="completed-tasks-gallery">
+                          {data.tasks.map((task) => (
+                            <div
+                              key={task.id}
+                              className={`completed-task-thumbnail ${pendingClass(task)}`}
+                              onClick={() => handleTaskThumbnailClick(task)}
+                              title={task.title}
+                            >
+                              <img 
+                                src={task.cover_image_url || task.attachment_urls?.[0] || 'https://images.unsplash.com/photo-1484480974693-6ca0a78fb36b?w=400'} 
+                                alt={task.title} 
+                              />
+                              <div className="task-coins-badge">{formatAmount(getPaidCoins(task), currency)}</div>
+                              <div className="task-time-badge">{formatRelativeTime(task.updated_at, { style: 'narrow' })}</div>
+                              <div className="task-tooltip">{task.title}{task.recurrence_rule && ` · ${getRecurrenceLabel(task)}`}</div>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              ))}
+            </div>
+            <div ref={completedSentinelRef} className="completed-sentinel">
+              {loadingMoreCompleted && <div className="loading-spinner small"></div>}
+              {!loadingMoreCompleted && Math.min(visibleCompleted, completedTasks.length) < Math.max(completedTotal, completedTasks.length) && (
+                <button className="banner-action" onClick={showMoreCompleted}>Show more</button>
+              )}
             </div>
           </div>
         )}
@@ -558,53 +1492,115 @@ const TaskManagementHUD = ({ conversationId }) => {
               <h2 className="earnings-person-name">{selectedPerson.name}'s Earnings</h2>
             </div>
 
-            <div className="horizontal-bars-container">
+            <div className="horizontal-bars-container" key={goalsVersion}>
               {(() => {
                 const progress = getPersonProgress(selectedPerson.id);
                 return (
                   <>
-                    <div className="horizontal-bar-item">
-                      <div className="bar-info">
-                        <span className="bar-label-text">Daily</span>
-                        <span className="bar-amount-text">${progress.daily || 0}</span>
-                      </div>
-                      <div className="horizontal-bar">
-                        <div className="horizontal-bar-fill" style={{ width: `${progress.dayHeight}%` }}></div>
-                      </div>
-                    </div>
-
-                    <div className="horizontal-bar-item">
-                      <div className="bar-info">
-                        <span className="bar-label-text">Weekly</span>
-                        <span className="bar-amount-text">${progress.weekly || 0}</span>
-                      </div>
-                      <div className="horizontal-bar">
-                        <div className="horizontal-bar-fill" style={{ width: `${progress.weekHeight}%` }}></div>
-                      </div>
-                    </div>
-
-                    <div className="horizontal-bar-item">
-                      <div className="bar-info">
-                        <span className="bar-label-text">Monthly</span>
-                        <span className="bar-amount-text">${progress.monthly || 0}</span>
-                      </div>
-                      <div className="horizontal-bar">
-                        <div className="horizontal-bar-fill" style={{ width: `${progress.monthHeight}%` }}></div>
+                    {GOAL_PERIODS.map(({ key, label }) => (
+                      <div key={key} className={`horizontal-bar-item ${progress.bars[key].reached ? 'goal-reached' : ''}`}>
+                        <div className="bar-info">
+                          <span className="bar-label-text">
+                            {label}
+                            {progress.bars[key].reached && <span className="goal-reached-label">🎯 Goal reached!</span>}
+                          </span>
+                          <span className="bar-amount-text">
+                            {formatAmount(progress[key], currency)}
+                            <span className="bar-goal-text"> / {formatAmount(progress.goals[key], currency)}</span>
+                          </span>
+                        </div>
+                        <div className="horizontal-bar">
+                          <div className="horizontal-bar-fill" style={{ width: `${progress.bars[key].percent}%` }}></div>
+                        </div>
                       </div>
-                    </div>
+                    ))}
 
                     <div className="earnings-total">
                       <span>Total Earnings</span>
-                      <span className="total-amount">${progress.total || 0}</span>
+                      <span className="total-amount">{formatAmount(progress.total, currency)}</span>
                     </div>
+                    {currency.fiat && (
+                      <div className="earnings-fiat">{formatFiatEquivalent(progress.total, currency)}</div>
+                    )}
                   </>
                 );
               })()}
             </div>
+
+            {editingGoals ? (
+              <div className="goal-editor">
+                <div className="goal-editor-fields">
+                  {GOAL_PERIODS.map(({ key, label }) => (
+                    <label key={key} className="goal-editor-field">
+                      <span>{label} goal</span>
+                      <input
+                        type="number"
+                        min="1"
+                        value={goalDraft[key] ?? ''}
+                        onChange={(e) => setGoalDraft(draft => ({ ...draft, [key]: e.target.value }))}
+                      />
+                    </label>
+                  ))}
+                </div>
+                <div className="goal-editor-scope">
+                  <label>
+                    <input
+                      type="radio"
+                      name="goal-scope"
+                      checked={goalScope === 'person'}
+                      onChange={() => setGoalScope('person')}
+                    />
+                    Only {selectedPerson.name}
+                  </label>
+                  <label>
+                    <input
+                      type="radio"
+                      name="goal-scope"
+                      checked={goalScope === 'conversation'}
+                      onChange={() => setGoalScope('conversation')}
+                    />
+                    Everyone in this group
+                  </label>
+                </div>
+                <div className="goal-editor-actions">
+                  <button className="goal-button secondary" onClick={() => setEditingGoals(false)}>Cancel</button>
+                  <button className="goal-button" onClick={saveGoals}>Save goals</button>
+                </div>
+              </div>
+            ) : (
+              <button className="goal-button edit-goals-button" onClick={openGoalEditor}>🎯 Edit goals</button>
+            )}
           </div>
         </div>
       )}
 
+      <TaskEditorDialog
+        open={editorOpen}
+        task={editingTask}
+        people={people}
+        onOpenChange={setEditorOpen}
+        onSave={saveTask}
+        onDelete={deleteTask}
+      />
+
+      <PinDialog
+        open={!!pinRequest}
+        pin={reversalPin || ''}
+        title={pinRequest?.title}
+        description={pinRequest?.description}
+        onOpenChange={(open) => !open && setPinRequest(null)}
+        onConfirm={() => {
+          pinRequest.onConfirm();
+          setPinRequest(null);
+        }}
+      />
+
+      <ConversationSettingsDialog
+        open={settingsOpen}
+        conversationId={conversationId}
+        onOpenChange={setSettingsOpen}
+      />
+
       {/* Success Modal */}
       {showModal && (
         <div className={`success-modal ${showModal ? 'active' : ''}`} onClick={() => setShowModal(false)}>
@@ -619,11 +1615,14 @@ const TaskManagementHUD = ({ conversationId }) => {
               </svg>
             </div>
             <div className="success-message">Congratulations {modalData.personName}!</div>
-            <div className="success-task">You completed "{modalData.taskTitle}"</div>
+            <div className="success-task">
+              {modalData.awaitingApproval
+                ? `"${modalData.taskTitle}" is waiting for approval`
+                : `You completed "${modalData.taskTitle}"`}
+            </div>
             <div className="success-coins">
-              <Coins size={24} />
-              <span>{modalData.coins}</span>
-              <span>earned!</span>
+              <span>{formatAmount(modalData.amount, currency)}</span>
+              <span>{modalData.awaitingApproval ? 'once approved' : 'earned!'}</span>
             </div>
           </div>
           {/* Confetti */}
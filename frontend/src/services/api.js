@@ -1,18 +1,275 @@
 import axios from 'axios';
+import { DEFAULT_CURRENCY } from './currency';
+import {
+  validateTaskInput,
+  inputToTaskColumns,
+  TaskValidationError,
+  getStatusLabel,
+  assertTransition,
+  clampProgress,
+  getTransitionColumns
+} from './tasks';
+import { cacheGet, cachePut, cacheClear, outboxAdd, outboxList, outboxDelete } from './offlineStore';
+import { mapWithConcurrency } from '../lib/async';
+import { NetworkError, toApiError, isCanceledError } from './apiErrors';
+import { getApiBaseUrl } from './config';
+import { getDeviceId } from './deviceIdentity';
 
-const API_BASE_URL = 'https://api2.onfire.so';
+const TASK_SELECT = 'id,title,description,status,priority,cover_image_url,attachment_urls,assignee_user_ids,completed_by_user_id,progress_percentage,recurrence_rule,due_date,created_at,updated_at,chat_id,estimated_time_minutes,created_by_user_id,budget_cost,series_id,occurrence_at';
+
+// PostgREST answers 401 for a missing/invalid JWT and tags expired tokens
+// with code PGRST301 ("JWT expired"), sometimes behind a 403.
+const isAuthExpiredError = (error) => {
+  const status = error.response?.status;
+  const data = error.response?.data;
+  if (status === 401) return true;
+  return data?.code === 'PGRST301' || /jwt expired/i.test(data?.message || '');
+};
+
+// We never reached the server (offline, DNS, CORS)
+const isNetworkError = (error) => error instanceof NetworkError;
+
+// Timestamps may differ in format (e.g. "Z" vs "+00:00") for the same moment
+const sameInstant = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+
+// Rows per request for paginated reads (PostgREST Range header)
+const PAGE_SIZE = 200;
+
+// Transaction summaries: parallel RPCs per batch, and how long a cached
+// summary is trusted (changes made on other devices show up after this)
+const SUMMARY_CONCURRENCY = 4;
+const SUMMARY_TTL = 5 * 60 * 1000;
+
+// Return contract: reads resolve with data ([] / null meaning nothing was
+// found, never a failure) and reject with an ApiError from ./apiErrors.
+// Writes reject with an ApiError too, unless they were queued offline.
+//
+// Reads take an optional AbortController `signal` and reject with
+// ERR_CANCELED when it aborts. Writes don't: once sent, aborting a write
+// would only hide its outcome, not undo it.
+
+// Cancellations are expected (the caller moved on), so they are not logged
+const logRequestError = (message, error) => {
+  if (!isCanceledError(error)) console.error(message, error);
+};
+
+// "0-49/1234" -> 1234; "*/0" -> 0; null when the total is unknown ("0-49/*")
+const parseContentRangeTotal = (header) => {
+  const total = (header || '').split('/')[1];
+  return total && total !== '*' ? Number(total) : null;
+};
 
 class OnFireAPI {
   constructor() {
     this.accessToken = localStorage.getItem('onfire_access_token');
     this.refreshToken = localStorage.getItem('onfire_refresh_token');
     this.userData = JSON.parse(localStorage.getItem('onfire_user_data') || 'null');
+
+    // In-flight refresh shared by every request that hits an expired token
+    this.refreshPromise = null;
+
+    this.http = axios.create();
+    this.setupInterceptors();
+
+    // Offline state: serving cached reads and queueing mutations in the outbox
+    this.offline = false;
+    this.pendingMutations = 0;
+    // Queued by another user: kept until that user signs in again
+    this.heldMutations = 0;
+    this.lastConflicts = [];
+    this.offlineListeners = new Set();
+    this.flushPromise = null;
+    this.initOffline();
+
+    // userId -> { summary, fetchedAt }
+    this.summaryCache = new Map();
+  }
+
+  initOffline() {
+    if (typeof window === 'undefined') return;
+
+    window.addEventListener('online', () => this.flushOutbox());
+    window.addEventListener('offline', () => this.setOffline(true));
+
+    this.loadOutbox()
+      .then(entries => {
+        if (entries.length > 0 && navigator.onLine !== false) {
+          this.flushOutbox();
+        }
+      })
+      .catch(error => console.error('Could not read offline outbox:', error));
+  }
+
+  // Entries are tagged with the user who queued them; untagged ones (queued
+  // before tagging) go with whoever is signed in
+  isOwnOutboxEntry(entry) {
+    return !entry.user_id || entry.user_id === this.getCurrentUserId();
+  }
+
+  // Recount the outbox for the signed-in user and resolve with their entries.
+  // Nothing is replayed while signed out.
+  async loadOutbox() {
+    const entries = await outboxList();
+    const own = this.isAuthenticated() ? entries.filter(entry => this.isOwnOutboxEntry(entry)) : [];
+    this.pendingMutations = own.length;
+    this.heldMutations = entries.length - own.length;
+    this.emitOfflineState();
+    return own;
+  }
+
+  getOfflineState() {
+    return {
+      offline: this.offline,
+      pending: this.pendingMutations,
+      held: this.heldMutations,
+      conflicts: this.lastConflicts
+    };
+  }
+
+  // Subscribe to offline/outbox changes; returns an unsubscribe function
+  onOfflineStateChange(listener) {
+    this.offlineListeners.add(listener);
+    return () => this.offlineListeners.delete(listener);
+  }
+
+  emitOfflineState() {
+    const state = this.getOfflineState();
+    this.offlineListeners.forEach(listener => listener(state));
+  }
+
+  setOffline(offline) {
+    if (this.offline === offline) return;
+    this.offline = offline;
+    console.log(offline ? '📴 OnFire API offline, serving cached data' : '📶 OnFire API back online');
+    this.emitOfflineState();
+  }
+
+  // Run a read request, caching its result and falling back to the cache
+  // when the network is unreachable
+  async withOfflineCache(cacheKey, request) {
+    try {
+      const data = await request();
+      this.setOffline(false);
+      cachePut(cacheKey, data);
+      return data;
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+
+      const cached = await cacheGet(cacheKey);
+      if (!cached) throw error;
+
+      console.log(`📦 Serving ${cacheKey} from offline cache (saved ${cached.saved_at})`);
+      this.setOffline(true);
+      return cached.value;
+    }
+  }
+
+  setupInterceptors() {
+    // Always send the current token, so retried requests pick up a refreshed one
+    this.http.interceptors.request.use((config) => {
+      if (config.headers?.Authorization && this.accessToken) {
+        config.headers.Authorization = `Bearer ${this.accessToken}`;
+      }
+      return config;
+    });
+
+    this.http.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const config = error.config;
+        const wasAuthenticated = !!config?.headers?.Authorization;
+
+        if (!config || !wasAuthenticated || config._retried || !isAuthExpiredError(error)) {
+          throw toApiError(error);
+        }
+
+        config._retried = true;
+        console.log('🔑 Access token rejected, attempting refresh...');
+
+        try {
+          await this.refreshAccessToken();
+        } catch (refreshError) {
+          console.error('❌ Token refresh failed, logging out:', refreshError);
+          this.logout();
+          if (window.location.pathname !== '/') {
+            window.location.assign('/');
+          }
+          throw toApiError(error);
+        }
+
+        config.headers.Authorization = `Bearer ${this.accessToken}`;
+        return this.http(config);
+      }
+    );
+  }
+
+  // Exchange the stored refresh token for a new access token.
+  // Concurrent callers share the same request.
+  refreshAccessToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performTokenRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async performTokenRefresh() {
+    if (!this.refreshToken) {
+      throw new Error('No refresh token available');
+    }
+
+    // Plain axios: the refresh call must not go through the retry interceptor
+    const response = await axios.post(`${getApiBaseUrl()}/rpc/refresh_token`, {
+      p_refresh_token: this.refreshToken
+    }, {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    const data = Array.isArray(response.data) ? response.data[0] : response.data;
+    if (!data?.success || !data.access_token) {
+      throw new Error(data?.message || 'Refresh token rejected');
+    }
+
+    this.setTokens(data.access_token, data.refresh_token || this.refreshToken);
+    console.log('✅ Access token refreshed');
+    return this.accessToken;
+  }
+
+  // Persist tokens to localStorage and mirror the access token into the jwt cookie
+  setTokens(accessToken, refreshToken) {
+    this.accessToken = accessToken;
+    this.refreshToken = refreshToken || null;
+
+    localStorage.setItem('onfire_access_token', this.accessToken);
+    if (this.refreshToken) {
+      localStorage.setItem('onfire_refresh_token', this.refreshToken);
+    } else {
+      localStorage.removeItem('onfire_refresh_token');
+    }
+
+    this.setJwtCookie(this.accessToken);
+  }
+
+  setJwtCookie(token) {
+    // Store JWT as cookie for *.onfire.so domain
+    const isProduction = window.location.hostname.includes('onfire.so');
+    if (isProduction) {
+      document.cookie = `jwt=${token}; Domain=.onfire.so; Secure; Path=/`;
+      console.log('✅ Cookie "jwt" set for *.onfire.so domain');
+    } else {
+      // Localhost: set cookie without domain restriction
+      document.cookie = `jwt=${token}; Path=/`;
+      console.log('✅ Cookie "jwt" set for localhost (testing)');
+    }
   }
 
   // Authentication
   async login(email, password) {
     try {
-      const response = await axios.post(`${API_BASE_URL}/rpc/login_user`, {
+      const response = await axios.post(`${getApiBaseUrl()}/rpc/login_user`, {
         p_email: email,
         p_password: password
       }, {
@@ -23,24 +280,11 @@ class OnFireAPI {
 
       const data = response.data[0];
       if (data.success) {
-        this.accessToken = data.access_token;
-        this.refreshToken = data.refresh_token;
-        this.userData = data.user_data;
-
-        localStorage.setItem('onfire_access_token', this.accessToken);
-        localStorage.setItem('onfire_refresh_token', this.refreshToken);
-        localStorage.setItem('onfire_user_data', JSON.stringify(this.userData));
-
-        // Store JWT as cookie for *.onfire.so domain
-        const isProduction = window.location.hostname.includes('onfire.so');
-        if (isProduction) {
-          document.cookie = `jwt=${this.accessToken}; Domain=.onfire.so; Secure; Path=/`;
-          console.log('✅ Cookie "jwt" set for *.onfire.so domain');
-        } else {
-          // Localhost: set cookie without domain restriction
-          document.cookie = `jwt=${this.accessToken}; Path=/`;
-          console.log('✅ Cookie "jwt" set for localhost (testing)');
-        }
+        await this.establishSession({
+          accessToken: data.access_token,
+          refreshToken: data.refresh_token,
+          userData: data.user_data
+        });
 
         return { success: true, userData: this.userData };
       } else {
@@ -48,17 +292,146 @@ class OnFireAPI {
       }
     } catch (error) {
       console.error('Login error:', error);
+      const apiError = toApiError(error);
       return { 
         success: false, 
-        message: error.response?.data?.message || 'Login failed. Please try again.' 
+        message: apiError.kind === 'validation' || apiError.kind === 'network' ? apiError.message : 'Login failed. Please try again.'
       };
     }
   }
 
+  // The one place a sign-in (email or QR) becomes a session: tokens and
+  // jwt cookie, the linked display, and the signed-in user. The user is
+  // loaded with the new token when the login response didn't include it.
+  // A sign-in without a display (email, or a QR code the phone didn't link)
+  // keeps the display this screen is already linked to; logout unlinks it.
+  async establishSession({ accessToken, refreshToken = null, userData = null, displayId = null }) {
+    this.setTokens(accessToken, refreshToken);
+
+    if (displayId) {
+      localStorage.setItem('onfire_display_id', displayId);
+    }
+
+    if (!userData) {
+      try {
+        userData = await this.getCurrentUser();
+      } catch (error) {
+        // Signed in either way; screens that need the user show what they can
+        console.error('Error loading signed-in user:', error);
+      }
+    }
+
+    this.userData = userData;
+    if (userData) {
+      localStorage.setItem('onfire_user_data', JSON.stringify(userData));
+    } else {
+      localStorage.removeItem('onfire_user_data');
+    }
+
+    // Changes this user queued before their last session ended go out now
+    this.loadOutbox()
+      .then(entries => {
+        if (entries.length > 0) {
+          console.log(`📮 ${entries.length} queued change(s) from an earlier session, replaying`);
+          this.flushOutbox();
+        }
+      })
+      .catch(error => console.error('Could not read offline outbox:', error));
+    return userData;
+  }
+
+  async getCurrentUser({ signal } = {}) {
+    const response = await this.http.get(
+      `${getApiBaseUrl()}/users?select=id,email,username,first_name,last_name`,
+      { headers: this.getAuthHeaders(), signal }
+    );
+    return response.data?.[0] || null;
+  }
+
+  async getDisplay(displayId, { signal } = {}) {
+    const response = await this.http.get(
+      `${getApiBaseUrl()}/displays?id=eq.${displayId}&select=id,name`,
+      { headers: this.getAuthHeaders(), signal }
+    );
+    return response.data?.[0] || null;
+  }
+
+  // QR login: the display shows a code from startQrSession, the phone app
+  // confirms it, pollQrSession reports the confirmation with fresh tokens
+  // and completeQrLogin turns those into a session.
+
+  // { qrCode, expiresAt }. Identifies the display by its local device id;
+  // the server takes the IP from the request.
+  async startQrSession({ userAgent = navigator.userAgent } = {}) {
+    const response = await this.http.post(`${getApiBaseUrl()}/rpc/generate_qr_session`, {
+      p_device_id: getDeviceId(),
+      p_user_agent: userAgent
+    }, {
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    const data = response.data;
+    if (!data?.success || !data.qr_code) {
+      throw new Error(data?.message || 'Failed to generate QR session');
+    }
+    return { qrCode: data.qr_code, expiresAt: data.expires_at ? new Date(data.expires_at) : null };
+  }
+
+  // { status: 'pending' | 'expired' | 'confirmed' | other, accessToken,
+  // refreshToken, displayId } - tokens are only set once confirmed
+  async pollQrSession(qrCode, { signal } = {}) {
+    const response = await this.http.post(`${getApiBaseUrl()}/rpc/check_qr_status`, {
+      p_qr_code: qrCode
+    }, {
+      headers: { 'Content-Type': 'application/json' },
+      signal
+    });
+
+    const data = response.data;
+    if (!data?.success) {
+      throw new Error(data?.message || 'Invalid response from check_qr_status');
+    }
+    if (data.status === 'confirmed' && !data.jwt_token) {
+      throw new Error('QR session confirmed without a token');
+    }
+    return {
+      status: data.status,
+      accessToken: data.jwt_token || null,
+      // The access token must never double as the refresh token: when the
+      // API does not hand out a refresh token the session simply ends on expiry
+      refreshToken: data.refresh_token || null,
+      displayId: data.display_id || null
+    };
+  }
+
+  // Sign in with a confirmed pollQrSession result; resolves with
+  // { userData, display } where display is null unless the phone linked
+  // this screen to one of the user's displays
+  async completeQrLogin({ accessToken, refreshToken, displayId }) {
+    const userData = await this.establishSession({ accessToken, refreshToken, displayId });
+
+    let display = null;
+    if (displayId) {
+      try {
+        display = await this.getDisplay(displayId);
+      } catch (error) {
+        console.error('Error fetching display info:', error);
+      }
+    }
+    return { userData, display };
+  }
+
+  // Queued offline changes survive: logout also runs when a token refresh
+  // fails, and they are replayed once their user signs in again
   logout() {
     this.accessToken = null;
     this.refreshToken = null;
     this.userData = null;
+    this.refreshPromise = null;
+    this.lastConflicts = [];
+    this.summaryCache.clear();
+    cacheClear();
+    this.loadOutbox().catch(error => console.error('Could not read offline outbox:', error));
     localStorage.removeItem('onfire_access_token');
     localStorage.removeItem('onfire_refresh_token');
     localStorage.removeItem('onfire_user_data');
@@ -84,6 +457,10 @@ class OnFireAPI {
     return this.userData;
   }
 
+  getCurrentUserId() {
+    return this.userData?.id || this.userData?.user_id || null;
+  }
+
   getAuthHeaders() {
     return {
       'Authorization': `Bearer ${this.accessToken}`,
@@ -92,80 +469,155 @@ class OnFireAPI {
   }
 
   // Conversations
-  async getConversations() {
+  async getConversations({ signal } = {}) {
     try {
       // Fetch all active conversations (both direct GET and RPC endpoint)
-      const response = await axios.get(
-        `${API_BASE_URL}/conversations?status=eq.active&order=last_message_at.desc,created_at.desc&select=id,name,conversation_type,status,description,avatar,message_count,last_message_at,created_at`,
-        { headers: this.getAuthHeaders() }
+      const response = await this.http.get(
+        `${getApiBaseUrl()}/conversations?status=eq.active&order=last_message_at.desc,created_at.desc&select=id,name,conversation_type,status,description,avatar,message_count,last_message_at,created_at`,
+        { headers: this.getAuthHeaders(), signal }
       );
       return response.data || [];
     } catch (error) {
+      // The RPC can't do better when the server is unreachable
+      if (isCanceledError(error) || isNetworkError(error)) throw error;
       console.error('Error fetching conversations:', error);
       // Fallback to RPC endpoint if direct access fails
       try {
-        const rpcResponse = await axios.post(
-          `${API_BASE_URL}/rpc/get_user_conversations`,
+        const rpcResponse = await this.http.post(
+          `${getApiBaseUrl()}/rpc/get_user_conversations`,
           {},
-          { headers: this.getAuthHeaders() }
+          { headers: this.getAuthHeaders(), signal }
         );
         return rpcResponse.data || [];
       } catch (rpcError) {
-        console.error('Error fetching conversations via RPC:', rpcError);
-        throw error;
+        logRequestError('Error fetching conversations via RPC:', rpcError);
+        throw isCanceledError(rpcError) ? rpcError : error;
       }
     }
   }
 
   // User Profiles
-  async getUserProfiles(userIds = []) {
+  async getUserProfiles(userIds = [], { signal } = {}) {
     try {
       if (!userIds || userIds.length === 0) return [];
       
       // Build query to fetch multiple user profiles
       const idsFilter = userIds.map(id => `user_id.eq.${id}`).join(',');
-      const response = await axios.get(
-        `${API_BASE_URL}/user_profiles?or=(${idsFilter})&select=user_id,display_name,profile_photo_url`,
-        { headers: this.getAuthHeaders() }
+      const response = await this.http.get(
+        `${getApiBaseUrl()}/user_profiles?or=(${idsFilter})&select=user_id,display_name,profile_photo_url`,
+        { headers: this.getAuthHeaders(), signal }
       );
       return response.data || [];
     } catch (error) {
-      console.error('Error fetching user profiles:', error);
-      return [];
+      logRequestError('Error fetching user profiles:', error);
+      throw error;
     }
   }
 
-  async getUserProfile(userId) {
+  async getUserProfile(userId, { signal } = {}) {
     try {
-      const response = await axios.get(
-        `${API_BASE_URL}/user_profiles?user_id=eq.${userId}&select=user_id,display_name,profile_photo_url`,
-        { headers: this.getAuthHeaders() }
+      const response = await this.http.get(
+        `${getApiBaseUrl()}/user_profiles?user_id=eq.${userId}&select=user_id,display_name,profile_photo_url`,
+        { headers: this.getAuthHeaders(), signal }
       );
       return response.data?.[0] || null;
     } catch (error) {
-      console.error('Error fetching user profile:', error);
-      return null;
+      logRequestError('Error fetching user profile:', error);
+      throw error;
     }
   }
 
   // Conversation Participants
-  async getConversationParticipants(conversationId) {
+  async getConversationParticipants(conversationId, { signal } = {}) {
     try {
-      const response = await axios.get(
-        `${API_BASE_URL}/conversation_participants_extended?conversation_id=eq.${conversationId}`,
-        { headers: this.getAuthHeaders() }
-      );
-      return response.data || [];
+      return await this.withOfflineCache(`participants:${conversationId}`, async () => {
+        const response = await this.http.get(
+          `${getApiBaseUrl()}/conversation_participants_extended?conversation_id=eq.${conversationId}`,
+          { headers: this.getAuthHeaders(), signal }
+        );
+        return response.data || [];
+      });
+    } catch (error) {
+      logRequestError('Error fetching participants:', error);
+      throw error;
+    }
+  }
+
+  // Conversation Settings
+  // Group-wide settings row { conversation_id, settings, updated_at,
+  // updated_by_user_id }, or null when the group never saved any
+  async getConversationSettingsRow(conversationId, { signal } = {}) {
+    try {
+      return await this.withOfflineCache(`settings:${conversationId}`, async () => {
+        const response = await this.http.get(
+          `${getApiBaseUrl()}/conversation_settings?conversation_id=eq.${conversationId}&select=conversation_id,settings,updated_at,updated_by_user_id`,
+          { headers: this.getAuthHeaders(), signal }
+        );
+        return response.data?.[0] || null;
+      });
     } catch (error) {
-      console.error('Error fetching participants:', error);
-      return [];
+      logRequestError('Error fetching conversation settings:', error);
+      throw error;
+    }
+  }
+
+  // Merge `patch` into the group's settings (read just before writing, so
+  // keys another display changed meanwhile are kept); resolves with the saved row
+  async saveConversationSettings(conversationId, patch) {
+    const current = await this.getConversationSettingsRow(conversationId);
+    const response = await this.http.post(
+      `${getApiBaseUrl()}/conversation_settings?on_conflict=conversation_id&select=conversation_id,settings,updated_at,updated_by_user_id`,
+      {
+        conversation_id: conversationId,
+        settings: { ...current?.settings, ...patch },
+        updated_by_user_id: this.getCurrentUserId()
+      },
+      {
+        headers: {
+          ...this.getAuthHeaders(),
+          'Prefer': 'resolution=merge-duplicates,return=representation'
+        }
+      }
+    );
+    const row = response.data?.[0] || null;
+    if (row) cachePut(`settings:${conversationId}`, row);
+    return row;
+  }
+
+  // One page of a PostgREST collection: { rows, total }. `total` is the
+  // exact row count across all pages (null if the server did not send it).
+  async getPage(url, offset, limit, { signal } = {}) {
+    const response = await this.http.get(url, {
+      headers: {
+        ...this.getAuthHeaders(),
+        'Range-Unit': 'items',
+        'Range': `${offset}-${offset + limit - 1}`,
+        'Prefer': 'count=exact'
+      },
+      signal
+    });
+    return {
+      rows: response.data || [],
+      total: parseContentRangeTotal(response.headers?.['content-range'])
+    };
+  }
+
+  // Every row of a collection, fetched page by page so no server-side
+  // max-rows limit silently truncates the result
+  async getAllPages(url, { pageSize = PAGE_SIZE, signal } = {}) {
+    const rows = [];
+    for (let offset = 0; ; offset += pageSize) {
+      const page = await this.getPage(url, offset, pageSize, { signal });
+      rows.push(...page.rows);
+      const done = page.total !== null ? rows.length >= page.total : page.rows.length < pageSize;
+      if (done || page.rows.length === 0) return rows;
     }
   }
 
   // Tasks
-  async getTasks(conversationId) {
+  async getTasks(conversationId, { signal } = {}) {
     try {
-      let url = `${API_BASE_URL}/tasks?select=id,title,description,status,priority,cover_image_url,attachment_urls,assignee_user_ids,completed_by_user_id,created_at,updated_at,chat_id,estimated_time_minutes,created_by_user_id,budget_cost`;
+      let url = `${getApiBaseUrl()}/tasks?select=${TASK_SELECT}`;
       
       if (conversationId) {
         url += `&chat_id=eq.${conversationId}`;
@@ -173,123 +625,486 @@ class OnFireAPI {
       
       url += '&order=created_at.desc';
 
-      const response = await axios.get(url, {
-        headers: this.getAuthHeaders()
-      });
-      return response.data;
+      const tasks = await this.withOfflineCache(`tasks:${conversationId || 'all'}`, () => this.getAllPages(url, { signal }));
+
+      // Show queued (not yet replayed) changes on top of the server/cached rows
+      return this.applyQueuedTaskUpdates(tasks);
     } catch (error) {
-      console.error('Error fetching tasks:', error);
+      logRequestError('Error fetching tasks:', error);
       throw error;
     }
   }
 
-  async updateTask(taskId, updates) {
+  // Every task of a conversation as the server has it now: no offline cache
+  // and no queued changes on top, for checking the ledger against
+  async getServerTasks(conversationId, { signal } = {}) {
     try {
-      const response = await axios.patch(
-        `${API_BASE_URL}/tasks?id=eq.${taskId}`,
-        updates,
-        { headers: this.getAuthHeaders() }
+      return await this.getAllPages(
+        `${getApiBaseUrl()}/tasks?select=${TASK_SELECT}&chat_id=eq.${conversationId}&order=created_at.desc`,
+        { signal }
       );
-      return response.data;
     } catch (error) {
-      console.error('Error updating task:', error);
+      logRequestError('Error fetching tasks:', error);
       throw error;
     }
   }
 
-  async completeTask(taskId, userId) {
-    return this.updateTask(taskId, {
-      status: 'completed',
-      completed_by_user_id: userId,
-      progress_percentage: 100,
-      updated_at: new Date().toISOString()
-    });
+  // Recurring tasks of a conversation, open and completed, oldest first;
+  // all the recurrence scheduler needs to find due copies. With `since`,
+  // only those changed after that updated_at cursor.
+  async getRecurringTasks(conversationId, { since = null, signal } = {}) {
+    const changed = since ? `&updated_at=gt.${encodeURIComponent(since)}` : '';
+    try {
+      return await this.getAllPages(
+        `${getApiBaseUrl()}/tasks?select=${TASK_SELECT}&chat_id=eq.${conversationId}&recurrence_rule=not.is.null${changed}&order=created_at.asc`,
+        { signal }
+      );
+    } catch (error) {
+      logRequestError('Error fetching recurring tasks:', error);
+      throw error;
+    }
+  }
+
+  // Tasks of a conversation changed after the given updated_at cursor (oldest first)
+  async getTasksUpdatedSince(conversationId, since, { signal } = {}) {
+    try {
+      return await this.getAllPages(
+        `${getApiBaseUrl()}/tasks?select=${TASK_SELECT}&chat_id=eq.${conversationId}&updated_at=gt.${encodeURIComponent(since)}&order=updated_at.asc`,
+        { signal }
+      );
+    } catch (error) {
+      logRequestError('Error fetching updated tasks:', error);
+      throw error;
+    }
   }
 
-  async uncompleteTask(taskId) {
-    return this.updateTask(taskId, {
+  // Lightweight id listing, used to detect deleted tasks when polling
+  async getTaskIds(conversationId, { signal } = {}) {
+    return (await this.getTaskStatuses(conversationId, { signal })).map(row => row.id);
+  }
+
+  // [{ id, status }] of every task in a conversation
+  async getTaskStatuses(conversationId, { signal } = {}) {
+    try {
+      return await this.getAllPages(
+        `${getApiBaseUrl()}/tasks?select=id,status&chat_id=eq.${conversationId}&order=id.asc`,
+        { pageSize: 1000, signal }
+      );
+    } catch (error) {
+      logRequestError('Error fetching task ids:', error);
+      throw error;
+    }
+  }
+
+  // Completed tasks, most recently completed first: { rows, total }
+  async getCompletedTasksPage(conversationId, offset, limit, { signal } = {}) {
+    try {
+      return await this.getPage(
+        `${getApiBaseUrl()}/tasks?select=${TASK_SELECT}&chat_id=eq.${conversationId}&status=eq.completed&order=updated_at.desc,id.desc`,
+        offset,
+        limit,
+        { signal }
+      );
+    } catch (error) {
+      logRequestError('Error fetching completed tasks:', error);
+      throw error;
+    }
+  }
+
+  // Board data for the HUD: every open task plus the most recent
+  // `completedLimit` completed ones, and the total number of completed tasks.
+  // The first call loads that in pages; later calls only fetch rows whose
+  // updated_at is past the last sync (plus an id/status listing to catch
+  // deletions), merged into the copy kept in the offline store.
+  async syncTasks(conversationId, { completedLimit = 60, signal } = {}) {
+    const cacheKey = `taskSync:${conversationId}`;
+    const cached = (await cacheGet(cacheKey))?.value;
+
+    try {
+      let state;
+      if (cached?.cursor) {
+        const [changed, statuses] = await Promise.all([
+          this.getTasksUpdatedSince(conversationId, cached.cursor, { signal }),
+          this.getTaskStatuses(conversationId, { signal })
+        ]);
+        const existing = new Set(statuses.map(row => row.id));
+        const byId = new Map(cached.rows.filter(row => existing.has(row.id)).map(row => [row.id, row]));
+        changed.forEach(row => byId.set(row.id, row));
+        // Like the full sync, keep only the newest completed rows; older
+        // ones are paged in on demand, so the cache does not grow forever
+        const rows = [...byId.values()];
+        const completed = rows
+          .filter(row => row.status === 'completed')
+          .sort((a, b) => (b.updated_at || '').localeCompare(a.updated_at || '') || String(b.id).localeCompare(String(a.id)))
+          .slice(0, completedLimit);
+        state = {
+          rows: [...rows.filter(row => row.status !== 'completed'), ...completed],
+          completedTotal: statuses.filter(row => row.status === 'completed').length
+        };
+        const removed = cached.rows.filter(row => !existing.has(row.id)).length;
+        console.log(`🔄 Incremental task sync: ${changed.length} changed, ${removed} removed`);
+      } else {
+        const [open, completed] = await Promise.all([
+          this.getAllPages(`${getApiBaseUrl()}/tasks?select=${TASK_SELECT}&chat_id=eq.${conversationId}&status=neq.completed&order=created_at.desc`, { signal }),
+          this.getCompletedTasksPage(conversationId, 0, completedLimit, { signal })
+        ]);
+        state = {
+          rows: [...open, ...completed.rows],
+          completedTotal: completed.total ?? completed.rows.length
+        };
+        console.log(`📥 Full task sync: ${open.length} open, ${completed.rows.length}/${state.completedTotal} completed`);
+      }
+
+      // Only rows as the server returned them move the cursor: the server
+      // sets updated_at, so this display's clock never skips a change
+      state.cursor = state.rows.reduce(
+        (latest, row) => (row.updated_at && row.updated_at > latest ? row.updated_at : latest),
+        cached?.cursor || ''
+      ) || null;
+      this.setOffline(false);
+      cachePut(cacheKey, state);
+      return { tasks: await this.applyQueuedTaskUpdates(state.rows), completedTotal: state.completedTotal, cursor: state.cursor };
+    } catch (error) {
+      if (!isNetworkError(error) || !cached) throw error;
+      console.log('📦 Serving tasks from the last sync while offline');
+      this.setOffline(true);
+      return { tasks: await this.applyQueuedTaskUpdates(cached.rows), completedTotal: cached.completedTotal, cursor: cached.cursor };
+    }
+  }
+
+  // Create a task in a conversation from editor input; throws
+  // TaskValidationError before any request when the input is invalid
+  async createTask(conversationId, input) {
+    const errors = validateTaskInput(input);
+    if (Object.keys(errors).length > 0) {
+      throw new TaskValidationError(errors);
+    }
+
+    return this.insertTask({
+      ...inputToTaskColumns(input),
+      chat_id: conversationId,
       status: 'not_started',
-      completed_by_user_id: null,
       progress_percentage: 0,
-      updated_at: new Date().toISOString()
+      created_by_user_id: this.getCurrentUserId()
     });
   }
 
-  // Transactions
-  async createTransaction(transactionData) {
-    // Build payload matching the working curl format
-    // NOTE: related_entity_id expects INTEGER, not UUID, so we exclude it
-    const payload = {
-      transaction_type: 'send',
-      status: 'completed',
-      from_user_id: transactionData.from_user_id,
-      to_user_id: transactionData.to_user_id,
-      amount: transactionData.amount,
-      currency: 'PRF',
-      fee: transactionData.fee || 0,
-      net_amount: transactionData.net_amount || transactionData.amount,
-      related_entity_type: transactionData.related_entity_type || 'task',
-      description: transactionData.description || '',
-      notes: transactionData.notes || ''
-    };
-    
-    // Store task reference in metadata instead of related_entity_id
-    // since related_entity_id expects integer but task IDs are UUIDs
-    if (transactionData.metadata && Object.keys(transactionData.metadata).length > 0) {
-      payload.metadata = transactionData.metadata;
-    }
-    
-    console.log('Creating transaction with payload:', JSON.stringify(payload, null, 2));
-    
+  // Open copy of a completed recurring task for the occurrence starting at
+  // `occurrenceAt`. The original creator stays the creator, so they keep
+  // paying for it. Copies carry the series id; tasks has a unique key on
+  // (series_id, occurrence_at), so when another display already made this
+  // copy nothing is inserted and null is returned.
+  async cloneRecurringTask(task, { seriesId, occurrenceAt }) {
+    return this.insertTask({
+      title: task.title,
+      description: task.description || null,
+      cover_image_url: task.cover_image_url || null,
+      estimated_time_minutes: task.estimated_time_minutes ?? null,
+      budget_cost: task.budget_cost ?? null,
+      priority: task.priority || 'medium',
+      assignee_user_ids: task.assignee_user_ids || [],
+      recurrence_rule: task.recurrence_rule,
+      chat_id: task.chat_id,
+      status: 'not_started',
+      progress_percentage: 0,
+      created_by_user_id: task.created_by_user_id,
+      series_id: seriesId,
+      occurrence_at: occurrenceAt
+    }, { ignoreDuplicatesOn: 'series_id,occurrence_at' });
+  }
+
+  async insertTask(payload, { ignoreDuplicatesOn = null } = {}) {
     try {
-      const response = await axios.post(
-        `${API_BASE_URL}/transactions`,
+      const response = await this.http.post(
+        `${getApiBaseUrl()}/tasks?select=${TASK_SELECT}${ignoreDuplicatesOn ? `&on_conflict=${ignoreDuplicatesOn}` : ''}`,
         payload,
-        { 
+        {
           headers: {
             ...this.getAuthHeaders(),
-            'Prefer': 'return=representation'
+            'Prefer': ignoreDuplicatesOn ? 'resolution=ignore-duplicates,return=representation' : 'return=representation'
           }
         }
       );
-      console.log('Transaction created successfully:', response.data);
-      return response.data;
+      console.log('Task created:', response.data);
+      return response.data?.[0] || null;
     } catch (error) {
-      console.error('Error creating transaction:', error.message);
-      console.error('Error response:', error.response?.data);
-      console.error('Error status:', error.response?.status);
-      console.error('Request payload was:', JSON.stringify(payload, null, 2));
+      console.error('Error creating task:', error);
       throw error;
     }
   }
 
-  // Get transaction summary for a user
-  async getTransactionSummary(userId) {
+  // Update the editable fields of a task from editor input
+  async editTask(taskId, input) {
+    const errors = validateTaskInput(input);
+    if (Object.keys(errors).length > 0) {
+      throw new TaskValidationError(errors);
+    }
+
+    return this.updateTask(taskId, inputToTaskColumns(input));
+  }
+
+  async deleteTask(taskId) {
     try {
-      const response = await axios.post(
-        `${API_BASE_URL}/rpc/transactions_summary`,
-        {
-          p_user_uuid: userId
-        },
+      await this.http.delete(
+        `${getApiBaseUrl()}/tasks?id=eq.${taskId}`,
         { headers: this.getAuthHeaders() }
       );
-      return response.data?.[0] || null;
+      console.log('Task deleted:', taskId);
+    } catch (error) {
+      console.error('Error deleting task:', error);
+      throw error;
+    }
+  }
+
+  // `where` adds PostgREST filters (e.g. 'status=neq.completed') so the
+  // update only applies while the row still matches; resolves with the
+  // updated rows, [] when it no longer did
+  async updateTask(taskId, updates, { where = null } = {}) {
+    try {
+      const response = await this.http.patch(
+        `${getApiBaseUrl()}/tasks?id=eq.${taskId}${where ? `&${where}` : ''}&select=${TASK_SELECT}`,
+        updates,
+        {
+          headers: {
+            ...this.getAuthHeaders(),
+            'Prefer': 'return=representation'
+          }
+        }
+      );
+      return response.data;
     } catch (error) {
-      console.error('Error fetching transaction summary:', error);
+      console.error('Error updating task:', error);
+      throw error;
+    }
+  }
+
+  // baseUpdatedAt is the task's updated_at as the caller last saw it; queued
+  // offline changes are dropped as conflicts if the server row moved past it.
+  // Only an open task is completed: resolves with [] when another display
+  // completed it first.
+  async completeTask(taskId, userId, baseUpdatedAt) {
+    return this.mutateTask(taskId, {
+      status: 'completed',
+      completed_by_user_id: userId,
+      progress_percentage: 100
+    }, baseUpdatedAt, { where: 'status=neq.completed' });
+  }
+
+  // Reopens as not_started by default; `reopen` can instead restore a
+  // status/progress, e.g. { status: 'in_progress', progress_percentage: 80 }.
+  // Resolves with [] when the task was no longer completed.
+  async uncompleteTask(taskId, baseUpdatedAt, reopen = {}) {
+    return this.mutateTask(taskId, {
+      status: reopen.status || 'not_started',
+      completed_by_user_id: reopen.completed_by_user_id ?? null,
+      progress_percentage: reopen.progress_percentage ?? 0
+    }, baseUpdatedAt, { where: 'status=eq.completed' });
+  }
+
+  // Move a task along the status workflow; throws TaskTransitionError before
+  // any request for moves STATUS_TRANSITIONS does not allow
+  async transitionTask(task, toStatus, options = {}) {
+    assertTransition(task.status, toStatus);
+    return this.mutateTask(task.id, getTransitionColumns(task, toStatus, options), task.updated_at);
+  }
+
+  // Record progress on an open task. Progress on a task nobody started
+  // moves it to in_progress; 100% still needs the completion flow.
+  async setTaskProgress(task, percent) {
+    if (task.status === 'completed' || task.status === 'awaiting_approval') {
+      throw new Error(`Progress cannot be changed while a task is ${getStatusLabel(task.status).toLowerCase()}`);
+    }
+    const progress = Math.min(clampProgress(percent), 99);
+    const status = task.status === 'not_started' && progress > 0 ? 'in_progress' : task.status || 'not_started';
+    return this.mutateTask(task.id, { status, progress_percentage: progress }, task.updated_at);
+  }
+
+  // Apply a task update now, or queue it when offline (or when earlier
+  // mutations are still queued, to keep them in order). `where` is passed
+  // to updateTask, and checked again when a queued update is replayed.
+  async mutateTask(taskId, updates, baseUpdatedAt, { where = null } = {}) {
+    const entry = { kind: 'task_update', task_id: taskId, updates, base_updated_at: baseUpdatedAt || null, where };
+
+    if (this.pendingMutations > 0) {
+      return this.queueMutation(entry);
+    }
+
+    try {
+      const result = await this.updateTask(taskId, updates, { where });
+      this.setOffline(false);
+      return result;
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+      this.setOffline(true);
+      return this.queueMutation(entry);
+    }
+  }
+
+  async queueMutation(entry) {
+    const outboxId = await outboxAdd({ ...entry, user_id: this.getCurrentUserId() });
+    this.pendingMutations += 1;
+    console.log(`📮 Queued offline ${entry.kind} (#${outboxId}), ${this.pendingMutations} pending`);
+    this.emitOfflineState();
+    return { queued: true, outboxId };
+  }
+
+  // Ids of tasks with an update or payout still waiting in the outbox
+  // (including those held for another user)
+  async getQueuedTaskIds() {
+    const entries = await outboxList();
+    return new Set(entries.map(entry => entry.task_id || entry.payload?.metadata?.task_id).filter(Boolean));
+  }
+
+  async applyQueuedTaskUpdates(tasks) {
+    if (!tasks || this.pendingMutations === 0) return tasks;
+
+    const entries = await outboxList();
+    const updatesById = new Map();
+    entries
+      .filter(entry => entry.kind === 'task_update' && this.isOwnOutboxEntry(entry))
+      .forEach(entry => {
+        updatesById.set(entry.task_id, { ...updatesById.get(entry.task_id), ...entry.updates });
+      });
+
+    return tasks.map(task => (updatesById.has(task.id) ? { ...task, ...updatesById.get(task.id) } : task));
+  }
+
+  // Replay queued mutations in order. Stops at the first network failure and
+  // leaves the rest queued; conflicting or rejected entries are dropped and
+  // reported through lastConflicts.
+  flushOutbox() {
+    if (!this.flushPromise) {
+      this.flushPromise = this.performFlush().finally(() => {
+        this.flushPromise = null;
+      });
+    }
+    return this.flushPromise;
+  }
+
+  async performFlush() {
+    if (!this.isAuthenticated()) return { replayed: 0, conflicts: [] };
+
+    const entries = await this.loadOutbox();
+    if (entries.length === 0) {
+      return { replayed: 0, conflicts: [] };
+    }
+
+    console.log(`📮 Replaying ${entries.length} queued mutation(s)...`);
+    const conflicts = [];
+    const conflictedTaskIds = new Set();
+    // task id -> { before, after }: updated_at around the updates applied in
+    // this flush, so later queued edits of the same task chain onto them
+    const appliedVersions = new Map();
+    let replayed = 0;
+
+    for (const entry of entries) {
+      try {
+        const conflict = await this.replayEntry(entry, { conflictedTaskIds, appliedVersions });
+        if (conflict) {
+          console.warn('⚠️ Dropping conflicting queued mutation:', conflict);
+          conflicts.push(conflict);
+          if (entry.task_id) conflictedTaskIds.add(entry.task_id);
+        } else {
+          replayed += 1;
+        }
+      } catch (error) {
+        // Signed out mid-replay (e.g. the refresh token expired): the rest
+        // waits for the next sign-in instead of being dropped as rejected
+        if (!this.isAuthenticated()) {
+          console.log('🔑 Signed out, keeping remaining queued mutations');
+          break;
+        }
+        if (isNetworkError(error)) {
+          console.log('📴 Still offline, keeping remaining queued mutations');
+          this.setOffline(true);
+          break;
+        }
+        if (error.retryable) {
+          console.log('⏳ Server error, keeping remaining queued mutations for the next flush:', error.message);
+          break;
+        }
+        console.error('❌ Queued mutation rejected by server:', entry, error.details || error.message);
+        conflicts.push({ entry, reason: 'rejected', message: error.message });
+      }
+
+      await outboxDelete(entry.id);
+      this.pendingMutations = Math.max(0, this.pendingMutations - 1);
+    }
+
+    if (this.pendingMutations === 0) {
+      this.setOffline(false);
+    }
+    this.lastConflicts = conflicts;
+    this.emitOfflineState();
+    console.log(`📮 Outbox replay done: ${replayed} replayed, ${conflicts.length} conflict(s)`);
+    return { replayed, conflicts };
+  }
+
+  // Returns a conflict description, or null when the entry was applied.
+  // Edits queued one after another all carry the version the task had
+  // offline; once the first is applied, the next is checked against the
+  // version that update produced instead.
+  async replayEntry(entry, { conflictedTaskIds, appliedVersions }) {
+    if (entry.kind === 'task_update') {
+      const previous = appliedVersions.get(entry.task_id);
+      const chained = Boolean(previous && entry.base_updated_at && sameInstant(entry.base_updated_at, previous.before));
+      const baseUpdatedAt = chained ? previous.after : entry.base_updated_at;
+
+      if (baseUpdatedAt) {
+        const response = await this.http.get(
+          `${getApiBaseUrl()}/tasks?id=eq.${entry.task_id}&select=id,updated_at`,
+          { headers: this.getAuthHeaders() }
+        );
+        const current = response.data?.[0];
+        if (!current) {
+          return { entry, reason: 'deleted', message: 'Task no longer exists' };
+        }
+        if (new Date(current.updated_at) > new Date(baseUpdatedAt)) {
+          return { entry, reason: 'stale', message: 'Task was changed on the server while offline', server_updated_at: current.updated_at };
+        }
+      }
+      const updated = await this.updateTask(entry.task_id, entry.updates, { where: entry.where });
+      if (entry.where && updated?.length === 0) {
+        return { entry, reason: 'stale', message: 'Task was already changed the same way elsewhere' };
+      }
+      if (updated?.[0]?.updated_at) {
+        appliedVersions.set(entry.task_id, {
+          before: chained ? previous.before : entry.base_updated_at,
+          after: updated[0].updated_at
+        });
+      }
       return null;
     }
+
+    if (entry.kind === 'transaction') {
+      // A payout for a task whose queued completion conflicted must not go out
+      const taskId = entry.payload.metadata?.task_id;
+      if (taskId && conflictedTaskIds.has(taskId)) {
+        return { entry, reason: 'task_conflict', message: 'Related task change was dropped' };
+      }
+      const idempotencyKey = entry.payload.metadata?.idempotency_key;
+      if (idempotencyKey && (await this.findTransactionsByIdempotencyKey(idempotencyKey)).length > 0) {
+        console.log(`♻️ Queued transaction ${idempotencyKey} already exists, skipping`);
+        return null;
+      }
+      await this.postTransaction(entry.payload);
+      return null;
+    }
+
+    return { entry, reason: 'unknown', message: `Unknown outbox entry kind ${entry.kind}` };
   }
 
-  // Reversal Transaction (for uncomplete)
-  async createReversalTransaction(transactionData) {
-    // Same as createTransaction but with transaction_type: 'unsend'
+  // Transactions
+  buildTransactionPayload(transactionType, transactionData) {
+    // Build payload matching the working curl format
+    // NOTE: related_entity_id expects INTEGER, not UUID, so we exclude it
     const payload = {
-      transaction_type: 'unsend',
+      transaction_type: transactionType,
       status: 'completed',
       from_user_id: transactionData.from_user_id,
       to_user_id: transactionData.to_user_id,
       amount: transactionData.amount,
-      currency: 'PRF',
+      currency: transactionData.currency || DEFAULT_CURRENCY,
       fee: transactionData.fee || 0,
       net_amount: transactionData.net_amount || transactionData.amount,
       related_entity_type: transactionData.related_entity_type || 'task',
@@ -297,33 +1112,167 @@ class OnFireAPI {
       notes: transactionData.notes || ''
     };
     
+    // Store task reference in metadata instead of related_entity_id
+    // since related_entity_id expects integer but task IDs are UUIDs
     if (transactionData.metadata && Object.keys(transactionData.metadata).length > 0) {
       payload.metadata = transactionData.metadata;
     }
-    
-    console.log('Creating reversal transaction with payload:', JSON.stringify(payload, null, 2));
-    
-    try {
-      const response = await axios.post(
-        `${API_BASE_URL}/transactions`,
-        payload,
-        { 
-          headers: {
-            ...this.getAuthHeaders(),
-            'Prefer': 'return=representation'
-          }
+
+    return payload;
+  }
+
+  async postTransaction(payload) {
+    const response = await this.http.post(
+      `${getApiBaseUrl()}/transactions`,
+      payload,
+      { 
+        headers: {
+          ...this.getAuthHeaders(),
+          'Prefer': 'return=representation'
         }
-      );
-      console.log('Reversal transaction created successfully:', response.data);
-      return response.data;
+      }
+    );
+    // Only the two balances this transaction touched are stale now
+    this.invalidateSummaries([payload.from_user_id, payload.to_user_id]);
+    return response.data;
+  }
+
+  // Post a transaction now, or queue it behind earlier offline mutations
+  async submitTransaction(payload, label) {
+    console.log(`Creating ${label} with payload:`, JSON.stringify(payload, null, 2));
+
+    if (this.pendingMutations > 0) {
+      return this.queueMutation({ kind: 'transaction', payload });
+    }
+
+    try {
+      const result = await this.postTransaction(payload);
+      console.log(`${label} created successfully:`, result);
+      return result;
     } catch (error) {
-      console.error('Error creating reversal transaction:', error.message);
-      console.error('Error response:', error.response?.data);
-      console.error('Error status:', error.response?.status);
+      if (isNetworkError(error)) {
+        this.setOffline(true);
+        return this.queueMutation({ kind: 'transaction', payload });
+      }
+      console.error(`Error creating ${label}:`, error.message);
+      console.error('Error status:', error.status, error.code, error.details);
       console.error('Request payload was:', JSON.stringify(payload, null, 2));
       throw error;
     }
   }
+
+  async createTransaction(transactionData) {
+    return this.submitTransaction(this.buildTransactionPayload('send', transactionData), 'transaction');
+  }
+
+  // Transactions previously written with the given metadata.idempotency_key
+  async findTransactionsByIdempotencyKey(idempotencyKey, { signal } = {}) {
+    const response = await this.http.get(
+      `${getApiBaseUrl()}/transactions?metadata->>idempotency_key=eq.${encodeURIComponent(idempotencyKey)}&select=id,transaction_type,amount,status,from_user_id,to_user_id,metadata,created_at`,
+      { headers: this.getAuthHeaders(), signal }
+    );
+    return response.data || [];
+  }
+
+  // All transactions referencing any of the given tasks via metadata.task_id
+  async getTaskTransactions(taskIds = [], { signal } = {}) {
+    if (!taskIds || taskIds.length === 0) return [];
+
+    // Keep URLs short: query task ids in chunks
+    const chunkSize = 50;
+    const results = [];
+    for (let i = 0; i < taskIds.length; i += chunkSize) {
+      const ids = taskIds.slice(i, i + chunkSize).map(id => `"${id}"`).join(',');
+      const response = await this.http.get(
+        `${getApiBaseUrl()}/transactions?metadata->>task_id=in.(${encodeURIComponent(ids)})&select=id,transaction_type,status,amount,net_amount,currency,from_user_id,to_user_id,metadata,created_at&order=created_at.asc`,
+        { headers: this.getAuthHeaders(), signal }
+      );
+      results.push(...(response.data || []));
+    }
+    return results;
+  }
+
+  // Get transaction summary for a user
+  // Resolves with null when the user has no summary yet
+  async getTransactionSummary(userId, { signal } = {}) {
+    try {
+      return await this.withOfflineCache(`summary:${userId}`, async () => {
+        const response = await this.http.post(
+          `${getApiBaseUrl()}/rpc/transactions_summary`,
+          {
+            p_user_uuid: userId
+          },
+          { headers: this.getAuthHeaders(), signal }
+        );
+        return response.data?.[0] || null;
+      });
+    } catch (error) {
+      logRequestError('Error fetching transaction summary:', error);
+      throw error;
+    }
+  }
+
+  // Summaries for several users: { userId: summary }. Cached summaries are
+  // reused until they expire or a transaction involving the user is posted;
+  // the rest are fetched in parallel, SUMMARY_CONCURRENCY at a time.
+  // Users whose summary failed to load are left out; rejects with the
+  // first error only when none of the fetched summaries loaded.
+  async getTransactionSummaries(userIds, { signal, force = false } = {}) {
+    const now = Date.now();
+    const summaries = {};
+    const missing = [];
+    const failures = [];
+
+    [...new Set(userIds)].forEach(userId => {
+      const cached = this.summaryCache.get(userId);
+      if (!force && cached && now - cached.fetchedAt < SUMMARY_TTL) {
+        summaries[userId] = cached.summary;
+      } else {
+        missing.push(userId);
+      }
+    });
+
+    if (missing.length > 0) {
+      console.log(`Fetching ${missing.length} transaction summaries (${userIds.length - missing.length} cached)`);
+      await mapWithConcurrency(missing, SUMMARY_CONCURRENCY, async (userId) => {
+        if (signal?.aborted) return;
+        let summary;
+        try {
+          summary = await this.getTransactionSummary(userId, { signal });
+        } catch (error) {
+          if (isCanceledError(error)) throw error;
+          failures.push(error);
+          return;
+        }
+        summaries[userId] = summary;
+        // Empty and offline-cache results are fetched again next time
+        if (summary && !this.offline) {
+          this.summaryCache.set(userId, { summary, fetchedAt: Date.now() });
+        }
+      });
+
+      if (failures.length > 0 && failures.length === missing.length) {
+        throw failures[0];
+      }
+    }
+
+    return summaries;
+  }
+
+  // Drop cached summaries of the given users (all users when omitted)
+  invalidateSummaries(userIds) {
+    if (!userIds) {
+      this.summaryCache.clear();
+      return;
+    }
+    userIds.filter(Boolean).forEach(userId => this.summaryCache.delete(userId));
+  }
+
+  // Reversal Transaction (for uncomplete)
+  async createReversalTransaction(transactionData) {
+    // Same as createTransaction but with transaction_type: 'unsend'
+    return this.submitTransaction(this.buildTransactionPayload('unsend', transactionData), 'reversal transaction');
+  }
 }
 
 export default new OnFireAPI();
\ No newline at end of file
@@ -0,0 +1,258 @@
+import axios from 'axios';
+import onFireAPI from './api';
+import { outboxList, outboxClear } from './offlineStore';
+import { ConversationChannel } from './realtime';
+import { startMockApiServer, UNREACHABLE_URL } from '../testUtils/mockApiServer';
+import { setMockApiBaseUrl } from '../testUtils/mockConfig';
+import { waitFor } from '../testUtils/waitFor';
+
+const { USERS, CONVERSATIONS, MOCK_PASSWORD } = require('../../plugins/mock-backend/fixtures');
+
+jest.mock('./config', () => require('../testUtils/mockConfig'));
+
+const DISHWASHER_ID = 'c0000000-0000-4000-8000-000000000001';
+
+const serverTask = (id) => mockServer.backend.getState().tasks.find(task => task.id === id);
+
+// Tokens from the login RPC, without signing in yet
+const loginTokens = async () => {
+  const { data } = await axios.post(`${mockServer.baseUrl}/rpc/login_user`, {
+    p_email: 'alex@example.com',
+    p_password: MOCK_PASSWORD
+  });
+  return { accessToken: data[0].access_token, refreshToken: data[0].refresh_token };
+};
+
+let mockServer;
+
+beforeAll(async () => {
+  mockServer = await startMockApiServer();
+});
+
+afterAll(() => mockServer.close());
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  mockServer.backend.reset();
+  setMockApiBaseUrl(mockServer.baseUrl);
+});
+
+afterEach(async () => {
+  await onFireAPI.flushPromise;
+  onFireAPI.logout();
+  localStorage.clear();
+  // Start every test with an empty outbox
+  await outboxClear();
+  await onFireAPI.loadOutbox();
+  jest.restoreAllMocks();
+});
+
+describe('establishSession', () => {
+  it('stores the tokens and loads the user when the login did not include it', async () => {
+    const { accessToken, refreshToken } = await loginTokens();
+
+    const userData = await onFireAPI.establishSession({ accessToken, refreshToken });
+
+    expect(onFireAPI.isAuthenticated()).toBe(true);
+    expect(localStorage.getItem('onfire_access_token')).toBe(accessToken);
+    expect(localStorage.getItem('onfire_refresh_token')).toBe(refreshToken);
+    expect(userData).toEqual(expect.objectContaining({ id: USERS.alex }));
+    expect(JSON.parse(localStorage.getItem('onfire_user_data'))).toEqual(userData);
+  });
+
+  it('links the display it is given', async () => {
+    const { accessToken, refreshToken } = await loginTokens();
+
+    await onFireAPI.establishSession({ accessToken, refreshToken, displayId: 'display-2' });
+
+    expect(localStorage.getItem('onfire_display_id')).toBe('display-2');
+  });
+
+  it('keeps the linked display when signing in without one', async () => {
+    localStorage.setItem('onfire_display_id', 'display-1');
+
+    // Email sign-in and a QR code the phone didn't link to a display
+    await onFireAPI.login('alex@example.com', MOCK_PASSWORD);
+    const { accessToken, refreshToken } = await loginTokens();
+    await onFireAPI.completeQrLogin({ accessToken, refreshToken, displayId: null });
+
+    expect(localStorage.getItem('onfire_display_id')).toBe('display-1');
+  });
+
+  it('unlinks the display on logout', async () => {
+    await onFireAPI.login('alex@example.com', MOCK_PASSWORD);
+    const { accessToken, refreshToken } = await loginTokens();
+    await onFireAPI.establishSession({ accessToken, refreshToken, displayId: 'display-1' });
+
+    onFireAPI.logout();
+
+    expect(localStorage.getItem('onfire_display_id')).toBeNull();
+  });
+});
+
+describe('offline outbox across sign-outs', () => {
+  // Complete the dishwasher task while the API is unreachable
+  const queueCompletionOffline = async () => {
+    const base = serverTask(DISHWASHER_ID).updated_at;
+    setMockApiBaseUrl(UNREACHABLE_URL);
+    const result = await onFireAPI.completeTask(DISHWASHER_ID, USERS.sam, base);
+    setMockApiBaseUrl(mockServer.baseUrl);
+    expect(result).toEqual(expect.objectContaining({ queued: true }));
+  };
+
+  it('keeps queued changes through logout and replays them when their user signs in again', async () => {
+    await onFireAPI.login('alex@example.com', MOCK_PASSWORD);
+    await queueCompletionOffline();
+
+    onFireAPI.logout();
+    await waitFor(() => onFireAPI.getOfflineState().held === 1);
+    expect(onFireAPI.getOfflineState().pending).toBe(0);
+    const [entry] = await outboxList();
+    expect(entry.user_id).toBe(USERS.alex);
+
+    await onFireAPI.login('alex@example.com', MOCK_PASSWORD);
+    await waitFor(async () => (await outboxList()).length === 0);
+    expect(serverTask(DISHWASHER_ID).status).toBe('completed');
+    expect(onFireAPI.getOfflineState()).toEqual(expect.objectContaining({ pending: 0, held: 0 }));
+  });
+
+  it('holds another user\'s queued changes instead of replaying them', async () => {
+    await onFireAPI.login('alex@example.com', MOCK_PASSWORD);
+    await queueCompletionOffline();
+    onFireAPI.logout();
+
+    await onFireAPI.login('sam@example.com', MOCK_PASSWORD);
+    await onFireAPI.flushOutbox();
+
+    expect(await outboxList()).toHaveLength(1);
+    expect(serverTask(DISHWASHER_ID).status).toBe('not_started');
+    expect(onFireAPI.getOfflineState()).toEqual(expect.objectContaining({ pending: 0, held: 1 }));
+  });
+
+  it('keeps queued changes when a failed token refresh signs the display out', async () => {
+    await onFireAPI.login('alex@example.com', MOCK_PASSWORD);
+    await queueCompletionOffline();
+
+    // Both tokens are dead by the time the network comes back
+    await axios.post(`${mockServer.baseUrl}/__mock/expire-tokens`);
+    onFireAPI.refreshToken = 'mock-refresh-revoked';
+    await onFireAPI.flushOutbox();
+
+    expect(onFireAPI.isAuthenticated()).toBe(false);
+    expect(await outboxList()).toHaveLength(1);
+    expect(onFireAPI.getOfflineState().conflicts).toEqual([]);
+  });
+});
+
+describe('outbox replay', () => {
+  it('applies several queued edits of one task and its payout', async () => {
+    await onFireAPI.login('alex@example.com', MOCK_PASSWORD);
+    const task = { ...serverTask(DISHWASHER_ID) };
+
+    // Start the task, complete it and pay for it while offline
+    setMockApiBaseUrl(UNREACHABLE_URL);
+    await onFireAPI.transitionTask(task, 'in_progress');
+    await onFireAPI.completeTask(DISHWASHER_ID, USERS.sam, task.updated_at);
+    await onFireAPI.createTransaction({
+      from_user_id: USERS.alex,
+      to_user_id: USERS.sam,
+      amount: 5,
+      metadata: { task_id: DISHWASHER_ID, idempotency_key: 'complete-dishwasher' }
+    });
+    setMockApiBaseUrl(mockServer.baseUrl);
+    expect(await outboxList()).toHaveLength(3);
+
+    const { replayed, conflicts } = await onFireAPI.flushOutbox();
+
+    expect(conflicts).toEqual([]);
+    expect(replayed).toBe(3);
+    expect(serverTask(DISHWASHER_ID)).toEqual(expect.objectContaining({ status: 'completed', completed_by_user_id: USERS.sam }));
+    expect(mockServer.backend.getState().transactions.filter(t => t.metadata?.task_id === DISHWASHER_ID)).toHaveLength(1);
+  });
+
+  it('still drops queued edits when another display changed the task in between', async () => {
+    await onFireAPI.login('alex@example.com', MOCK_PASSWORD);
+    const task = { ...serverTask(DISHWASHER_ID) };
+
+    setMockApiBaseUrl(UNREACHABLE_URL);
+    await onFireAPI.transitionTask(task, 'in_progress');
+    await onFireAPI.completeTask(DISHWASHER_ID, USERS.sam, task.updated_at);
+    setMockApiBaseUrl(mockServer.baseUrl);
+    // Another display edits it before this one reconnects
+    await axios.patch(`${mockServer.baseUrl}/tasks?id=eq.${DISHWASHER_ID}`, { title: 'Empty it' }, {
+      headers: onFireAPI.getAuthHeaders()
+    });
+
+    const { conflicts } = await onFireAPI.flushOutbox();
+
+    expect(conflicts.map(conflict => conflict.reason)).toEqual(['stale', 'stale']);
+    expect(serverTask(DISHWASHER_ID).status).toBe('not_started');
+  });
+});
+
+describe('server-set updated_at', () => {
+  const newestServerUpdate = () => mockServer.backend.getState().tasks
+    .filter(task => task.chat_id === CONVERSATIONS.family)
+    .reduce((latest, task) => (task.updated_at > latest ? task.updated_at : latest), '');
+
+  beforeEach(async () => {
+    await onFireAPI.login('alex@example.com', MOCK_PASSWORD);
+  });
+
+  it('leaves updated_at out of task updates and lets the server set it', async () => {
+    const patch = jest.spyOn(onFireAPI.http, 'patch');
+    const before = serverTask(DISHWASHER_ID).updated_at;
+
+    await onFireAPI.setTaskProgress(serverTask(DISHWASHER_ID), 30);
+    await onFireAPI.editTask(DISHWASHER_ID, { title: 'Empty the dishwasher', priority: 'high' });
+
+    expect(patch).toHaveBeenCalledTimes(2);
+    patch.mock.calls.forEach(([, body]) => expect(body).not.toHaveProperty('updated_at'));
+    expect(serverTask(DISHWASHER_ID).updated_at > before).toBe(true);
+  });
+
+  it('builds the sync cursor from server rows only, not queued local changes', async () => {
+    const base = serverTask(DISHWASHER_ID).updated_at;
+    setMockApiBaseUrl(UNREACHABLE_URL);
+    await onFireAPI.completeTask(DISHWASHER_ID, USERS.sam, base);
+    setMockApiBaseUrl(mockServer.baseUrl);
+
+    const synced = await onFireAPI.syncTasks(CONVERSATIONS.family);
+
+    expect(synced.tasks.find(task => task.id === DISHWASHER_ID).status).toBe('completed');
+    expect(synced.cursor).toBe(newestServerUpdate());
+  });
+
+  it('keeps only the newest completed rows after an incremental sync', async () => {
+    const RECYCLING_ID = 'c0000000-0000-4000-8000-000000000003';
+    await onFireAPI.syncTasks(CONVERSATIONS.family, { completedLimit: 1 });
+    await onFireAPI.completeTask(DISHWASHER_ID, USERS.sam);
+    await onFireAPI.completeTask(RECYCLING_ID, USERS.sam);
+
+    const synced = await onFireAPI.syncTasks(CONVERSATIONS.family, { completedLimit: 1 });
+
+    const completed = synced.tasks.filter(task => task.status === 'completed');
+    expect(completed.map(task => task.id)).toEqual([RECYCLING_ID]);
+    expect(synced.completedTotal).toBe(mockServer.backend.getState().tasks
+      .filter(task => task.chat_id === CONVERSATIONS.family && task.status === 'completed').length);
+  });
+
+  it('picks up a change made on another display after the cursor', async () => {
+    const synced = await onFireAPI.syncTasks(CONVERSATIONS.family);
+    const onTaskChange = jest.fn();
+    const channel = new ConversationChannel(CONVERSATIONS.family, { onTaskChange });
+    channel.seed(synced.tasks, null, synced.cursor);
+
+    await onFireAPI.setTaskProgress(serverTask(DISHWASHER_ID), 50);
+    await channel.poll();
+
+    expect(onTaskChange).toHaveBeenCalledWith({
+      type: 'upsert',
+      task: expect.objectContaining({ id: DISHWASHER_ID, progress_percentage: 50 })
+    });
+    expect(channel.cursor).toBe(serverTask(DISHWASHER_ID).updated_at);
+    channel.stop();
+  });
+});
@@ -0,0 +1,111 @@
+// Typed errors for OnFire API requests. The axios instance in api.js turns
+// every failed response into one of these, so callers branch on the class
+// (or `kind`) instead of digging through error.response.
+//
+// PostgREST answers errors with a body like
+//   { code: '23505', message, details, hint }
+// where `code` is a Postgres SQLSTATE or one of PostgREST's own PGRSTxxx codes.
+
+export class ApiError extends Error {
+  constructor(message, { kind = 'server', status = null, code = null, details = null, hint = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.hint = hint;
+    this.cause = cause;
+  }
+
+  // The same request may succeed later (connection back, server recovered)
+  get retryable() {
+    return this.kind === 'network' || this.kind === 'server';
+  }
+}
+
+// No response: offline, DNS, CORS or a timeout
+export class NetworkError extends ApiError {
+  constructor(message = 'Could not reach the OnFire server. Check the connection and try again.', options = {}) {
+    super(message, { ...options, kind: 'network' });
+    this.name = 'NetworkError';
+  }
+}
+
+// Missing or expired session; the refresh in api.js has already failed
+export class AuthError extends ApiError {
+  constructor(message = 'Your session has expired. Please sign in again.', options = {}) {
+    super(message, { ...options, kind: 'auth' });
+    this.name = 'AuthError';
+  }
+}
+
+// Signed in, but row-level security or a grant said no
+export class PermissionError extends ApiError {
+  constructor(message = 'You do not have permission to do that.', options = {}) {
+    super(message, { ...options, kind: 'permission' });
+    this.name = 'PermissionError';
+  }
+}
+
+// The server understood the request and rejected its content
+export class ValidationError extends ApiError {
+  constructor(message = 'The server rejected the request.', options = {}) {
+    super(message, { ...options, kind: 'validation' });
+    this.name = 'ValidationError';
+  }
+}
+
+export class ServerError extends ApiError {
+  constructor(message = 'The OnFire server had a problem. Please try again.', options = {}) {
+    super(message, { ...options, kind: 'server' });
+    this.name = 'ServerError';
+  }
+}
+
+// Short headings for toasts and alerts
+export const API_ERROR_TITLES = {
+  network: 'Connection problem',
+  auth: 'Signed out',
+  permission: 'Not allowed',
+  validation: 'Request rejected',
+  server: 'Server error'
+};
+
+export const getErrorTitle = (error) => API_ERROR_TITLES[error?.kind] || 'Something went wrong';
+
+export const isCanceledError = (error) => error?.code === 'ERR_CANCELED';
+
+const isAuthCode = (code, message) => code === 'PGRST301' || code === 'PGRST302' || /jwt expired/i.test(message || '');
+
+// SQLSTATE class 22 (bad data) and 23 (constraint violations), plus
+// PostgREST's request (PGRST1xx) and schema (PGRST2xx) errors
+const isValidationCode = (code) => /^(22|23)/.test(code || '') || /^PGRST[12]/.test(code || '');
+
+// Turn an axios error into an ApiError. Cancellations and errors that did
+// not come from a request (bugs, TaskValidationError, ...) pass through.
+export const toApiError = (error) => {
+  if (error instanceof ApiError || isCanceledError(error) || !error?.isAxiosError) return error;
+
+  const status = error.response?.status ?? null;
+  const data = error.response?.data;
+  const body = data && typeof data === 'object' ? data : {};
+  const options = {
+    status,
+    code: body.code || null,
+    details: body.details || null,
+    hint: body.hint || null,
+    cause: error
+  };
+
+  if (!error.response || status === 408) return new NetworkError(undefined, options);
+  if (status === 401 || isAuthCode(body.code, body.message)) return new AuthError(undefined, options);
+  if (status === 403 || body.code === '42501') return new PermissionError(undefined, options);
+  if (status >= 500 || status === 429) {
+    return new ServerError(status === 429 ? 'The OnFire server is busy. Please try again in a moment.' : undefined, options);
+  }
+  if (status >= 400 || isValidationCode(body.code)) {
+    return new ValidationError(body.message || undefined, options);
+  }
+  return new ServerError(undefined, options);
+};
@@ -0,0 +1,311 @@
+import onFireAPI from './api';
+import { getCurrencySettings } from './currency';
+import { isAllowedCompleter, isAssigneesOnly, isApprovalRequired, assertTransition, getTransitionColumns } from './tasks';
+
+// Completing a task and paying for it are two API calls. This service keeps
+// them together: every payout carries an idempotency key so retries and
+// double taps never pay twice, transient failures are retried, and when a
+// payout cannot be made the task change is rolled back or, failing that,
+// recorded as a pending payout the HUD can show and retry.
+
+const PENDING_PAYOUTS_KEY = 'onfire_pending_payouts';
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY = 500;
+
+// Calls in flight per idempotency key, so a double tap joins the first call
+const inFlight = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network and server errors (ApiError.retryable); a rejected payout stays rejected
+const isTransientError = (error) => error?.retryable === true;
+
+// Task id + completer + completion version. The version is the task's
+// updated_at before this change, so re-completing later gets a new key.
+export const buildIdempotencyKey = (action, taskId, userId, version) =>
+  `${action}:${taskId}:${userId}:${version || 'initial'}`;
+
+// Pending payouts
+
+export const getPendingPayouts = (conversationId) => {
+  const all = JSON.parse(localStorage.getItem(PENDING_PAYOUTS_KEY) || '[]');
+  return conversationId ? all.filter(p => p.conversation_id === conversationId) : all;
+};
+
+const savePendingPayouts = (payouts) => {
+  localStorage.setItem(PENDING_PAYOUTS_KEY, JSON.stringify(payouts));
+};
+
+const addPendingPayout = (pending) => {
+  const others = getPendingPayouts().filter(p => p.idempotency_key !== pending.idempotency_key);
+  savePendingPayouts([...others, { ...pending, recorded_at: new Date().toISOString() }]);
+};
+
+const removePendingPayout = (idempotencyKey) => {
+  savePendingPayouts(getPendingPayouts().filter(p => p.idempotency_key !== idempotencyKey));
+};
+
+// Payout
+
+// Create the transaction unless one with the same key already exists,
+// retrying transient failures. Returns the created/existing transaction.
+const ensureTransaction = async (kind, transactionData) => {
+  const key = transactionData.metadata.idempotency_key;
+  const create = kind === 'unsend'
+    ? (data) => onFireAPI.createReversalTransaction(data)
+    : (data) => onFireAPI.createTransaction(data);
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      const existing = await onFireAPI.findTransactionsByIdempotencyKey(key);
+      if (existing.length > 0) {
+        console.log(`♻️ ${kind} for ${key} already exists, not creating another`);
+        return existing[0];
+      }
+      return await create(transactionData);
+    } catch (error) {
+      lastError = error;
+      if (!isTransientError(error) || attempt === MAX_ATTEMPTS) break;
+      console.warn(`Transient error on ${kind} attempt ${attempt}/${MAX_ATTEMPTS}, retrying...`, error.message);
+      await sleep(RETRY_BASE_DELAY * 2 ** (attempt - 1));
+    }
+  }
+  throw lastError;
+};
+
+// Shared shape of the two flows: change the task, pay (or reverse), and
+// compensate if paying fails. The task change is conditional; when it
+// updated no row (another display got there first) nothing is paid and the
+// flow resolves with `unchangedStatus`.
+const runWithPayout = (key, { applyTask, rollbackTask, kind, transactionData, pending, unchangedStatus }) => {
+  if (inFlight.has(key)) {
+    console.log(`⏳ ${key} already in progress, joining it`);
+    return inFlight.get(key);
+  }
+
+  const run = (async () => {
+    const taskResult = await applyTask();
+
+    // Offline: the task change is queued, so queue the payout right behind it
+    if (taskResult?.queued || onFireAPI.pendingMutations > 0) {
+      await (kind === 'unsend'
+        ? onFireAPI.createReversalTransaction(transactionData)
+        : onFireAPI.createTransaction(transactionData));
+      return { status: 'queued', idempotencyKey: key };
+    }
+
+    if (Array.isArray(taskResult) && taskResult.length === 0) {
+      console.log(`🛑 ${key}: task was already changed elsewhere, not paying`);
+      return { status: unchangedStatus, idempotencyKey: key };
+    }
+
+    try {
+      const transaction = await ensureTransaction(kind, transactionData);
+      removePendingPayout(key);
+      return { status: 'paid', idempotencyKey: key, transaction };
+    } catch (payoutError) {
+      console.error(`❌ ${kind} for ${key} failed, compensating:`, payoutError.message);
+
+      try {
+        await rollbackTask();
+        console.log('↩️ Task change rolled back after failed payout');
+        return { status: 'rolled_back', idempotencyKey: key, error: payoutError };
+      } catch (rollbackError) {
+        console.error('❌ Rollback failed too, recording pending payout:', rollbackError.message);
+        addPendingPayout({ ...pending, kind, idempotency_key: key, transaction: transactionData });
+        return { status: 'pending_payout', idempotencyKey: key, error: payoutError };
+      }
+    }
+  })().finally(() => {
+    inFlight.delete(key);
+  });
+
+  inFlight.set(key, run);
+  return run;
+};
+
+// Mark `task` completed by `person` and pay them `amount` from the task creator.
+// Resolves with { status: 'paid' | 'queued' | 'rolled_back' | 'pending_payout'
+// | 'already_completed', idempotencyKey }.
+export const completeTaskWithPayout = async ({ task, person, amount, conversationId }) => {
+  // Checked again here so no caller can pay a non-assignee under the policy
+  if (!isAllowedCompleter(task, person.id, isAssigneesOnly(conversationId))) {
+    throw new Error(`${person.name} is not assigned to "${task.title}"`);
+  }
+  assertTransition(task.status, 'completed');
+  if (isApprovalRequired(conversationId) && task.status !== 'awaiting_approval') {
+    throw new Error(`"${task.title}" needs the task creator's approval before it is paid`);
+  }
+  if (!task.created_by_user_id) {
+    throw new Error('Cannot pay for task: created_by_user_id is missing');
+  }
+  if (!amount || amount <= 0) {
+    throw new Error(`Cannot pay for task: invalid amount ${amount}`);
+  }
+
+  const key = buildIdempotencyKey('complete', task.id, person.id, task.updated_at);
+
+  return runWithPayout(key, {
+    kind: 'send',
+    unchangedStatus: 'already_completed',
+    applyTask: () => onFireAPI.completeTask(task.id, person.id, task.updated_at),
+    // Restore the status and progress the task had before (an approved
+    // completion goes back to the approval queue with its completer)
+    rollbackTask: () => onFireAPI.uncompleteTask(task.id, undefined, {
+      status: task.status || 'not_started',
+      progress_percentage: task.progress_percentage ?? 0,
+      completed_by_user_id: task.completed_by_user_id ?? null
+    }),
+    pending: { task_id: task.id, task_title: task.title, user_id: person.id, conversation_id: conversationId },
+    transactionData: {
+      from_user_id: task.created_by_user_id,
+      to_user_id: person.id,
+      amount: amount,
+      currency: getCurrencySettings(conversationId).code,
+      fee: 0,
+      net_amount: amount,
+      related_entity_type: 'task',
+      description: `Payment for completing task: ${task.title}`,
+      notes: `Task completed by ${person.name}`,
+      metadata: {
+        task_id: task.id,
+        task_title: task.title,
+        completed_by: person.id,
+        conversation_id: conversationId,
+        idempotency_key: key
+      }
+    }
+  });
+};
+
+// Approval mode: record `person` as the completer and queue the task for
+// the creator's approval. Nothing is paid yet.
+export const submitForApproval = async ({ task, person, conversationId }) => {
+  if (!isAllowedCompleter(task, person.id, isAssigneesOnly(conversationId))) {
+    throw new Error(`${person.name} is not assigned to "${task.title}"`);
+  }
+  return onFireAPI.transitionTask(task, 'awaiting_approval', { completedBy: person.id });
+};
+
+const assertApprover = (task, approverId) => {
+  if (task.status !== 'awaiting_approval') {
+    throw new Error(`"${task.title}" is not waiting for approval`);
+  }
+  if (!approverId || approverId !== task.created_by_user_id) {
+    throw new Error('Only the task creator can approve or reject this completion');
+  }
+};
+
+// Creator approves a queued completion: the task is completed and its
+// completer (`person`) is paid, with the same guarantees as a direct completion
+export const approveCompletion = async ({ task, person, approverId, amount, conversationId }) => {
+  assertApprover(task, approverId);
+  if (person.id !== task.completed_by_user_id) {
+    throw new Error(`"${task.title}" was submitted by someone else`);
+  }
+  return completeTaskWithPayout({ task, person, amount, conversationId });
+};
+
+// Creator rejects a queued completion: the task goes back to in progress
+export const rejectCompletion = async ({ task, approverId }) => {
+  assertApprover(task, approverId);
+  return onFireAPI.transitionTask(task, 'in_progress', { completedBy: null });
+};
+
+// Sends minus reversals, in cents so a send and its reversal cancel out exactly
+const netPaidAmount = (transactions) => {
+  const net = transactions.reduce((sum, tx) => {
+    if (tx.transaction_type === 'send') return sum + Math.abs(Number(tx.amount));
+    if (tx.transaction_type === 'unsend') return sum - Math.abs(Number(tx.amount));
+    return sum;
+  }, 0);
+  return Math.max(0, Math.round(net * 100) / 100);
+};
+
+// Map of task id -> net amount paid for it, for the tasks that have
+// transactions. Rewards can include completer-specific bonuses, so totals
+// shown for completed tasks use this rather than recomputing the reward.
+export const getPaidAmounts = async (taskIds, { signal } = {}) => {
+  const transactions = await onFireAPI.getTaskTransactions(taskIds, { signal });
+  const byTask = new Map();
+  transactions.forEach(tx => {
+    const taskId = tx.metadata?.task_id;
+    if (!byTask.has(taskId)) byTask.set(taskId, []);
+    byTask.get(taskId).push(tx);
+  });
+  return new Map([...byTask].map(([taskId, list]) => [taskId, netPaidAmount(list)]));
+};
+
+// Net amount paid out for a task so far, 0 when nothing is outstanding, e.g.
+// the payout never went out or was already reversed
+const resolvePaidAmount = async (task, fallback) => {
+  try {
+    return netPaidAmount(await onFireAPI.getTaskTransactions([task.id]));
+  } catch (error) {
+    console.warn('Could not look up paid amount, using computed reward:', error.message);
+  }
+  return fallback;
+};
+
+// Reopen a completed task and reverse the payout its completer received.
+// `amount` is used when the original payout cannot be looked up; `reopenAs`
+// is the status the task goes back to (not_started or in_progress).
+// Resolves like completeTaskWithPayout, with 'already_reopened' when the
+// task was no longer completed and 'no_payout' when it was reopened without
+// a reversal because nothing had been paid for it.
+export const uncompleteTaskWithReversal = async ({ task, person, amount: fallbackAmount, conversationId, reopenAs = 'not_started' }) => {
+  assertTransition(task.status, reopenAs);
+  const completerId = task.completed_by_user_id;
+  const amount = await resolvePaidAmount(task, fallbackAmount);
+  const key = buildIdempotencyKey('reverse', task.id, completerId, task.updated_at);
+
+  // Never debit someone who was not paid
+  if (!(amount > 0)) {
+    const taskResult = await onFireAPI.uncompleteTask(task.id, task.updated_at, getTransitionColumns(task, reopenAs));
+    if (Array.isArray(taskResult) && taskResult.length === 0) {
+      return { status: 'already_reopened', idempotencyKey: key };
+    }
+    // A payout still waiting for a retry is for a completion that no longer stands
+    savePendingPayouts(getPendingPayouts().filter(p => !(p.task_id === task.id && p.kind === 'send')));
+    console.log(`ℹ️ ${key}: nothing was paid for this task, reopened without a reversal`);
+    return { status: 'no_payout', idempotencyKey: key };
+  }
+
+  return runWithPayout(key, {
+    kind: 'unsend',
+    unchangedStatus: 'already_reopened',
+    applyTask: () => onFireAPI.uncompleteTask(task.id, task.updated_at, getTransitionColumns(task, reopenAs)),
+    rollbackTask: () => onFireAPI.completeTask(task.id, completerId),
+    pending: { task_id: task.id, task_title: task.title, user_id: completerId, conversation_id: conversationId },
+    transactionData: {
+      from_user_id: task.created_by_user_id,
+      to_user_id: completerId,
+      amount: -amount,  // Negative amount for reversal
+      currency: getCurrencySettings(conversationId).code,
+      fee: 0,
+      net_amount: -amount,
+      related_entity_type: 'task',
+      description: `Reversal for uncompleted task: ${task.title}`,
+      notes: `Task uncompleted by ${person?.name || 'user'}`,
+      metadata: {
+        task_id: task.id,
+        task_title: task.title,
+        uncompleted_by: completerId,
+        conversation_id: conversationId,
+        reversal: true,
+        idempotency_key: key
+      }
+    }
+  });
+};
+
+// Retry a recorded pending payout; the idempotency key prevents double payment
+export const retryPendingPayout = async (idempotencyKey) => {
+  const pending = getPendingPayouts().find(p => p.idempotency_key === idempotencyKey);
+  if (!pending) return null;
+
+  const transaction = await ensureTransaction(pending.kind, pending.transaction);
+  removePendingPayout(idempotencyKey);
+  return transaction;
+};
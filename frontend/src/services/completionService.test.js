@@ -0,0 +1,101 @@
+import onFireAPI from './api';
+import { completeTaskWithPayout, getPaidAmounts, uncompleteTaskWithReversal } from './completionService';
+import { startMockApiServer } from '../testUtils/mockApiServer';
+import { setMockApiBaseUrl } from '../testUtils/mockConfig';
+
+const { USERS, CONVERSATIONS, MOCK_PASSWORD } = require('../../plugins/mock-backend/fixtures');
+
+jest.mock('./config', () => require('../testUtils/mockConfig'));
+
+const RECYCLING_ID = 'c0000000-0000-4000-8000-000000000003';
+const SAM = { id: USERS.sam, name: 'Sam' };
+const JORDAN = { id: USERS.jordan, name: 'Jordan' };
+
+let mockServer;
+
+const serverState = () => mockServer.backend.getState();
+const serverTask = (id) => ({ ...serverState().tasks.find(task => task.id === id) });
+const taskTransactions = (id) => serverState().transactions.filter(tx => tx.metadata?.task_id === id);
+
+beforeAll(async () => {
+  mockServer = await startMockApiServer();
+  setMockApiBaseUrl(mockServer.baseUrl);
+});
+
+afterAll(() => mockServer.close());
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  mockServer.backend.reset();
+  await onFireAPI.login('alex@example.com', MOCK_PASSWORD);
+});
+
+afterEach(() => {
+  onFireAPI.logout();
+  jest.restoreAllMocks();
+});
+
+describe('completeTaskWithPayout', () => {
+  it('pays once when two displays complete the same task', async () => {
+    // Both displays loaded the task while it was still open
+    const task = serverTask(RECYCLING_ID);
+
+    const first = await completeTaskWithPayout({ task, person: SAM, amount: 10, conversationId: CONVERSATIONS.family });
+    const second = await completeTaskWithPayout({ task, person: JORDAN, amount: 10, conversationId: CONVERSATIONS.family });
+
+    expect(first.status).toBe('paid');
+    expect(second.status).toBe('already_completed');
+    expect(serverTask(RECYCLING_ID).completed_by_user_id).toBe(USERS.sam);
+    expect(taskTransactions(RECYCLING_ID)).toEqual([
+      expect.objectContaining({ transaction_type: 'send', to_user_id: USERS.sam, amount: 10 })
+    ]);
+  });
+});
+
+describe('uncompleteTaskWithReversal', () => {
+  it('reverses once when two displays reopen the same task', async () => {
+    await completeTaskWithPayout({ task: serverTask(RECYCLING_ID), person: SAM, amount: 10, conversationId: CONVERSATIONS.family });
+    const completed = serverTask(RECYCLING_ID);
+
+    const first = await uncompleteTaskWithReversal({ task: completed, person: SAM, amount: 10, conversationId: CONVERSATIONS.family });
+    const second = await uncompleteTaskWithReversal({ task: completed, person: SAM, amount: 10, conversationId: CONVERSATIONS.family });
+
+    expect(first.status).toBe('paid');
+    expect(second.status).toBe('already_reopened');
+    expect(taskTransactions(RECYCLING_ID).map(tx => tx.transaction_type)).toEqual(['send', 'unsend']);
+  });
+
+  it('reopens without a reversal when nothing was paid', async () => {
+    // Completed, but the payout never went out (e.g. it ended as a pending payout)
+    await onFireAPI.completeTask(RECYCLING_ID, USERS.sam, serverTask(RECYCLING_ID).updated_at);
+    const completed = serverTask(RECYCLING_ID);
+
+    const result = await uncompleteTaskWithReversal({ task: completed, person: SAM, amount: 10, conversationId: CONVERSATIONS.family });
+
+    expect(result.status).toBe('no_payout');
+    expect(serverTask(RECYCLING_ID).status).toBe('not_started');
+    expect(taskTransactions(RECYCLING_ID)).toEqual([]);
+  });
+
+  it('does not reverse a payout twice after the task is completed again without pay', async () => {
+    await completeTaskWithPayout({ task: serverTask(RECYCLING_ID), person: SAM, amount: 10, conversationId: CONVERSATIONS.family });
+    await uncompleteTaskWithReversal({ task: serverTask(RECYCLING_ID), person: SAM, amount: 10, conversationId: CONVERSATIONS.family });
+    await onFireAPI.completeTask(RECYCLING_ID, USERS.sam, serverTask(RECYCLING_ID).updated_at);
+
+    const result = await uncompleteTaskWithReversal({ task: serverTask(RECYCLING_ID), person: SAM, amount: 10, conversationId: CONVERSATIONS.family });
+
+    expect(result.status).toBe('no_payout');
+    expect(taskTransactions(RECYCLING_ID).map(tx => tx.transaction_type)).toEqual(['send', 'unsend']);
+  });
+});
+
+describe('getPaidAmounts', () => {
+  it('nets payouts against their reversals per task', async () => {
+    await completeTaskWithPayout({ task: serverTask(RECYCLING_ID), person: SAM, amount: 12.5, conversationId: CONVERSATIONS.family });
+    expect(await getPaidAmounts([RECYCLING_ID])).toEqual(new Map([[RECYCLING_ID, 12.5]]));
+
+    await uncompleteTaskWithReversal({ task: serverTask(RECYCLING_ID), person: SAM, amount: 10, conversationId: CONVERSATIONS.family });
+    expect(await getPaidAmounts([RECYCLING_ID])).toEqual(new Map([[RECYCLING_ID, 0]]));
+  });
+});
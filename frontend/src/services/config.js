@@ -0,0 +1,124 @@
+// Runtime configuration: which OnFire backend this display talks to.
+//
+// Each named profile carries the API base URL (plus optional socket and
+// slideshow URLs). Later sources win:
+//   1. the built-in profiles below
+//   2. REACT_APP_* env vars baked in at build time
+//   3. /config.json, fetched once at startup, so one build can be deployed
+//      against different hosts:
+//        { "profile": "staging",
+//          "profiles": { "staging": { "apiBaseUrl": "https://..." } } }
+//   4. the profile picked on this display's hidden settings screen
+//
+// Everything that talks to the backend reads its URLs from here.
+
+const PROFILE_KEY = 'onfire_api_profile';
+const CONFIG_URL = '/config.json';
+const CONFIG_TIMEOUT = 3000;
+
+// `local` is a mock backend served next to the app by the dev server
+const BUILT_IN_PROFILES = {
+  production: { label: 'Production', apiBaseUrl: 'https://api2.onfire.so' },
+  staging: { label: 'Staging', apiBaseUrl: null },
+  local: { label: 'Local mock', apiBaseUrl: '/mock-api' }
+};
+
+// CRA only inlines env vars accessed literally, so each is spelled out
+const ENV_PROFILE = process.env.REACT_APP_API_PROFILE || null;
+const ENV_BASE_URLS = {
+  production: process.env.REACT_APP_PRODUCTION_API_URL,
+  staging: process.env.REACT_APP_STAGING_API_URL,
+  local: process.env.REACT_APP_LOCAL_API_URL
+};
+
+let remoteConfig = null;
+let remoteConfigError = null;
+
+// Fetch /config.json. A missing file is normal (the build defaults apply);
+// any other failure is logged and ignored so the display still starts.
+export const loadConfig = async () => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CONFIG_TIMEOUT);
+  try {
+    const response = await fetch(CONFIG_URL, { cache: 'no-store', signal: controller.signal });
+    if (response.ok) {
+      remoteConfig = await response.json();
+      console.log('⚙️ Loaded runtime config from /config.json:', remoteConfig);
+    } else if (response.status !== 404) {
+      remoteConfigError = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    remoteConfigError = error.message;
+  } finally {
+    clearTimeout(timer);
+  }
+  if (remoteConfigError) {
+    console.warn('⚠️ Could not load /config.json, using build defaults:', remoteConfigError);
+  }
+  return getConfig();
+};
+
+export const getConfigLoadError = () => remoteConfigError;
+
+// Relative URLs (e.g. the mock backend on the dev server) are resolved
+// against the page so WebSocket URLs can be derived from them
+const absoluteUrl = (url) => {
+  if (!url) return null;
+  const base = typeof window !== 'undefined' ? window.location.origin : 'http://localhost';
+  return new URL(url, base).toString().replace(/\/$/, '');
+};
+
+// { name: { label, apiBaseUrl, socketUrl, slideshowUrl } } from every source
+export const getProfiles = () => {
+  const remoteProfiles = remoteConfig?.profiles || {};
+  const names = [...new Set([...Object.keys(BUILT_IN_PROFILES), ...Object.keys(remoteProfiles)])];
+
+  return names.reduce((profiles, name) => {
+    const merged = {
+      label: name,
+      ...BUILT_IN_PROFILES[name],
+      ...(ENV_BASE_URLS[name] ? { apiBaseUrl: ENV_BASE_URLS[name] } : {}),
+      ...remoteProfiles[name]
+    };
+    const apiBaseUrl = absoluteUrl(merged.apiBaseUrl);
+    profiles[name] = {
+      label: merged.label,
+      apiBaseUrl,
+      socketUrl: merged.socketUrl ? absoluteUrl(merged.socketUrl) : apiBaseUrl && `${apiBaseUrl.replace(/^http/, 'ws')}/realtime`,
+      slideshowUrl: merged.slideshowUrl ? absoluteUrl(merged.slideshowUrl) : apiBaseUrl && `${apiBaseUrl}/s/slideshow`
+    };
+    return profiles;
+  }, {});
+};
+
+export const getProfileOverride = () => localStorage.getItem(PROFILE_KEY);
+
+// Pick a profile for this display (null goes back to the deployed default).
+// Callers sign out and reload: sessions and caches belong to one backend.
+export const setProfileOverride = (name) => {
+  if (name) {
+    localStorage.setItem(PROFILE_KEY, name);
+  } else {
+    localStorage.removeItem(PROFILE_KEY);
+  }
+};
+
+// Name of the profile in use and where that choice came from
+export const getActiveProfile = () => {
+  const profiles = getProfiles();
+  const usable = (name) => !!(name && profiles[name]?.apiBaseUrl);
+
+  const override = getProfileOverride();
+  if (usable(override)) return { name: override, source: 'display' };
+  if (usable(remoteConfig?.profile)) return { name: remoteConfig.profile, source: 'config.json' };
+  if (usable(ENV_PROFILE)) return { name: ENV_PROFILE, source: 'build' };
+  return { name: 'production', source: 'default' };
+};
+
+// Resolved settings of the active profile
+export const getConfig = () => {
+  const { name, source } = getActiveProfile();
+  return { profile: name, source, ...getProfiles()[name] };
+};
+
+export const getApiBaseUrl = () => getConfig().apiBaseUrl;
@@ -0,0 +1,64 @@
+// Per-conversation settings (reward rules, goals, policies...), persisted
+// in localStorage so a display keeps them across reboots.
+//
+// SHARED_SETTING_KEYS are group-wide: their source of truth is the server
+// (see sharedSettings.js) and what is stored here is this display's copy.
+// Everything else, like the reversal PIN, belongs to the display.
+
+const SETTINGS_KEY = 'onfire_conversation_settings';
+
+export const SHARED_SETTING_KEYS = ['assigneesOnly', 'requiresApproval', 'undoSeconds', 'rewardRules', 'currency', 'timezone', 'goals', 'personGoals'];
+
+const listeners = new Set();
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+  } catch {
+    return {};
+  }
+};
+
+export const getConversationSettings = (conversationId) => readAll()[conversationId] || {};
+
+const writeSettings = (conversationId, next) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...readAll(), [conversationId]: next }));
+  listeners.forEach(listener => listener(conversationId, next));
+  return next;
+};
+
+// Shallow-merge `patch` into the stored settings of a conversation
+export const updateConversationSettings = (conversationId, patch) =>
+  writeSettings(conversationId, { ...getConversationSettings(conversationId), ...patch });
+
+// The group-wide part of a settings object
+export const pickSharedSettings = (settings = {}) =>
+  SHARED_SETTING_KEYS.reduce((shared, key) => {
+    if (settings[key] !== undefined) shared[key] = settings[key];
+    return shared;
+  }, {});
+
+// Replace this display's copy of the group-wide settings with the server's;
+// display-only settings are kept
+export const replaceSharedSettings = (conversationId, shared) => {
+  const next = { ...getConversationSettings(conversationId) };
+  SHARED_SETTING_KEYS.forEach(key => delete next[key]);
+  return writeSettings(conversationId, { ...next, ...pickSharedSettings(shared) });
+};
+
+// Notified with (conversationId, settings) after every update; returns unsubscribe
+export const onConversationSettingsChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Undo window for completing/reopening tasks, in seconds (0 runs them at once)
+export const DEFAULT_UNDO_SECONDS = 5;
+
+export const getUndoSeconds = (conversationId) => {
+  const seconds = getConversationSettings(conversationId).undoSeconds;
+  return seconds == null ? DEFAULT_UNDO_SECONDS : seconds;
+};
+
+// PIN asked for before a payout is reversed; null when not set
+export const getReversalPin = (conversationId) => getConversationSettings(conversationId).reversalPin || null;
@@ -0,0 +1,48 @@
+import { getConversationSettings } from './conversationSettings';
+
+// Currency of a conversation's rewards and how amounts are shown.
+// settings.currency  { code, locale, fiat: { code, rate } }
+// `fiat.rate` converts one unit of `code` into the fiat currency for an
+// optional "≈ $x" hint next to totals.
+
+export const DEFAULT_CURRENCY = 'PRF';
+
+// Offered in the settings dialog; any other ISO 4217 code also formats
+export const CURRENCY_CHOICES = ['PRF', 'USD', 'EUR', 'GBP', 'CHF', 'CAD', 'AUD', 'JPY'];
+
+// Display symbols for currencies Intl does not know about
+const CUSTOM_SYMBOLS = {
+  PRF: '🔥'
+};
+
+export const getCurrencySettings = (conversationId) => {
+  const stored = getConversationSettings(conversationId).currency || {};
+  return {
+    code: stored.code || DEFAULT_CURRENCY,
+    locale: stored.locale || undefined,
+    fiat: stored.fiat?.code && stored.fiat?.rate > 0 ? stored.fiat : null
+  };
+};
+
+// "🔥 12" for custom currencies, "$12.00" / "12,00 €" for ISO ones
+export const formatAmount = (amount, { code = DEFAULT_CURRENCY, locale } = {}) => {
+  const value = Number(amount) || 0;
+
+  if (CUSTOM_SYMBOLS[code]) {
+    const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }).format(value);
+    return `${CUSTOM_SYMBOLS[code]} ${number}`;
+  }
+
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: code }).format(value);
+  } catch {
+    // Unknown code: show it verbatim rather than failing the render
+    return `${new Intl.NumberFormat(locale).format(value)} ${code}`;
+  }
+};
+
+// "≈ $1.20" for the configured fiat equivalent, or null when none is set
+export const formatFiatEquivalent = (amount, { fiat, locale } = {}) => {
+  if (!fiat) return null;
+  return `≈ ${formatAmount((Number(amount) || 0) * fiat.rate, { code: fiat.code, locale })}`;
+};
@@ -0,0 +1,28 @@
+// Stable identity of this display, generated once and kept in localStorage.
+// QR sessions send it so the phone app and the server can tell displays
+// apart; the server reads the client IP from the request itself.
+
+const DEVICE_ID_KEY = 'onfire_device_id';
+
+const generateId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  // Older kiosk browsers: random v4-style UUID from getRandomValues
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+// Survives sign-out and backend switches: it names the screen, not a session
+export const getDeviceId = () => {
+  let id = localStorage.getItem(DEVICE_ID_KEY);
+  if (!id) {
+    id = generateId();
+    localStorage.setItem(DEVICE_ID_KEY, id);
+    console.log('🆔 Generated device id', id);
+  }
+  return id;
+};
@@ -0,0 +1,83 @@
+import { getConversationSettings } from './conversationSettings';
+import { saveSharedSettings } from './sharedSettings';
+import { getIsoWeek, getLocalTimeZone, toDateKey, toMonthKey } from '../lib/time';
+
+// Earnings targets for the daily/weekly/monthly progress bars.
+// Conversation-wide goals live in settings.goals, per-person overrides in
+// settings.personGoals[userId]; anything unset falls back to the defaults.
+// Both are group settings, so every display of the group shows the same bars.
+
+export const DEFAULT_GOALS = { daily: 10, weekly: 50, monthly: 200 };
+
+export const getGoals = (conversationId, personId) => {
+  const settings = getConversationSettings(conversationId);
+  return {
+    ...DEFAULT_GOALS,
+    ...settings.goals,
+    ...(personId ? settings.personGoals?.[personId] : null)
+  };
+};
+
+// personGoals with `personId`'s override replaced, or removed when goals is null
+const withPersonGoals = (conversationId, personId, goals) => {
+  const personGoals = { ...getConversationSettings(conversationId).personGoals };
+  if (goals) {
+    personGoals[personId] = goals;
+  } else {
+    delete personGoals[personId];
+  }
+  return personGoals;
+};
+
+// Save goals for the whole group; `clearPersonId` drops that person's
+// override in the same save. Rejects when the server did not take it.
+export const setConversationGoals = (conversationId, goals, { clearPersonId = null } = {}) => {
+  const patch = { goals };
+  if (clearPersonId && hasPersonGoals(conversationId, clearPersonId)) {
+    patch.personGoals = withPersonGoals(conversationId, clearPersonId, null);
+  }
+  return saveSharedSettings(conversationId, patch);
+};
+
+export const setPersonGoals = (conversationId, personId, goals) =>
+  saveSharedSettings(conversationId, { personGoals: withPersonGoals(conversationId, personId, goals) });
+
+export const hasPersonGoals = (conversationId, personId) =>
+  !!getConversationSettings(conversationId).personGoals?.[personId];
+
+// Set for the whole group in the settings dialog; until then each display
+// counts days in its own zone
+export const getConversationTimeZone = (conversationId) =>
+  getConversationSettings(conversationId).timezone || getLocalTimeZone();
+
+// Summary maps are keyed by period; tolerate both plain keys ("2026-10-12")
+// and timestamps ("2026-10-12T00:00:00+00:00")
+const findPeriodAmount = (summaryMap, candidateKeys) => {
+  if (!summaryMap) return 0;
+  const keys = Object.keys(summaryMap);
+  for (const candidate of candidateKeys) {
+    const key = keys.find(k => k === candidate || k.startsWith(`${candidate}T`) || k.startsWith(`${candidate} `));
+    if (key) return Math.abs(Number(summaryMap[key]) || 0);
+  }
+  return 0;
+};
+
+// Amounts earned in the current day/week/month of `timeZone` from a
+// transactions_summary row. Weekly keys may be the week's Monday or an ISO
+// week label ("2026-W42" / "2026-42").
+export const getPeriodAmounts = (summary, timeZone, now = new Date()) => {
+  const { year, week, monday } = getIsoWeek(now, timeZone);
+  const weekLabel = String(week).padStart(2, '0');
+
+  return {
+    daily: findPeriodAmount(summary.daily_summary, [toDateKey(now, timeZone)]),
+    weekly: findPeriodAmount(summary.weekly_summary, [monday, `${year}-W${weekLabel}`, `${year}-${weekLabel}`]),
+    monthly: findPeriodAmount(summary.monthly_summary, [toMonthKey(now, timeZone)])
+  };
+};
+
+// Bar fill (0-100) and reached flag for an amount against a goal
+export const getGoalProgress = (amount, goal) => ({
+  percent: goal > 0 ? Math.min((amount / goal) * 100, 100) : 100,
+  reached: goal > 0 && amount >= goal
+});
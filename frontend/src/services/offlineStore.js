@@ -0,0 +1,128 @@
+// IndexedDB persistence for offline use: a key/value cache of last-known API
+// responses and an ordered outbox of mutations waiting to be replayed.
+// Falls back to memory when IndexedDB is unavailable (private mode, tests).
+
+const DB_NAME = 'onfire_offline';
+const DB_VERSION = 1;
+const CACHE_STORE = 'cache';
+const OUTBOX_STORE = 'outbox';
+
+let dbPromise = null;
+const memoryCache = new Map();
+const memoryOutbox = new Map();
+let memoryOutboxId = 0;
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CACHE_STORE)) {
+          db.createObjectStore(CACHE_STORE);
+        }
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+          db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('IndexedDB unavailable, using in-memory offline store:', request.error);
+        resolve(null);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+// Run one request against a store and resolve with its result
+const withStore = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  if (!db) return undefined;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+// Cache
+
+export const cachePut = async (key, value) => {
+  const entry = { value, saved_at: new Date().toISOString() };
+  try {
+    const db = await openDatabase();
+    if (!db) {
+      memoryCache.set(key, entry);
+      return;
+    }
+    await withStore(CACHE_STORE, 'readwrite', store => store.put(entry, key));
+  } catch (error) {
+    console.error(`Offline cache write failed for ${key}:`, error);
+  }
+};
+
+// Resolves with { value, saved_at } or null when nothing is cached
+export const cacheGet = async (key) => {
+  try {
+    const db = await openDatabase();
+    if (!db) return memoryCache.get(key) || null;
+    return (await withStore(CACHE_STORE, 'readonly', store => store.get(key))) || null;
+  } catch (error) {
+    console.error(`Offline cache read failed for ${key}:`, error);
+    return null;
+  }
+};
+
+export const cacheClear = async () => {
+  memoryCache.clear();
+  try {
+    await withStore(CACHE_STORE, 'readwrite', store => store.clear());
+  } catch (error) {
+    console.error('Offline cache clear failed:', error);
+  }
+};
+
+// Outbox
+
+// Entries get an increasing id, which is also the replay order
+export const outboxAdd = async (entry) => {
+  const record = { ...entry, queued_at: new Date().toISOString() };
+  const db = await openDatabase();
+  if (!db) {
+    memoryOutboxId += 1;
+    memoryOutbox.set(memoryOutboxId, { ...record, id: memoryOutboxId });
+    return memoryOutboxId;
+  }
+  return withStore(OUTBOX_STORE, 'readwrite', store => store.add(record));
+};
+
+export const outboxList = async () => {
+  const db = await openDatabase();
+  if (!db) return [...memoryOutbox.values()];
+  const entries = await withStore(OUTBOX_STORE, 'readonly', store => store.getAll());
+  return (entries || []).sort((a, b) => a.id - b.id);
+};
+
+export const outboxDelete = async (id) => {
+  const db = await openDatabase();
+  if (!db) {
+    memoryOutbox.delete(id);
+    return;
+  }
+  await withStore(OUTBOX_STORE, 'readwrite', store => store.delete(id));
+};
+
+export const outboxClear = async () => {
+  memoryOutbox.clear();
+  await withStore(OUTBOX_STORE, 'readwrite', store => store.clear());
+};
@@ -0,0 +1,283 @@
+import onFireAPI from './api';
+import { getConfig } from './config';
+
+// Status polling starts quick (someone usually scans soon after walking up)
+// and backs off while nobody does
+const FIRST_POLL_DELAY = 2000;
+const MAX_POLL_DELAY = 10000;
+const POLL_BACKOFF = 1.5;
+const CONNECT_TIMEOUT = 5000;
+const MAX_RECONNECT_DELAY = 60000;
+const MAX_RETRY_DELAY = 60000;
+
+// Lifetime assumed when the API omits expires_at
+const DEFAULT_QR_TTL = 5 * 60 * 1000;
+// A display clock running ahead of the server must not make every new code
+// look expired on arrival, so a code is always kept at least this long
+// (the server still reports 'expired' itself)
+const MIN_QR_LIFETIME = 30 * 1000;
+
+/**
+ * QR login for a display: shows codes, waits for the phone app to confirm
+ * one, and replaces expired codes by itself so unattended kiosks never sit
+ * on a dead code.
+ *
+ * Confirmation arrives over the realtime WebSocket when it is reachable;
+ * otherwise the session polls `check_qr_status` with exponential backoff and
+ * keeps retrying the socket, like ConversationChannel. While live it still
+ * polls at the slowest rate, in case the server accepts the subscription but
+ * never pushes QR updates. Handlers:
+ *
+ *   onSession({ qrCode, expiresAt })   a new code to show
+ *   onConfirmed(result)                the confirmed pollQrSession result;
+ *                                      the session has stopped
+ *   onError(error, { retryIn })        a code could not be generated; retried
+ *                                      automatically after `retryIn` ms
+ *   onModeChange('connecting' | 'live' | 'polling' | 'closed')
+ *
+ * Socket protocol: the client sends
+ *   { type: 'subscribe', qr_code, tables: ['qr_sessions'] }
+ * for each code and receives
+ *   { table: 'qr_sessions', event: 'UPDATE', record: { qr_code, status } }
+ * Pushes only wake the client: tokens are always fetched with
+ * check_qr_status, never taken from the socket.
+ *
+ * `options.url`, `options.WebSocketImpl` and `options.api` can be
+ * overridden as for ConversationChannel; `options.sessionOptions` is passed
+ * to startQrSession.
+ */
+export class QrLoginSession {
+  constructor(handlers = {}, options = {}) {
+    this.handlers = handlers;
+    this.url = options.url || getConfig().socketUrl;
+    this.WebSocketImpl = options.WebSocketImpl || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    this.api = options.api || onFireAPI;
+    this.sessionOptions = options.sessionOptions || {};
+
+    this.qrCode = null;
+    this.expiresAt = null;
+    // Bumped per regenerate(), so a slow answer for an old code is dropped
+    this.generation = 0;
+    this.generateAttempts = 0;
+    this.retryTimer = null;
+    this.expiryTimer = null;
+
+    this.socket = null;
+    this.mode = 'closed';
+    this.closed = true;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.connectTimer = null;
+
+    this.pollDelay = FIRST_POLL_DELAY;
+    this.pollTimer = null;
+    this.polling = false;
+    this.pollAbort = null;
+  }
+
+  start() {
+    this.closed = false;
+    this.connect();
+    this.regenerate();
+    return this;
+  }
+
+  stop() {
+    this.closed = true;
+    clearTimeout(this.retryTimer);
+    clearTimeout(this.expiryTimer);
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.connectTimer);
+    this.stopPolling();
+    if (this.socket) {
+      this.socket.onopen = null;
+      this.socket.onclose = null;
+      this.socket.onerror = null;
+      this.socket.onmessage = null;
+      this.socket.close();
+      this.socket = null;
+    }
+    this.setMode('closed');
+  }
+
+  setMode(mode) {
+    if (this.mode === mode) return;
+    this.mode = mode;
+    console.log(`📡 QR login channel: ${mode}`);
+    this.handlers.onModeChange?.(mode);
+  }
+
+  // Replace the current code now: on expiry, after a failed attempt, or
+  // when someone taps the code to retry
+  async regenerate() {
+    if (this.closed) return;
+    clearTimeout(this.retryTimer);
+    clearTimeout(this.expiryTimer);
+    this.stopPolling();
+    this.qrCode = null;
+    this.generation += 1;
+    const generation = this.generation;
+
+    try {
+      const session = await this.api.startQrSession(this.sessionOptions);
+      if (this.closed || generation !== this.generation) return;
+
+      this.generateAttempts = 0;
+      this.qrCode = session.qrCode;
+      this.expiresAt = session.expiresAt || new Date(Date.now() + DEFAULT_QR_TTL);
+      console.log('📱 QR code ready, expires at', this.expiresAt);
+      this.handlers.onSession?.({ qrCode: this.qrCode, expiresAt: this.expiresAt });
+
+      const lifetime = Math.max(this.expiresAt - Date.now(), MIN_QR_LIFETIME);
+      this.expiryTimer = setTimeout(() => this.regenerate(), lifetime);
+
+      this.subscribe();
+      this.pollDelay = FIRST_POLL_DELAY;
+      this.schedulePoll();
+    } catch (error) {
+      if (this.closed || generation !== this.generation) return;
+
+      const retryIn = Math.min(FIRST_POLL_DELAY * 2 ** this.generateAttempts, MAX_RETRY_DELAY);
+      this.generateAttempts += 1;
+      console.error(`❌ Could not generate QR code, retrying in ${retryIn}ms:`, error);
+      this.handlers.onError?.(error, { retryIn });
+      this.retryTimer = setTimeout(() => this.regenerate(), retryIn);
+    }
+  }
+
+  connect() {
+    if (this.closed) return;
+
+    if (!this.WebSocketImpl) {
+      this.setMode('polling');
+      return;
+    }
+
+    if (this.mode !== 'polling') {
+      this.setMode('connecting');
+    }
+
+    let socket;
+    try {
+      socket = new this.WebSocketImpl(this.url);
+    } catch (error) {
+      console.error('QR login socket could not be created:', error);
+      this.handleSocketDown();
+      return;
+    }
+    this.socket = socket;
+
+    this.connectTimer = setTimeout(() => {
+      if (socket.readyState !== 1) {
+        socket.onclose = null;
+        socket.close();
+        this.socket = null;
+        this.handleSocketDown();
+      }
+    }, CONNECT_TIMEOUT);
+
+    socket.onopen = () => {
+      clearTimeout(this.connectTimer);
+      this.reconnectAttempts = 0;
+      this.setMode('live');
+      this.subscribe();
+      // The code may have been confirmed while we were not subscribed
+      this.check();
+    };
+
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        console.error('QR login: ignoring malformed message', event.data);
+        return;
+      }
+      if (message?.table === 'qr_sessions' && message.record?.qr_code === this.qrCode) {
+        this.check();
+      }
+    };
+
+    socket.onerror = (error) => {
+      console.error('QR login socket error:', error);
+    };
+
+    socket.onclose = () => {
+      clearTimeout(this.connectTimer);
+      if (this.socket === socket) {
+        this.socket = null;
+        this.handleSocketDown();
+      }
+    };
+  }
+
+  handleSocketDown() {
+    if (this.closed) return;
+    this.setMode('polling');
+    if (this.qrCode) {
+      this.schedulePoll();
+    }
+
+    const delay = Math.min(1000 * 2 ** this.reconnectAttempts, MAX_RECONNECT_DELAY);
+    this.reconnectAttempts += 1;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  subscribe() {
+    if (this.socket?.readyState !== 1 || !this.qrCode) return;
+    this.socket.send(JSON.stringify({ type: 'subscribe', qr_code: this.qrCode, tables: ['qr_sessions'] }));
+  }
+
+  schedulePoll() {
+    clearTimeout(this.pollTimer);
+    const qrCode = this.qrCode;
+    const delay = this.mode === 'live' ? MAX_POLL_DELAY : this.pollDelay;
+    this.pollTimer = setTimeout(async () => {
+      this.pollTimer = null;
+      await this.check();
+      this.pollDelay = Math.min(this.pollDelay * POLL_BACKOFF, MAX_POLL_DELAY);
+      if (!this.closed && this.qrCode === qrCode && !this.pollTimer) {
+        this.schedulePoll();
+      }
+    }, delay);
+  }
+
+  stopPolling() {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    this.pollAbort?.abort();
+    this.pollAbort = null;
+  }
+
+  // Ask the API where the current code stands
+  async check() {
+    if (this.closed || !this.qrCode || this.polling) return;
+    const qrCode = this.qrCode;
+    this.polling = true;
+    this.pollAbort = new AbortController();
+    const { signal } = this.pollAbort;
+
+    try {
+      const result = await this.api.pollQrSession(qrCode, { signal });
+      if (this.closed || qrCode !== this.qrCode) return;
+
+      if (result.status === 'confirmed') {
+        this.stop();
+        this.handlers.onConfirmed?.(result);
+      } else if (result.status === 'expired') {
+        console.log('⏰ QR code expired, generating a new one');
+        this.regenerate();
+      }
+    } catch (error) {
+      if (!signal.aborted) console.error('QR status check failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+export const startQrLogin = (handlers, options) => {
+  const session = new QrLoginSession(handlers, options);
+  return session.start();
+};
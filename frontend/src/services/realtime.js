@@ -0,0 +1,289 @@
+import onFireAPI from './api';
+import { getConfig } from './config';
+
+const DEFAULT_POLL_INTERVAL = 10000;
+const CONNECT_TIMEOUT = 5000;
+const MAX_RECONNECT_DELAY = 60000;
+
+/**
+ * Live updates for one conversation's tasks, participants and group settings.
+ *
+ * Prefers a WebSocket subscription; while the socket is unavailable it polls
+ * the REST API using an `updated_at` cursor and keeps retrying the socket with
+ * exponential backoff. Both transports emit the same normalized events:
+ *
+ *   onTaskChange({ type: 'upsert', task })
+ *   onTaskChange({ type: 'delete', id })
+ *   onParticipantsChange()
+ *   onSettingsChange(row)        a conversation_settings row
+ *   onModeChange('connecting' | 'live' | 'polling' | 'closed')
+ *
+ * Socket protocol: after connecting the client sends
+ *   { type: 'subscribe', access_token, conversation_id, tables: ['tasks', 'conversation_participants', 'conversation_settings'] }
+ * and receives
+ *   { table, event: 'INSERT' | 'UPDATE' | 'DELETE', record, old_record }
+ *
+ * The access token travels in the subscribe message rather than the URL, so
+ * it stays out of proxy and server access logs.
+ *
+ * `options.url`, `options.WebSocketImpl`, `options.pollInterval` and
+ * `options.api` can be overridden to run against a local mock socket server.
+ */
+export class ConversationChannel {
+  constructor(conversationId, handlers = {}, options = {}) {
+    this.conversationId = conversationId;
+    this.handlers = handlers;
+    this.url = options.url || getConfig().socketUrl;
+    this.WebSocketImpl = options.WebSocketImpl || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+    this.api = options.api || onFireAPI;
+
+    this.socket = null;
+    this.mode = 'closed';
+    this.closed = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.connectTimer = null;
+    this.pollTimer = null;
+    this.polling = false;
+    // Aborts the poll requests in flight when the channel stops
+    this.pollAbort = null;
+
+    // Polling state: newest updated_at seen and the ids/participants we know about
+    this.cursor = null;
+    this.settingsUpdatedAt = null;
+    this.knownTaskIds = new Set();
+    this.knownParticipantIds = null;
+  }
+
+  // Baseline from the initial REST load so polling only fetches newer rows.
+  // `cursor` is the newest updated_at the server returned for that load; the
+  // tasks may carry queued local changes, so they only seed the known ids.
+  seed(tasks = [], participants = null, cursor = null) {
+    tasks.forEach(task => task?.id && this.knownTaskIds.add(task.id));
+    if (cursor && (!this.cursor || cursor > this.cursor)) this.cursor = cursor;
+    if (participants) {
+      this.knownParticipantIds = new Set(participants.map(p => p.user_id));
+    }
+  }
+
+  start() {
+    this.closed = false;
+    this.connect();
+    return this;
+  }
+
+  stop() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.connectTimer);
+    this.stopPolling();
+    if (this.socket) {
+      this.socket.onopen = null;
+      this.socket.onclose = null;
+      this.socket.onerror = null;
+      this.socket.onmessage = null;
+      this.socket.close();
+      this.socket = null;
+    }
+    this.setMode('closed');
+  }
+
+  setMode(mode) {
+    if (this.mode === mode) return;
+    this.mode = mode;
+    console.log(`📡 Realtime channel for ${this.conversationId}: ${mode}`);
+    this.handlers.onModeChange?.(mode);
+  }
+
+  connect() {
+    if (this.closed) return;
+
+    if (!this.WebSocketImpl) {
+      this.startPolling();
+      return;
+    }
+
+    if (this.mode !== 'polling') {
+      this.setMode('connecting');
+    }
+
+    let socket;
+    try {
+      socket = new this.WebSocketImpl(this.url);
+    } catch (error) {
+      console.error('Realtime socket could not be created:', error);
+      this.handleSocketDown();
+      return;
+    }
+    this.socket = socket;
+
+    // Some proxies accept the upgrade and then never answer; don't wait forever
+    this.connectTimer = setTimeout(() => {
+      if (socket.readyState !== 1) {
+        // Detach first so onclose doesn't report the same outage again
+        socket.onclose = null;
+        socket.close();
+        this.socket = null;
+        this.handleSocketDown();
+      }
+    }, CONNECT_TIMEOUT);
+
+    socket.onopen = () => {
+      clearTimeout(this.connectTimer);
+      this.reconnectAttempts = 0;
+      socket.send(JSON.stringify({
+        type: 'subscribe',
+        access_token: this.api.accessToken,
+        conversation_id: this.conversationId,
+        tables: ['tasks', 'conversation_participants', 'conversation_settings']
+      }));
+      this.stopPolling();
+      this.setMode('live');
+      // Catch up on anything that changed while we were not subscribed
+      this.poll();
+    };
+
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        console.error('Realtime: ignoring malformed message', event.data);
+        return;
+      }
+      this.handleMessage(message);
+    };
+
+    socket.onerror = (error) => {
+      console.error('Realtime socket error:', error);
+    };
+
+    socket.onclose = () => {
+      clearTimeout(this.connectTimer);
+      if (this.socket === socket) {
+        this.socket = null;
+        this.handleSocketDown();
+      }
+    };
+  }
+
+  handleSocketDown() {
+    if (this.closed) return;
+    this.startPolling();
+
+    const delay = Math.min(1000 * 2 ** this.reconnectAttempts, MAX_RECONNECT_DELAY);
+    this.reconnectAttempts += 1;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  handleMessage(message) {
+    const { table, event, record, old_record: oldRecord } = message || {};
+
+    if (table === 'tasks') {
+      const row = record || oldRecord;
+      if (!row || (row.chat_id && row.chat_id !== this.conversationId)) return;
+
+      if (event === 'DELETE') {
+        this.knownTaskIds.delete(row.id);
+        this.handlers.onTaskChange?.({ type: 'delete', id: row.id });
+      } else if (event === 'INSERT' || event === 'UPDATE') {
+        this.trackTask(record);
+        this.handlers.onTaskChange?.({ type: 'upsert', task: record });
+      }
+    } else if (table === 'conversation_participants') {
+      const row = record || oldRecord;
+      if (row?.conversation_id && row.conversation_id !== this.conversationId) return;
+      this.handlers.onParticipantsChange?.();
+    } else if (table === 'conversation_settings') {
+      if (!record || record.conversation_id !== this.conversationId) return;
+      this.settingsUpdatedAt = record.updated_at || this.settingsUpdatedAt;
+      this.handlers.onSettingsChange?.(record);
+    }
+  }
+
+  trackTask(task) {
+    if (!task?.id) return;
+    this.knownTaskIds.add(task.id);
+    if (task.updated_at && (!this.cursor || task.updated_at > this.cursor)) {
+      this.cursor = task.updated_at;
+    }
+  }
+
+  startPolling() {
+    if (this.closed) return;
+    this.setMode('polling');
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+    this.poll();
+  }
+
+  // Aborts the poll in flight too, so the next poll() runs right away
+  stopPolling() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    this.pollAbort?.abort();
+    this.pollAbort = null;
+    this.polling = false;
+  }
+
+  async poll() {
+    if (this.closed || this.polling) return;
+    this.polling = true;
+    this.pollAbort = new AbortController();
+    const { signal } = this.pollAbort;
+
+    try {
+      const since = this.cursor || new Date(0).toISOString();
+      const changed = await this.api.getTasksUpdatedSince(this.conversationId, since, { signal });
+      if (this.closed) return;
+      changed.forEach(task => {
+        this.trackTask(task);
+        this.handlers.onTaskChange?.({ type: 'upsert', task });
+      });
+
+      // Deleted rows don't move the cursor, so diff the id list instead
+      const ids = new Set(await this.api.getTaskIds(this.conversationId, { signal }));
+      if (this.closed) return;
+      [...this.knownTaskIds].forEach(id => {
+        if (!ids.has(id)) {
+          this.knownTaskIds.delete(id);
+          this.handlers.onTaskChange?.({ type: 'delete', id });
+        }
+      });
+
+      const participants = await this.api.getConversationParticipants(this.conversationId, { signal });
+      if (this.closed) return;
+      const participantIds = new Set(participants.map(p => p.user_id));
+      const participantsChanged = this.knownParticipantIds && (
+        participantIds.size !== this.knownParticipantIds.size ||
+        [...participantIds].some(id => !this.knownParticipantIds.has(id))
+      );
+      this.knownParticipantIds = participantIds;
+      if (participantsChanged) {
+        this.handlers.onParticipantsChange?.();
+      }
+
+      if (this.handlers.onSettingsChange) {
+        const settings = await this.api.getConversationSettingsRow(this.conversationId, { signal });
+        if (this.closed) return;
+        if (settings && settings.updated_at !== this.settingsUpdatedAt) {
+          this.settingsUpdatedAt = settings.updated_at;
+          this.handlers.onSettingsChange(settings);
+        }
+      }
+    } catch (error) {
+      if (!signal.aborted) console.error('Realtime poll failed:', error);
+    } finally {
+      // An aborted poll was already released by stopPolling and may have
+      // been followed by a new one
+      if (!signal.aborted) this.polling = false;
+    }
+  }
+}
+
+export const subscribeToConversation = (conversationId, handlers, options) => {
+  const channel = new ConversationChannel(conversationId, handlers, options);
+  return channel.start();
+};
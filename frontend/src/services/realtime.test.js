@@ -0,0 +1,302 @@
+import http from 'http';
+import WebSocket, { WebSocketServer } from 'ws';
+import onFireAPI from './api';
+import { ConversationChannel } from './realtime';
+import { startMockApiServer } from '../testUtils/mockApiServer';
+import { setMockApiBaseUrl } from '../testUtils/mockConfig';
+import { waitFor } from '../testUtils/waitFor';
+
+const { USERS, CONVERSATIONS, MOCK_PASSWORD } = require('../../plugins/mock-backend/fixtures');
+
+jest.mock('./config', () => require('../testUtils/mockConfig'));
+
+const CONVERSATION_ID = 'conv-1';
+
+const createApi = (overrides = {}) => ({
+  accessToken: 'access-token-1',
+  getTasksUpdatedSince: jest.fn().mockResolvedValue([]),
+  getTaskIds: jest.fn().mockResolvedValue([]),
+  getConversationParticipants: jest.fn().mockResolvedValue([]),
+  ...overrides
+});
+
+// Minimal socket server recording what clients send
+const startSocketServer = async () => {
+  const server = http.createServer();
+  const wss = new WebSocketServer({ server });
+  const connections = [];
+  wss.on('connection', (socket, req) => {
+    const connection = { socket, url: req.url, messages: [] };
+    socket.on('message', data => connection.messages.push(JSON.parse(data.toString())));
+    connections.push(connection);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  let closing = null;
+  return {
+    url: `ws://127.0.0.1:${server.address().port}/realtime`,
+    connections,
+    push: (message) => connections.forEach(c => c.socket.send(JSON.stringify(message))),
+    close: () => {
+      closing = closing || new Promise(resolve => {
+        wss.clients.forEach(client => client.terminate());
+        wss.close();
+        server.close(resolve);
+      });
+      return closing;
+    }
+  };
+};
+
+describe('ConversationChannel', () => {
+  let socketServer;
+  let channel;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    socketServer = await startSocketServer();
+  });
+
+  afterEach(async () => {
+    channel?.stop();
+    channel = null;
+    await socketServer.close();
+    jest.restoreAllMocks();
+  });
+
+  it('sends the access token in the subscribe message, not the URL', async () => {
+    const api = createApi();
+    channel = new ConversationChannel(CONVERSATION_ID, {}, { url: socketServer.url, WebSocketImpl: WebSocket, api }).start();
+
+    await waitFor(() => socketServer.connections[0]?.messages.length > 0);
+    const { url, messages } = socketServer.connections[0];
+    expect(url).toBe('/realtime');
+    expect(messages[0]).toEqual({
+      type: 'subscribe',
+      access_token: 'access-token-1',
+      conversation_id: CONVERSATION_ID,
+      tables: ['tasks', 'conversation_participants', 'conversation_settings']
+    });
+    expect(channel.mode).toBe('live');
+  });
+
+  it('turns pushed rows into task and participant events', async () => {
+    const onTaskChange = jest.fn();
+    const onParticipantsChange = jest.fn();
+    channel = new ConversationChannel(
+      CONVERSATION_ID,
+      { onTaskChange, onParticipantsChange },
+      { url: socketServer.url, WebSocketImpl: WebSocket, api: createApi() }
+    ).start();
+    await waitFor(() => channel.mode === 'live');
+
+    const task = { id: 't1', chat_id: CONVERSATION_ID, title: 'Dishes', updated_at: '2026-01-01T10:00:00Z' };
+    socketServer.push({ table: 'tasks', event: 'INSERT', record: task });
+    socketServer.push({ table: 'tasks', event: 'UPDATE', record: { ...task, id: 't2', chat_id: 'other' } });
+    socketServer.push({ table: 'tasks', event: 'DELETE', old_record: { id: 't1', chat_id: CONVERSATION_ID } });
+    socketServer.push({ table: 'conversation_participants', event: 'INSERT', record: { conversation_id: CONVERSATION_ID, user_id: 'u2' } });
+
+    await waitFor(() => onParticipantsChange.mock.calls.length === 1);
+    expect(onTaskChange.mock.calls.map(([change]) => change)).toEqual([
+      { type: 'upsert', task },
+      { type: 'delete', id: 't1' }
+    ]);
+  });
+
+  it('polls the REST API while the socket is unreachable', async () => {
+    const url = socketServer.url;
+    await socketServer.close();
+
+    const task = { id: 't1', chat_id: CONVERSATION_ID, updated_at: '2026-01-01T10:00:00Z' };
+    const api = createApi({
+      getTasksUpdatedSince: jest.fn().mockResolvedValue([task]),
+      getTaskIds: jest.fn().mockResolvedValue(['t1'])
+    });
+    const onTaskChange = jest.fn();
+    channel = new ConversationChannel(CONVERSATION_ID, { onTaskChange }, { url, WebSocketImpl: WebSocket, api }).start();
+
+    await waitFor(() => onTaskChange.mock.calls.length > 0);
+    expect(channel.mode).toBe('polling');
+    expect(api.getTasksUpdatedSince).toHaveBeenCalledWith(CONVERSATION_ID, new Date(0).toISOString(), expect.anything());
+    expect(onTaskChange).toHaveBeenCalledWith({ type: 'upsert', task });
+  });
+
+  it('reports a socket that never opens once and retries after the first backoff', () => {
+    jest.useFakeTimers();
+    const sockets = [];
+    // Accepted by the proxy but never answered
+    class SilentSocket {
+      constructor() {
+        this.readyState = 0;
+        sockets.push(this);
+      }
+
+      close() {
+        this.onclose?.();
+      }
+    }
+
+    try {
+      channel = new ConversationChannel(CONVERSATION_ID, {}, { WebSocketImpl: SilentSocket, api: createApi() }).start();
+      jest.advanceTimersByTime(5000);
+      expect(channel.mode).toBe('polling');
+      expect(channel.reconnectAttempts).toBe(1);
+
+      jest.advanceTimersByTime(1000);
+      expect(sockets).toHaveLength(2);
+    } finally {
+      channel.stop();
+      jest.useRealTimers();
+    }
+  });
+
+  it('catches up once the socket opens even while a poll is in flight', async () => {
+    // The first poll hangs until it is aborted
+    const getTasksUpdatedSince = jest.fn((conversationId, since, { signal }) => (
+      getTasksUpdatedSince.mock.calls.length === 1
+        ? new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))))
+        : Promise.resolve([])
+    ));
+    channel = new ConversationChannel(
+      CONVERSATION_ID,
+      {},
+      { url: socketServer.url, WebSocketImpl: null, api: createApi({ getTasksUpdatedSince }) }
+    );
+    channel.startPolling();
+    expect(getTasksUpdatedSince).toHaveBeenCalledTimes(1);
+
+    // What the socket's onopen does
+    channel.stopPolling();
+    channel.poll();
+
+    expect(getTasksUpdatedSince).toHaveBeenCalledTimes(2);
+    await waitFor(() => !channel.polling);
+  });
+});
+
+describe('mock backend realtime endpoint', () => {
+  const DISHWASHER_ID = 'c0000000-0000-4000-8000-000000000001';
+  let mockServer;
+  let channel;
+  // Everything the server sent to the channel's sockets, including the
+  // subscribe acknowledgements the channel itself ignores
+  let received;
+
+  class RecordingWebSocket extends WebSocket {
+    constructor(url) {
+      super(url);
+      this.on('message', data => received.push(JSON.parse(data.toString())));
+    }
+  }
+
+  const openChannel = (handlers = {}, api = onFireAPI) => {
+    channel = new ConversationChannel(
+      CONVERSATIONS.family,
+      handlers,
+      { url: mockServer.socketUrl, WebSocketImpl: RecordingWebSocket, api }
+    ).start();
+    return channel;
+  };
+
+  const waitForSubscription = () => waitFor(() => received.some(message => message.type === 'subscribed'));
+
+  // Raw client for the QR login subscription
+  const connect = async () => {
+    const socket = new WebSocket(mockServer.socketUrl);
+    const messages = [];
+    socket.on('message', data => messages.push(JSON.parse(data.toString())));
+    await new Promise(resolve => socket.once('open', resolve));
+    return { socket, messages };
+  };
+
+  beforeAll(async () => {
+    mockServer = await startMockApiServer();
+    setMockApiBaseUrl(mockServer.baseUrl);
+  });
+
+  afterAll(() => mockServer.close());
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockServer.backend.reset();
+    received = [];
+    await onFireAPI.login('alex@example.com', MOCK_PASSWORD);
+  });
+
+  afterEach(() => {
+    channel?.stop();
+    channel = null;
+    onFireAPI.logout();
+    jest.restoreAllMocks();
+  });
+
+  it('pushes task changes made through the API to subscribed displays', async () => {
+    const onTaskChange = jest.fn();
+    openChannel({ onTaskChange });
+    await waitForSubscription();
+
+    await onFireAPI.updateTask(DISHWASHER_ID, { title: 'Unload the dishwasher' });
+    await onFireAPI.deleteTask(DISHWASHER_ID);
+
+    await waitFor(() => onTaskChange.mock.calls.some(([change]) => change.type === 'delete'));
+    expect(onTaskChange).toHaveBeenCalledWith({
+      type: 'upsert',
+      task: expect.objectContaining({ id: DISHWASHER_ID, title: 'Unload the dishwasher' })
+    });
+    expect(onTaskChange).toHaveBeenCalledWith({ type: 'delete', id: DISHWASHER_ID });
+  });
+
+  it('pushes participant and group settings changes', async () => {
+    const onParticipantsChange = jest.fn();
+    const onSettingsChange = jest.fn();
+    openChannel({ onParticipantsChange, onSettingsChange });
+    await waitForSubscription();
+
+    await fetch(`${mockServer.baseUrl}/__mock/participants`, {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ conversation_id: CONVERSATIONS.family, user_id: USERS.jordan })
+    });
+    await onFireAPI.saveConversationSettings(CONVERSATIONS.family, { undoSeconds: 10 });
+
+    await waitFor(() => onParticipantsChange.mock.calls.length === 1 && onSettingsChange.mock.calls.length === 1);
+    expect(onSettingsChange).toHaveBeenCalledWith(expect.objectContaining({
+      conversation_id: CONVERSATIONS.family,
+      settings: { undoSeconds: 10 }
+    }));
+  });
+
+  it('rejects a subscription without a valid access token', async () => {
+    const onModeChange = jest.fn();
+    openChannel({ onModeChange }, createApi({ accessToken: 'mock-access-expired' }));
+
+    // Falls back to polling once the server closes the socket
+    await waitFor(() => channel.mode === 'polling');
+    expect(onModeChange).toHaveBeenCalledWith('live');
+    expect(received).toEqual([{ type: 'error', code: 'PGRST301', message: 'JWT expired' }]);
+  });
+
+  it('tells a display waiting for its QR login when it is confirmed', async () => {
+    const response = await fetch(`${mockServer.baseUrl}/rpc/generate_qr_session`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ p_device_id: 'display-1' })
+    });
+    const { qr_code: qrCode } = await response.json();
+    const { socket, messages } = await connect();
+    socket.send(JSON.stringify({ type: 'subscribe', qr_code: qrCode, tables: ['qr_sessions'] }));
+    await waitFor(() => messages.length === 1);
+
+    mockServer.backend.confirmQrSession({ qr_code: qrCode });
+
+    await waitFor(() => messages.length === 2);
+    expect(messages[1]).toEqual({
+      table: 'qr_sessions',
+      event: 'UPDATE',
+      record: { qr_code: qrCode, status: 'confirmed' },
+      old_record: null
+    });
+    socket.terminate();
+  });
+});
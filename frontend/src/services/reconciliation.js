@@ -0,0 +1,230 @@
+import onFireAPI from './api';
+import { getRewardRange, getRewardRules } from './rewards';
+import { getCurrencySettings } from './currency';
+import { getPendingPayouts } from './completionService';
+import { loadSharedSettings } from './sharedSettings';
+
+// Checks the PRF ledger against task state for one conversation.
+//
+// Every completed task should have exactly one more `send` than `unsend`
+// transaction (metadata.task_id = task id); every open task should have them
+// balanced. Individual amounts should match the task's reward.
+// Amount corrections made here are written as separate transactions carrying
+// metadata.adjusts_transaction_id and are folded into the one they correct.
+//
+// Tasks whose change or payout has not reached the server yet (queued in
+// the outbox, or a recorded pending payout) are not judged: the ledger is
+// expected to be behind for them.
+
+export const ISSUE_LABELS = {
+  missing_payout: 'Missing payout',
+  duplicate_payout: 'Duplicate payout',
+  missing_reversal: 'Missing reversal',
+  orphan_reversal: 'Orphan reversal',
+  amount_mismatch: 'Amount mismatch'
+};
+
+// Pair one task with its transactions and describe everything that is off
+export const reconcileTask = (task, transactions, rules) => {
+  const adjustments = transactions.filter(tx => tx.metadata?.adjusts_transaction_id);
+  const ledger = transactions.filter(tx => !tx.metadata?.adjusts_transaction_id);
+  const sends = ledger.filter(tx => tx.transaction_type === 'send');
+  const unsends = ledger.filter(tx => tx.transaction_type === 'unsend');
+  // Streak bonuses make the paid amount vary between min and max
+  const { min: amount, max: maxAmount } = getRewardRange(task, rules);
+  const isCompleted = task.status === 'completed';
+  const net = sends.length - unsends.length;
+  const expectedNet = isCompleted ? 1 : 0;
+  const issues = [];
+
+  const lastSend = sends[sends.length - 1];
+  const recipient = task.completed_by_user_id || lastSend?.to_user_id || null;
+
+  if (net < expectedNet && isCompleted) {
+    issues.push({
+      type: 'missing_payout',
+      count: expectedNet - net,
+      message: 'Task is completed but its payout was never made'
+    });
+  } else if (net < expectedNet) {
+    // The newest reversals are the ones without a payout; they are undone
+    // for whoever they were taken from, by the amount they took
+    const reversals = unsends.slice(unsends.length - (expectedNet - net));
+    issues.push({
+      type: 'orphan_reversal',
+      count: reversals.length,
+      reversals,
+      recipient: reversals[0].to_user_id,
+      message: `${reversals.length} reversal(s) without a matching payout`
+    });
+  } else if (net > expectedNet) {
+    issues.push({
+      type: isCompleted ? 'duplicate_payout' : 'missing_reversal',
+      count: net - expectedNet,
+      message: isCompleted
+        ? `${net} payouts for a single completion`
+        : 'Task was reopened but its payout was not reversed'
+    });
+  }
+
+  [...sends, ...unsends].forEach(tx => {
+    const adjusted = adjustments
+      .filter(adj => adj.metadata.adjusts_transaction_id === tx.id)
+      .reduce((sum, adj) => sum + Number(adj.amount), Number(tx.amount));
+    const paid = Math.abs(adjusted);
+    if (paid < amount || paid > maxAmount) {
+      const target = paid < amount ? amount : maxAmount;
+      issues.push({
+        type: 'amount_mismatch',
+        transaction: tx,
+        difference: target - paid,
+        message: `${tx.transaction_type} of ${paid} but task reward is ${amount === maxAmount ? amount : `${amount}–${maxAmount}`}`
+      });
+    }
+  });
+
+  return {
+    task,
+    sends,
+    unsends,
+    expectedAmount: amount,
+    recipient,
+    issues: issues.map(issue => ({ taskId: task.id, recipient, ...issue }))
+  };
+};
+
+// Fetch tasks + their transactions from the server and reconcile every
+// task of a conversation
+export const reconcileConversation = async (conversationId) => {
+  // Expected amounts follow the group's reward rules, not a stale local copy
+  await loadSharedSettings(conversationId).catch(error => {
+    console.error('Could not load group settings, using this display\'s copy:', error);
+  });
+  const [tasks, queuedTaskIds] = await Promise.all([
+    onFireAPI.getServerTasks(conversationId),
+    onFireAPI.getQueuedTaskIds()
+  ]);
+  getPendingPayouts(conversationId).forEach(pending => queuedTaskIds.add(pending.task_id));
+  const transactions = await onFireAPI.getTaskTransactions(tasks.map(t => t.id));
+
+  const byTask = new Map();
+  transactions.forEach(tx => {
+    const taskId = tx.metadata?.task_id;
+    if (!byTask.has(taskId)) byTask.set(taskId, []);
+    byTask.get(taskId).push(tx);
+  });
+
+  const rules = getRewardRules(conversationId);
+  const rows = tasks.map(task => {
+    const row = reconcileTask(task, byTask.get(task.id) || [], rules);
+    return queuedTaskIds.has(task.id) ? { ...row, pending: true, issues: [] } : row;
+  });
+  return {
+    rows,
+    issues: rows.flatMap(row => row.issues),
+    transactionCount: transactions.length
+  };
+};
+
+// Create a repair transaction unless one with the same key already exists
+const createOnce = async (key, create) => {
+  const existing = await onFireAPI.findTransactionsByIdempotencyKey(key);
+  if (existing.length > 0) {
+    console.log(`♻️ Repair ${key} was already made, not creating another`);
+    return existing[0];
+  }
+  return create(key);
+};
+
+// Fix one issue by writing a compensating transaction. Repairs carry an
+// idempotency key derived from the ledger state they fix, so a double tap
+// or a second display repairing the same report pays only once.
+export const repairIssue = async (issue, row, conversationId) => {
+  const { task, expectedAmount: amount } = row;
+  const keyBase = `repair:${issue.type}:${task.id}:${row.sends.length}-${row.unsends.length}`;
+  const base = {
+    from_user_id: task.created_by_user_id,
+    to_user_id: issue.recipient,
+    currency: getCurrencySettings(conversationId).code,
+    fee: 0,
+    related_entity_type: 'task',
+    metadata: {
+      task_id: task.id,
+      task_title: task.title,
+      conversation_id: conversationId,
+      reconciliation: issue.type
+    }
+  };
+
+  if (!base.from_user_id || !base.to_user_id) {
+    throw new Error('Cannot repair: task creator or recipient unknown');
+  }
+
+  const withKey = (data, key) => ({ ...data, metadata: { ...data.metadata, idempotency_key: key } });
+
+  // One transaction per missing/extra entry keeps send/unsend counts balanced
+  const repeat = async (create) => {
+    const results = [];
+    for (let i = 0; i < issue.count; i++) {
+      results.push(await createOnce(`${keyBase}:${i}`, create));
+    }
+    return results;
+  };
+
+  switch (issue.type) {
+    case 'missing_payout':
+      return repeat((key) => onFireAPI.createTransaction(withKey({
+        ...base,
+        amount: amount,
+        net_amount: amount,
+        description: `Reconciliation payment for task: ${task.title}`
+      }, key)));
+
+    case 'orphan_reversal': {
+      // Give back exactly what each stray reversal took
+      const results = [];
+      for (const [i, reversal] of issue.reversals.entries()) {
+        const refund = Math.abs(Number(reversal.amount));
+        results.push(await createOnce(`${keyBase}:${i}`, (key) => onFireAPI.createTransaction(withKey({
+          ...base,
+          to_user_id: reversal.to_user_id,
+          amount: refund,
+          net_amount: refund,
+          description: `Reconciliation refund of a reversal for task: ${task.title}`,
+          metadata: { ...base.metadata, refunds_transaction_id: reversal.id }
+        }, key))));
+      }
+      return results;
+    }
+
+    case 'duplicate_payout':
+    case 'missing_reversal':
+      return repeat((key) => onFireAPI.createReversalTransaction(withKey({
+        ...base,
+        amount: -amount,
+        net_amount: -amount,
+        description: `Reconciliation reversal for task: ${task.title}`,
+        metadata: { ...base.metadata, reversal: true }
+      }, key)));
+
+    case 'amount_mismatch': {
+      const { difference, transaction } = issue;
+      // A short reversal means too little was taken back, so the sign flips
+      const delta = transaction.transaction_type === 'unsend' ? -difference : difference;
+      const adjustment = {
+        ...base,
+        to_user_id: transaction.to_user_id,
+        amount: delta,
+        net_amount: delta,
+        description: `Reconciliation adjustment for task: ${task.title}`,
+        metadata: { ...base.metadata, adjusts_transaction_id: transaction.id }
+      };
+      return createOnce(`repair:amount_mismatch:${transaction.id}:${difference}`, (key) => (delta > 0
+        ? onFireAPI.createTransaction(withKey(adjustment, key))
+        : onFireAPI.createReversalTransaction(withKey({ ...adjustment, metadata: { ...adjustment.metadata, reversal: true } }, key))));
+    }
+
+    default:
+      throw new Error(`Unknown reconciliation issue ${issue.type}`);
+  }
+};
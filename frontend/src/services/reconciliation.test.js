@@ -0,0 +1,112 @@
+import onFireAPI from './api';
+import { reconcileConversation, repairIssue } from './reconciliation';
+import { startMockApiServer, UNREACHABLE_URL } from '../testUtils/mockApiServer';
+import { outboxClear } from './offlineStore';
+import { setMockApiBaseUrl } from '../testUtils/mockConfig';
+
+const { USERS, CONVERSATIONS, MOCK_PASSWORD } = require('../../plugins/mock-backend/fixtures');
+
+jest.mock('./config', () => require('../testUtils/mockConfig'));
+
+const DISHWASHER_ID = 'c0000000-0000-4000-8000-000000000001';
+const RECYCLING_ID = 'c0000000-0000-4000-8000-000000000003';
+
+let mockServer;
+
+const serverTask = (id) => mockServer.backend.getState().tasks.find(task => task.id === id);
+const taskTransactions = (id) => mockServer.backend.getState().transactions.filter(tx => tx.metadata?.task_id === id);
+const rowFor = (report, id) => report.rows.find(row => row.task.id === id);
+
+// Completed on the server without any payout, as after a lost request
+const completeWithoutPayout = (id) => {
+  Object.assign(serverTask(id), { status: 'completed', completed_by_user_id: USERS.sam, progress_percentage: 100 });
+};
+
+beforeAll(async () => {
+  mockServer = await startMockApiServer();
+});
+
+afterAll(() => mockServer.close());
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  mockServer.backend.reset();
+  setMockApiBaseUrl(mockServer.baseUrl);
+  await onFireAPI.login('alex@example.com', MOCK_PASSWORD);
+});
+
+afterEach(async () => {
+  onFireAPI.logout();
+  await outboxClear();
+  await onFireAPI.loadOutbox();
+  jest.restoreAllMocks();
+});
+
+describe('reconcileConversation', () => {
+  it('reports a completed task without a payout', async () => {
+    completeWithoutPayout(RECYCLING_ID);
+
+    const report = await reconcileConversation(CONVERSATIONS.family);
+
+    expect(rowFor(report, RECYCLING_ID).issues).toEqual([
+      expect.objectContaining({ type: 'missing_payout', count: 1, recipient: USERS.sam })
+    ]);
+  });
+
+  it('skips tasks whose completion is still queued offline', async () => {
+    const base = serverTask(DISHWASHER_ID).updated_at;
+    setMockApiBaseUrl(UNREACHABLE_URL);
+    await onFireAPI.completeTask(DISHWASHER_ID, USERS.sam, base);
+    await onFireAPI.createTransaction({
+      from_user_id: USERS.alex,
+      to_user_id: USERS.sam,
+      amount: 15,
+      metadata: { task_id: DISHWASHER_ID }
+    });
+    setMockApiBaseUrl(mockServer.baseUrl);
+
+    const report = await reconcileConversation(CONVERSATIONS.family);
+
+    // The server still has the task open, and the overlay is not applied
+    expect(rowFor(report, DISHWASHER_ID).task.status).toBe('not_started');
+    expect(rowFor(report, DISHWASHER_ID)).toEqual(expect.objectContaining({ pending: true, issues: [] }));
+  });
+});
+
+describe('repairIssue', () => {
+  it('pays a missing payout only once when repaired twice', async () => {
+    completeWithoutPayout(RECYCLING_ID);
+    const report = await reconcileConversation(CONVERSATIONS.family);
+    const row = rowFor(report, RECYCLING_ID);
+
+    await repairIssue(row.issues[0], row, CONVERSATIONS.family);
+    await repairIssue(row.issues[0], row, CONVERSATIONS.family);
+
+    const transactions = taskTransactions(RECYCLING_ID);
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0].metadata.idempotency_key).toMatch(/^repair:missing_payout:/);
+    expect(rowFor(await reconcileConversation(CONVERSATIONS.family), RECYCLING_ID).issues).toEqual([]);
+  });
+
+  it('refunds a stray reversal on an open task to whoever it was taken from', async () => {
+    await onFireAPI.createReversalTransaction({
+      from_user_id: USERS.alex,
+      to_user_id: USERS.jordan,
+      amount: -7,
+      net_amount: -7,
+      metadata: { task_id: RECYCLING_ID, reversal: true }
+    });
+    const report = await reconcileConversation(CONVERSATIONS.family);
+    const row = rowFor(report, RECYCLING_ID);
+    const issue = row.issues.find(candidate => candidate.type === 'orphan_reversal');
+    expect(issue).toEqual(expect.objectContaining({ count: 1, recipient: USERS.jordan }));
+
+    await repairIssue(issue, row, CONVERSATIONS.family);
+
+    const refund = taskTransactions(RECYCLING_ID).find(tx => tx.transaction_type === 'send');
+    expect(refund).toEqual(expect.objectContaining({ to_user_id: USERS.jordan, amount: 7 }));
+    expect(rowFor(await reconcileConversation(CONVERSATIONS.family), RECYCLING_ID).issues
+      .filter(candidate => candidate.type === 'orphan_reversal')).toEqual([]);
+  });
+});
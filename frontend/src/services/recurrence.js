@@ -0,0 +1,198 @@
+import { toDateKey, addDays, daysBetween, weekdayOfKey, daysInMonth, startOfZonedDay } from '../lib/time';
+
+// Recurrence rules for repeating tasks, stored on the task as an RRULE
+// string (RFC 5545 subset): FREQ=DAILY|WEEKLY|MONTHLY with INTERVAL,
+// BYDAY (weekly) and BYMONTHDAY (monthly). Occurrences start at local
+// midnight in the conversation's time zone.
+
+export const WEEKDAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const WEEKDAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Presets offered in the task editor; 'custom' takes a raw RRULE
+export const RECURRENCE_PRESETS = {
+  none: null,
+  daily: 'FREQ=DAILY',
+  weekdays: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+  weekly: 'FREQ=WEEKLY',
+  monthly: 'FREQ=MONTHLY'
+};
+
+// Parse an RRULE into { freq, interval, byDay: [1..7], byMonthDay }.
+// Throws on anything outside the supported subset.
+export const parseRecurrence = (rule) => {
+  const text = String(rule || '').trim().replace(/^RRULE:/i, '');
+  if (!text) throw new Error('Recurrence rule is empty');
+
+  const parts = {};
+  text.split(';').filter(Boolean).forEach(part => {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined) throw new Error(`Invalid recurrence part "${part}"`);
+    parts[key.toUpperCase()] = value.toUpperCase();
+  });
+
+  const { FREQ, INTERVAL, BYDAY, BYMONTHDAY, ...rest } = parts;
+  const unsupported = Object.keys(rest);
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported recurrence option ${unsupported.join(', ')}`);
+  }
+  if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(FREQ)) {
+    throw new Error('Recurrence must be daily, weekly or monthly');
+  }
+
+  const interval = INTERVAL === undefined ? 1 : Number(INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error('Recurrence interval must be a whole number of 1 or more');
+  }
+
+  let byDay = null;
+  if (BYDAY !== undefined) {
+    if (FREQ !== 'WEEKLY') throw new Error('Days of the week only apply to weekly recurrence');
+    byDay = BYDAY.split(',').map(code => {
+      const index = WEEKDAY_CODES.indexOf(code);
+      if (index === -1) throw new Error(`Unknown weekday "${code}"`);
+      return index + 1;
+    });
+  }
+
+  let byMonthDay = null;
+  if (BYMONTHDAY !== undefined) {
+    if (FREQ !== 'MONTHLY') throw new Error('A day of the month only applies to monthly recurrence');
+    byMonthDay = Number(BYMONTHDAY);
+    if (!Number.isInteger(byMonthDay) || byMonthDay < 1 || byMonthDay > 31) {
+      throw new Error('Day of the month must be between 1 and 31');
+    }
+  }
+
+  return { freq: FREQ, interval, byDay, byMonthDay };
+};
+
+// Error message for an invalid rule, or null when it parses
+export const validateRecurrence = (rule) => {
+  try {
+    parseRecurrence(rule);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Preset key of a stored rule. Weekly rules on chosen days stay 'weekly'
+// (the editor shows day toggles); anything else unusual is 'custom'.
+export const getRecurrencePreset = (rule) => {
+  if (!rule) return 'none';
+  const preset = Object.entries(RECURRENCE_PRESETS).find(([, value]) => value === rule);
+  if (preset) return preset[0];
+  try {
+    const { freq, interval } = parseRecurrence(rule);
+    if (interval === 1 && freq === 'WEEKLY') return 'weekly';
+    if (interval === 1 && freq === 'MONTHLY') return 'monthly';
+  } catch {
+    // fall through to custom
+  }
+  return 'custom';
+};
+
+// Weekly rule on the given ISO weekdays (1..7); all days or none -> plain weekly
+export const weeklyRule = (weekdays) => {
+  if (weekdays.length === 0) return RECURRENCE_PRESETS.weekly;
+  const codes = [...weekdays].sort().map(d => WEEKDAY_CODES[d - 1]);
+  return `FREQ=WEEKLY;BYDAY=${codes.join(',')}`;
+};
+
+// Short human label, e.g. "Daily", "Weekdays", "Every 2 weeks on Mon, Thu"
+export const describeRecurrence = (rule) => {
+  let parsed;
+  try {
+    parsed = parseRecurrence(rule);
+  } catch {
+    return 'Repeats';
+  }
+  const { freq, interval, byDay, byMonthDay } = parsed;
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[freq];
+  const every = interval === 1
+    ? { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly' }[freq]
+    : `Every ${interval} ${unit}s`;
+
+  if (byDay) {
+    if (interval === 1 && byDay.join() === '1,2,3,4,5') return 'Weekdays';
+    return `${every} on ${byDay.map(d => WEEKDAY_NAMES[d - 1]).join(', ')}`;
+  }
+  if (byMonthDay) return `${every} on day ${byMonthDay}`;
+  return every;
+};
+
+// Spell out the weekday/day of month a rule defaults from its anchor, so a
+// copy created later (with a later anchor) keeps the original schedule
+export const pinRecurrence = (rule, anchor, timeZone) => {
+  const { freq, byDay, byMonthDay } = parseRecurrence(rule);
+  const anchorKey = toDateKey(anchor, timeZone);
+  if (freq === 'WEEKLY' && !byDay) {
+    return `${rule};BYDAY=${WEEKDAY_CODES[weekdayOfKey(anchorKey) - 1]}`;
+  }
+  if (freq === 'MONTHLY' && !byMonthDay) {
+    return `${rule};BYMONTHDAY=${Number(anchorKey.split('-')[2])}`;
+  }
+  return rule;
+};
+
+// Does the calendar day `dateKey` carry an occurrence? `anchorKey` is the
+// day the series started (the task's creation day), which fixes the
+// defaults (weekday, day of month) and where intervals count from.
+const occursOn = ({ freq, interval, byDay, byMonthDay }, dateKey, anchorKey) => {
+  if (dateKey < anchorKey) return false;
+
+  if (freq === 'DAILY') {
+    return daysBetween(anchorKey, dateKey) % interval === 0;
+  }
+
+  if (freq === 'WEEKLY') {
+    const weekday = weekdayOfKey(dateKey);
+    const days = byDay || [weekdayOfKey(anchorKey)];
+    if (!days.includes(weekday)) return false;
+    const anchorMonday = addDays(anchorKey, 1 - weekdayOfKey(anchorKey));
+    const monday = addDays(dateKey, 1 - weekday);
+    return (daysBetween(anchorMonday, monday) / 7) % interval === 0;
+  }
+
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [anchorYear, anchorMonth, anchorDay] = anchorKey.split('-').map(Number);
+  const months = (year - anchorYear) * 12 + (month - anchorMonth);
+  if (months % interval !== 0) return false;
+  // Day 31 in a 30-day month falls on its last day
+  const target = Math.min(byMonthDay || anchorDay, daysInMonth(year, month));
+  return day === target;
+};
+
+// Start of the first occurrence strictly after the zoned day of `after`,
+// as a Date; null if the rule is invalid
+export const getNextOccurrence = (rule, { after, anchor, timeZone }) => {
+  let parsed;
+  try {
+    parsed = parseRecurrence(rule);
+  } catch {
+    return null;
+  }
+
+  const anchorKey = toDateKey(anchor || after, timeZone);
+  let dateKey = addDays(toDateKey(after, timeZone), 1);
+  // Long enough for "every 12 months on the 31st"
+  for (let i = 0; i < 366 * parsed.interval + 31; i++) {
+    if (occursOn(parsed, dateKey, anchorKey)) {
+      return startOfZonedDay(dateKey, timeZone);
+    }
+    dateKey = addDays(dateKey, 1);
+  }
+  return null;
+};
+
+// "today", "tomorrow", a weekday within the week, else a short date
+export const formatOccurrence = (date, timeZone, now = new Date()) => {
+  const key = toDateKey(date, timeZone);
+  const today = toDateKey(now, timeZone);
+  const days = daysBetween(today, key);
+  if (days <= 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  const options = days < 7 ? { weekday: 'short' } : { month: 'short', day: 'numeric' };
+  return new Intl.DateTimeFormat(undefined, { ...options, timeZone }).format(new Date(date));
+};
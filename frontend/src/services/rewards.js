@@ -0,0 +1,120 @@
+import { getConversationSettings } from './conversationSettings';
+import { addDays, toDateKey } from '../lib/time';
+
+// Single source for how many PRF a task pays. The HUD (card badges, success
+// modal, totals), the payout transaction and reconciliation all use it.
+//
+// Rules (per conversation, under settings.rewardRules, shared by every
+// display of the group):
+//   type               'per_minute' (default) or 'flat'
+//   useBudgetCost      task.budget_cost wins over the computed base (default true)
+//   flatAmount         base reward for 'flat'
+//   ratePerMinute      base = ceil(minutes * rate) for 'per_minute'
+//   defaultMinutes     minutes assumed when estimated_time_minutes is missing
+//   priorityMultipliers { low, medium, high, urgent }
+//   streakBonus        { enabled, minDays, percent }: bonus when the completer
+//                      has completed tasks on `minDays` consecutive days
+//   minAmount / maxAmount  clamp the final amount (maxAmount null = no cap)
+
+export const DEFAULT_REWARD_RULES = {
+  type: 'per_minute',
+  useBudgetCost: true,
+  flatAmount: 3,
+  ratePerMinute: 0.1,
+  defaultMinutes: 30,
+  priorityMultipliers: { low: 1, medium: 1, high: 1, urgent: 1 },
+  streakBonus: { enabled: false, minDays: 3, percent: 10 },
+  minAmount: 1,
+  maxAmount: null
+};
+
+export const getRewardRules = (conversationId) => {
+  const stored = getConversationSettings(conversationId).rewardRules || {};
+  return {
+    ...DEFAULT_REWARD_RULES,
+    ...stored,
+    priorityMultipliers: { ...DEFAULT_REWARD_RULES.priorityMultipliers, ...stored.priorityMultipliers },
+    streakBonus: { ...DEFAULT_REWARD_RULES.streakBonus, ...stored.streakBonus }
+  };
+};
+
+// Consecutive days, ending today, on which `userId` completed a task. Days
+// are calendar days in the conversation's `timeZone` (the display's zone
+// when omitted). Today counts as completed since the streak is evaluated at
+// completion time.
+export const getCompletionStreak = (userId, completedTasks = [], now = new Date(), timeZone) => {
+  const days = new Set(
+    completedTasks
+      .filter(t => t.completed_by_user_id === userId && t.updated_at)
+      .map(t => toDateKey(t.updated_at, timeZone))
+  );
+
+  let day = toDateKey(now, timeZone);
+  days.add(day);
+
+  let streak = 0;
+  while (days.has(day)) {
+    streak += 1;
+    day = addDays(day, -1);
+  }
+  return streak;
+};
+
+/**
+ * Reward for a task under the given rules.
+ *
+ * `context.completerId` + `context.completedTasks` enable the streak bonus
+ * (counted in `context.timeZone`); without them (e.g. on a task card) the
+ * base reward is returned.
+ * Returns { amount, breakdown } where breakdown lists each applied step.
+ */
+export const calculateReward = (task, rules = DEFAULT_REWARD_RULES, context = {}) => {
+  const breakdown = [];
+  let amount;
+
+  if (rules.useBudgetCost && task.budget_cost) {
+    amount = Number(task.budget_cost);
+    breakdown.push({ rule: 'budget_cost', amount });
+  } else if (rules.type === 'flat') {
+    amount = Number(rules.flatAmount);
+    breakdown.push({ rule: 'flat', amount });
+  } else {
+    const minutes = task.estimated_time_minutes || rules.defaultMinutes;
+    amount = Math.ceil(minutes * rules.ratePerMinute);
+    breakdown.push({ rule: 'per_minute', minutes, rate: rules.ratePerMinute, amount });
+  }
+
+  const multiplier = rules.priorityMultipliers?.[task.priority] ?? 1;
+  if (multiplier !== 1) {
+    amount = Math.round(amount * multiplier);
+    breakdown.push({ rule: 'priority', priority: task.priority, multiplier, amount });
+  }
+
+  const streakBonus = rules.streakBonus;
+  if (streakBonus?.enabled && context.completerId) {
+    const streak = getCompletionStreak(context.completerId, context.completedTasks, context.now, context.timeZone);
+    if (streak >= streakBonus.minDays) {
+      const bonus = Math.ceil(amount * streakBonus.percent / 100);
+      amount += bonus;
+      breakdown.push({ rule: 'streak', days: streak, bonus, amount });
+    }
+  }
+
+  const capped = Math.max(rules.minAmount ?? 0, rules.maxAmount != null ? Math.min(amount, rules.maxAmount) : amount);
+  if (capped !== amount) {
+    amount = capped;
+    breakdown.push({ rule: 'cap', amount });
+  }
+
+  return { amount, breakdown };
+};
+
+// Lowest and highest amount a completion of `task` can pay (streak bonus
+// depends on who completes it and when), used to validate ledger amounts
+export const getRewardRange = (task, rules = DEFAULT_REWARD_RULES) => {
+  const min = calculateReward(task, rules).amount;
+  const max = rules.streakBonus?.enabled
+    ? calculateReward(task, { ...rules, streakBonus: { ...rules.streakBonus, minDays: 0 } }, { completerId: 'any' }).amount
+    : min;
+  return { min, max };
+};
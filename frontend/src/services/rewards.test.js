@@ -0,0 +1,114 @@
+import { DEFAULT_REWARD_RULES, calculateReward, getCompletionStreak, getRewardRange } from './rewards';
+
+const SAM = 'sam';
+
+const rules = (overrides = {}) => ({ ...DEFAULT_REWARD_RULES, ...overrides });
+
+const task = (overrides = {}) => ({ id: 't1', priority: 'medium', estimated_time_minutes: 20, budget_cost: null, ...overrides });
+
+const completion = (updatedAt, userId = SAM) => ({ completed_by_user_id: userId, status: 'completed', updated_at: updatedAt });
+
+describe('calculateReward', () => {
+  it('pays the task\'s own reward when budget costs are used', () => {
+    const { amount, breakdown } = calculateReward(task({ budget_cost: 15 }), rules());
+
+    expect(amount).toBe(15);
+    expect(breakdown).toEqual([{ rule: 'budget_cost', amount: 15 }]);
+  });
+
+  it('ignores the task\'s own reward when budget costs are turned off', () => {
+    expect(calculateReward(task({ budget_cost: 15 }), rules({ useBudgetCost: false })).amount).toBe(2);
+  });
+
+  it('pays a flat amount', () => {
+    const { amount, breakdown } = calculateReward(task(), rules({ type: 'flat', flatAmount: 7 }));
+
+    expect(amount).toBe(7);
+    expect(breakdown).toEqual([{ rule: 'flat', amount: 7 }]);
+  });
+
+  it('pays per minute, rounding up', () => {
+    expect(calculateReward(task({ estimated_time_minutes: 25 }), rules({ ratePerMinute: 0.1 })).amount).toBe(3);
+  });
+
+  it('assumes the default minutes when a task has no estimate', () => {
+    const { amount, breakdown } = calculateReward(
+      task({ estimated_time_minutes: null }),
+      rules({ ratePerMinute: 0.25, defaultMinutes: 40 })
+    );
+
+    expect(amount).toBe(10);
+    expect(breakdown[0]).toEqual(expect.objectContaining({ rule: 'per_minute', minutes: 40 }));
+  });
+
+  it('applies the priority multiplier', () => {
+    const { amount, breakdown } = calculateReward(
+      task({ priority: 'urgent', budget_cost: 10 }),
+      rules({ priorityMultipliers: { ...DEFAULT_REWARD_RULES.priorityMultipliers, urgent: 1.5 } })
+    );
+
+    expect(amount).toBe(15);
+    expect(breakdown[1]).toEqual({ rule: 'priority', priority: 'urgent', multiplier: 1.5, amount: 15 });
+  });
+
+  it('adds the streak bonus once the completer reaches the streak', () => {
+    const streakRules = rules({ streakBonus: { enabled: true, minDays: 3, percent: 10 } });
+    const now = new Date('2024-03-12T12:00:00Z');
+    const completedTasks = [completion('2024-03-11T09:00:00Z'), completion('2024-03-10T09:00:00Z')];
+
+    const { amount, breakdown } = calculateReward(task({ budget_cost: 20 }), streakRules, {
+      completerId: SAM,
+      completedTasks,
+      now,
+      timeZone: 'UTC'
+    });
+
+    expect(amount).toBe(22);
+    expect(breakdown[1]).toEqual({ rule: 'streak', days: 3, bonus: 2, amount: 22 });
+  });
+
+  it('leaves out the streak bonus without a completer', () => {
+    const streakRules = rules({ streakBonus: { enabled: true, minDays: 1, percent: 50 } });
+
+    expect(calculateReward(task({ budget_cost: 20 }), streakRules).amount).toBe(20);
+  });
+
+  it('clamps the amount to the minimum and maximum', () => {
+    expect(calculateReward(task({ budget_cost: 100 }), rules({ maxAmount: 40 }))).toEqual({
+      amount: 40,
+      breakdown: [{ rule: 'budget_cost', amount: 100 }, { rule: 'cap', amount: 40 }]
+    });
+    expect(calculateReward(task({ estimated_time_minutes: 1 }), rules({ ratePerMinute: 0.1, minAmount: 5 })).amount).toBe(5);
+  });
+});
+
+describe('getCompletionStreak', () => {
+  it('counts consecutive days ending today, today included', () => {
+    const now = new Date('2024-03-12T12:00:00Z');
+    const completedTasks = [
+      completion('2024-03-11T09:00:00Z'),
+      completion('2024-03-09T09:00:00Z'),
+      completion('2024-03-10T09:00:00Z', 'jordan')
+    ];
+
+    expect(getCompletionStreak(SAM, completedTasks, now, 'UTC')).toBe(2);
+  });
+
+  it('counts days in the group\'s time zone', () => {
+    // 23:30 in New York on March 10th is already March 11th in UTC
+    const completedTasks = [completion('2024-03-11T03:30:00Z')];
+    const now = new Date('2024-03-11T20:00:00Z');
+
+    expect(getCompletionStreak(SAM, completedTasks, now, 'America/New_York')).toBe(2);
+    expect(getCompletionStreak(SAM, completedTasks, now, 'UTC')).toBe(1);
+  });
+});
+
+describe('getRewardRange', () => {
+  it('spans the base reward to the reward with the streak bonus', () => {
+    const streakRules = rules({ streakBonus: { enabled: true, minDays: 5, percent: 25 } });
+
+    expect(getRewardRange(task({ budget_cost: 20 }), streakRules)).toEqual({ min: 20, max: 25 });
+    expect(getRewardRange(task({ budget_cost: 20 }), rules())).toEqual({ min: 20, max: 20 });
+  });
+});
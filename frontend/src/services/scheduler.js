@@ -0,0 +1,123 @@
+import onFireAPI from './api';
+import { getNextOccurrence, pinRecurrence } from './recurrence';
+
+// Brings recurring tasks back. Once the next occurrence after a completion
+// has started (local midnight in the conversation's time zone), an open copy
+// of the task is created. The completed task itself is left alone rather
+// than reset, so its payout, reconciliation and gallery entry stay intact.
+
+const CHECK_INTERVAL = 60 * 1000;
+// Passes in between only read rows changed since the last one; a full read
+// this often drops tasks that were deleted or stopped repeating
+const FULL_REFRESH_INTERVAL = 60 * 60 * 1000;
+
+// Copies carry the id of their series in series_id: the id of the task the
+// series started with. The starter itself has none, so its own id is the key.
+const seriesKey = (task) => task.series_id || task.id;
+
+// When a completed recurring task comes back
+export const getReopenTime = (task, timeZone) =>
+  getNextOccurrence(task.recurrence_rule, { after: task.updated_at, anchor: task.created_at, timeZone });
+
+// Next time an open recurring task comes round (after today)
+export const getUpcomingOccurrence = (task, timeZone, now = new Date()) =>
+  getNextOccurrence(task.recurrence_rule, { after: now, anchor: task.created_at, timeZone });
+
+// Completed recurring tasks whose next occurrence has started and that have
+// no open copy yet (only the latest completion of each series counts).
+// Returns [{ task, seriesId, occurrenceAt }].
+export const getDueRecurrences = (tasks, timeZone, now = new Date()) => {
+  const recurring = tasks.filter(t => t.recurrence_rule);
+  const openSeries = new Set(recurring.filter(t => t.status !== 'completed').map(seriesKey));
+
+  const latest = new Map();
+  recurring
+    .filter(t => t.status === 'completed')
+    .forEach(task => {
+      const key = seriesKey(task);
+      const current = latest.get(key);
+      if (!current || new Date(task.updated_at) > new Date(current.updated_at)) {
+        latest.set(key, task);
+      }
+    });
+
+  return [...latest.entries()]
+    .filter(([key]) => !openSeries.has(key))
+    .map(([seriesId, task]) => ({ task, seriesId, occurrenceAt: getReopenTime(task, timeZone) }))
+    .filter(({ occurrenceAt }) => occurrenceAt && occurrenceAt <= now);
+};
+
+// Recurring tasks of one conversation as last read from the server, for
+// runRecurrenceScheduler to keep up to date between passes
+export const createRecurringTaskCache = () => ({ tasks: new Map(), cursor: null, refreshedAt: 0 });
+
+// Bring the cache up to date: everything changed since its cursor, or
+// everything when it is empty or due for a full read
+const refreshCache = async (cache, conversationId, now) => {
+  const full = !cache.cursor || now - cache.refreshedAt >= FULL_REFRESH_INTERVAL;
+  const rows = await onFireAPI.getRecurringTasks(conversationId, { since: full ? null : cache.cursor });
+  if (full) {
+    cache.tasks.clear();
+    cache.refreshedAt = now.getTime();
+  }
+  (rows || []).forEach(task => {
+    cache.tasks.set(task.id, task);
+    if (task.updated_at && (!cache.cursor || task.updated_at > cache.cursor)) cache.cursor = task.updated_at;
+  });
+  return [...cache.tasks.values()];
+};
+
+// One pass: re-read the conversation's recurring tasks from the server
+// (another display may have created the copy already) and create the
+// missing copies. Two displays racing on the same occurrence insert the same
+// (series_id, occurrence_at), so only one copy is made. With a `cache` from
+// createRecurringTaskCache only the rows changed since the last pass are
+// read. Resolves with the tasks this display created.
+export const runRecurrenceScheduler = async (conversationId, timeZone, now = new Date(), cache = null) => {
+  if (onFireAPI.getOfflineState().offline) return [];
+
+  const tasks = cache
+    ? await refreshCache(cache, conversationId, now)
+    : await onFireAPI.getRecurringTasks(conversationId);
+  const due = getDueRecurrences(tasks || [], timeZone, now);
+  const created = [];
+
+  for (const { task, seriesId, occurrenceAt } of due) {
+    try {
+      const copy = await onFireAPI.cloneRecurringTask({
+        ...task,
+        recurrence_rule: pinRecurrence(task.recurrence_rule, task.created_at, timeZone)
+      }, { seriesId, occurrenceAt: occurrenceAt.toISOString() });
+      if (!copy) continue;
+      console.log(`🔁 Recurring task "${task.title}" is back`, copy);
+      created.push(copy);
+    } catch (error) {
+      console.error(`Error recreating recurring task "${task.title}":`, error);
+    }
+  }
+  return created;
+};
+
+// Run now and then every minute. `getTimeZone` is read on every pass so a
+// changed conversation time zone applies right away. Returns stop().
+export const startRecurrenceScheduler = (conversationId, { getTimeZone, onCreated }) => {
+  const cache = createRecurringTaskCache();
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const created = await runRecurrenceScheduler(conversationId, getTimeZone(), new Date(), cache);
+      if (created.length > 0) onCreated?.(created);
+    } catch (error) {
+      console.error('Recurrence scheduler pass failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, CHECK_INTERVAL);
+  return () => clearInterval(timer);
+};
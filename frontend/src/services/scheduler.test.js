@@ -0,0 +1,117 @@
+import onFireAPI from './api';
+import { createRecurringTaskCache, runRecurrenceScheduler } from './scheduler';
+import { startMockApiServer } from '../testUtils/mockApiServer';
+import { setMockApiBaseUrl } from '../testUtils/mockConfig';
+
+const { USERS, CONVERSATIONS, MOCK_PASSWORD } = require('../../plugins/mock-backend/fixtures');
+
+jest.mock('./config', () => require('../testUtils/mockConfig'));
+
+const WALK_THE_DOG_ID = 'c0000000-0000-4000-8000-000000000002';
+const DAY = 24 * 3600 * 1000;
+
+let mockServer;
+
+const serverTasks = () => mockServer.backend.getState().tasks;
+const seriesTasks = () => serverTasks().filter(task => task.id === WALK_THE_DOG_ID || task.series_id === WALK_THE_DOG_ID);
+
+// The daily task was completed two days ago, so today's copy is due
+const completeTwoDaysAgo = (task) => {
+  Object.assign(task, {
+    status: 'completed',
+    completed_by_user_id: USERS.jordan,
+    progress_percentage: 100,
+    updated_at: new Date(Date.now() - 2 * DAY).toISOString()
+  });
+};
+
+beforeAll(async () => {
+  mockServer = await startMockApiServer();
+  setMockApiBaseUrl(mockServer.baseUrl);
+});
+
+afterAll(() => mockServer.close());
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  mockServer.backend.reset();
+  await onFireAPI.login('alex@example.com', MOCK_PASSWORD);
+});
+
+afterEach(() => {
+  onFireAPI.logout();
+  jest.restoreAllMocks();
+});
+
+describe('runRecurrenceScheduler', () => {
+  it('creates one open copy tagged with its series and occurrence', async () => {
+    completeTwoDaysAgo(serverTasks().find(task => task.id === WALK_THE_DOG_ID));
+
+    const created = await runRecurrenceScheduler(CONVERSATIONS.family, 'UTC');
+
+    expect(created).toEqual([
+      expect.objectContaining({ title: 'Walk the dog', status: 'not_started', series_id: WALK_THE_DOG_ID })
+    ]);
+    expect(created[0].occurrence_at).toEqual(expect.any(String));
+    expect(await runRecurrenceScheduler(CONVERSATIONS.family, 'UTC')).toEqual([]);
+    expect(seriesTasks()).toHaveLength(2);
+  });
+
+  it('creates a single copy when two displays run at the same time', async () => {
+    completeTwoDaysAgo(serverTasks().find(task => task.id === WALK_THE_DOG_ID));
+
+    const results = await Promise.all([
+      runRecurrenceScheduler(CONVERSATIONS.family, 'UTC'),
+      runRecurrenceScheduler(CONVERSATIONS.family, 'UTC')
+    ]);
+
+    expect(results.flat()).toHaveLength(1);
+    expect(seriesTasks().filter(task => task.status === 'not_started')).toHaveLength(1);
+  });
+
+  it('follows the series id when a copy is renamed', async () => {
+    completeTwoDaysAgo(serverTasks().find(task => task.id === WALK_THE_DOG_ID));
+    const [copy] = await runRecurrenceScheduler(CONVERSATIONS.family, 'UTC');
+    Object.assign(serverTasks().find(task => task.id === copy.id), { title: 'Walk Rex' });
+
+    expect(await runRecurrenceScheduler(CONVERSATIONS.family, 'UTC')).toEqual([]);
+  });
+
+  it('keeps two series with the same title apart', async () => {
+    const walk = serverTasks().find(task => task.id === WALK_THE_DOG_ID);
+    // A second dog, walked on its own schedule; the first one is still open
+    const otherWalk = { ...walk, id: 'c0000000-0000-4000-8000-0000000000a1', created_at: new Date().toISOString() };
+    completeTwoDaysAgo(otherWalk);
+    serverTasks().push(otherWalk);
+
+    const created = await runRecurrenceScheduler(CONVERSATIONS.family, 'UTC');
+
+    expect(created).toEqual([expect.objectContaining({ title: 'Walk the dog', series_id: otherWalk.id })]);
+  });
+
+  it('only reads tasks changed since the previous pass', async () => {
+    const getRecurringTasks = jest.spyOn(onFireAPI, 'getRecurringTasks');
+    const cache = createRecurringTaskCache();
+    const later = new Date(Date.now() + 2 * DAY);
+
+    expect(await runRecurrenceScheduler(CONVERSATIONS.family, 'UTC', later, cache)).toEqual([]);
+    // Completed on another display after the first pass
+    await onFireAPI.updateTask(WALK_THE_DOG_ID, { status: 'completed', completed_by_user_id: USERS.jordan, progress_percentage: 100 });
+    const created = await runRecurrenceScheduler(CONVERSATIONS.family, 'UTC', new Date(later.getTime() + 60 * 1000), cache);
+
+    expect(getRecurringTasks.mock.calls.map(([, options]) => options.since)).toEqual([null, expect.any(String)]);
+    await expect(getRecurringTasks.mock.results[1].value).resolves.toEqual([expect.objectContaining({ id: WALK_THE_DOG_ID })]);
+    expect(created).toEqual([expect.objectContaining({ series_id: WALK_THE_DOG_ID })]);
+  });
+
+  it('only asks the server for recurring tasks', async () => {
+    const getTasks = jest.spyOn(onFireAPI, 'getTasks');
+    const getRecurringTasks = jest.spyOn(onFireAPI, 'getRecurringTasks');
+
+    await runRecurrenceScheduler(CONVERSATIONS.family, 'UTC');
+
+    expect(getTasks).not.toHaveBeenCalled();
+    expect(getRecurringTasks).toHaveBeenCalledWith(CONVERSATIONS.family);
+  });
+});
@@ -0,0 +1,45 @@
+import onFireAPI from './api';
+import { getConversationSettings, pickSharedSettings, replaceSharedSettings } from './conversationSettings';
+
+// Group-wide settings (reward rules, currency, time zone, policies) are kept
+// in the conversation_settings table, so every display of a group pays and
+// shows amounts the same way. conversationSettings.js holds this display's
+// copy, which the rest of the app reads synchronously; these helpers keep
+// that copy in step with the server.
+
+// Fetch the group's settings into the local copy. A group that never saved
+// any is seeded with what this display has, so settings made before they
+// were shared are not lost.
+export const loadSharedSettings = async (conversationId, { signal } = {}) => {
+  const row = await onFireAPI.getConversationSettingsRow(conversationId, { signal });
+  if (row) {
+    replaceSharedSettings(conversationId, row.settings);
+    return row.settings;
+  }
+
+  const local = pickSharedSettings(getConversationSettings(conversationId));
+  if (Object.keys(local).length > 0) {
+    console.log('⚙️ Publishing this display\'s group settings for', conversationId);
+    try {
+      await saveSharedSettings(conversationId, local);
+    } catch (error) {
+      console.error('Could not publish group settings:', error);
+    }
+  }
+  return local;
+};
+
+// Save a change for every display of the group; rejects (leaving the local
+// copy as it was) when the server did not take it
+export const saveSharedSettings = async (conversationId, patch) => {
+  const row = await onFireAPI.saveConversationSettings(conversationId, pickSharedSettings(patch));
+  const settings = row?.settings || { ...pickSharedSettings(getConversationSettings(conversationId)), ...patch };
+  replaceSharedSettings(conversationId, settings);
+  return settings;
+};
+
+// A settings row pushed by the realtime channel
+export const applySharedSettingsRow = (row) => {
+  if (!row?.conversation_id) return;
+  replaceSharedSettings(row.conversation_id, row.settings || {});
+};
@@ -0,0 +1,95 @@
+import onFireAPI from './api';
+import { loadSharedSettings, saveSharedSettings } from './sharedSettings';
+import { getConversationSettings, updateConversationSettings } from './conversationSettings';
+import { getRewardRules } from './rewards';
+import { getConversationTimeZone, getGoals, setConversationGoals, setPersonGoals } from './goals';
+import { getCurrencySettings } from './currency';
+import { startMockApiServer } from '../testUtils/mockApiServer';
+import { setMockApiBaseUrl } from '../testUtils/mockConfig';
+
+const { USERS, CONVERSATIONS, MOCK_PASSWORD } = require('../../plugins/mock-backend/fixtures');
+
+jest.mock('./config', () => require('../testUtils/mockConfig'));
+
+let mockServer;
+
+const serverSettings = () => mockServer.backend.getState().conversation_settings
+  .find(row => row.conversation_id === CONVERSATIONS.family)?.settings;
+
+beforeAll(async () => {
+  mockServer = await startMockApiServer();
+  setMockApiBaseUrl(mockServer.baseUrl);
+});
+
+afterAll(() => mockServer.close());
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  mockServer.backend.reset();
+  await onFireAPI.login('alex@example.com', MOCK_PASSWORD);
+});
+
+afterEach(() => {
+  onFireAPI.logout();
+  localStorage.clear();
+  jest.restoreAllMocks();
+});
+
+describe('shared group settings', () => {
+  it('gives a second display the reward rules saved on the first', async () => {
+    await saveSharedSettings(CONVERSATIONS.family, { rewardRules: { type: 'flat', flatAmount: 8 } });
+
+    // A display that never saw the change
+    localStorage.clear();
+    await loadSharedSettings(CONVERSATIONS.family);
+
+    expect(getRewardRules(CONVERSATIONS.family)).toEqual(expect.objectContaining({ type: 'flat', flatAmount: 8 }));
+  });
+
+  it('gives every display the group\'s time zone', async () => {
+    await saveSharedSettings(CONVERSATIONS.family, { timezone: 'Pacific/Auckland' });
+
+    localStorage.clear();
+    await loadSharedSettings(CONVERSATIONS.family);
+
+    expect(getConversationTimeZone(CONVERSATIONS.family)).toBe('Pacific/Auckland');
+  });
+
+  it('gives every display the group\'s currency', async () => {
+    await saveSharedSettings(CONVERSATIONS.family, { currency: { code: 'EUR', fiat: null } });
+
+    localStorage.clear();
+    await loadSharedSettings(CONVERSATIONS.family);
+
+    expect(getCurrencySettings(CONVERSATIONS.family)).toEqual(expect.objectContaining({ code: 'EUR', fiat: null }));
+  });
+
+  it('gives every display the group\'s goals and per-person goals', async () => {
+    await setPersonGoals(CONVERSATIONS.family, USERS.sam, { daily: 3 });
+    await setConversationGoals(CONVERSATIONS.family, { daily: 20, weekly: 80 }, { clearPersonId: USERS.jordan });
+
+    localStorage.clear();
+    await loadSharedSettings(CONVERSATIONS.family);
+
+    expect(getGoals(CONVERSATIONS.family, USERS.jordan)).toEqual({ daily: 20, weekly: 80, monthly: 200 });
+    expect(getGoals(CONVERSATIONS.family, USERS.sam)).toEqual({ daily: 3, weekly: 80, monthly: 200 });
+  });
+
+  it('keeps display-only settings out of the shared row', async () => {
+    updateConversationSettings(CONVERSATIONS.family, { reversalPin: '1234' });
+
+    await saveSharedSettings(CONVERSATIONS.family, { requiresApproval: true });
+
+    expect(serverSettings()).toEqual({ requiresApproval: true });
+    expect(getConversationSettings(CONVERSATIONS.family)).toEqual({ reversalPin: '1234', requiresApproval: true });
+  });
+
+  it('publishes this display\'s settings when the group has none yet', async () => {
+    updateConversationSettings(CONVERSATIONS.family, { undoSeconds: 10, reversalPin: '1234' });
+
+    await loadSharedSettings(CONVERSATIONS.family);
+
+    expect(serverSettings()).toEqual({ undoSeconds: 10 });
+  });
+});
@@ -0,0 +1,94 @@
+import { sortTasks, filterTasksByDue } from './tasks';
+
+// Filter bar state for the task board, persisted in localStorage so a kiosk
+// reboots into the same view. The current filters are kept per conversation
+// (assignees differ between groups); named presets belong to the display.
+
+const FILTERS_KEY = 'onfire_task_filters';
+
+export const DEFAULT_FILTERS = {
+  search: '',
+  priorities: [],
+  assigneeIds: [],
+  minReward: '',
+  maxReward: '',
+  due: 'all',
+  sort: 'newest'
+};
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(FILTERS_KEY) || '{}');
+  } catch {
+    return {};
+  }
+};
+
+const writeAll = (data) => {
+  localStorage.setItem(FILTERS_KEY, JSON.stringify(data));
+};
+
+export const getSavedFilters = (conversationId) => ({
+  ...DEFAULT_FILTERS,
+  ...(readAll().current?.[conversationId] || {})
+});
+
+export const saveFilters = (conversationId, filters) => {
+  const all = readAll();
+  writeAll({ ...all, current: { ...(all.current || {}), [conversationId]: filters } });
+};
+
+export const getFilterPresets = () => readAll().presets || [];
+
+// Saving under an existing name replaces that preset. Returns the new list.
+export const saveFilterPreset = (name, filters) => {
+  const all = readAll();
+  const presets = (all.presets || []).filter(p => p.name !== name);
+  const next = [...presets, { name, filters }];
+  writeAll({ ...all, presets: next });
+  return next;
+};
+
+export const deleteFilterPreset = (name) => {
+  const all = readAll();
+  const next = (all.presets || []).filter(p => p.name !== name);
+  writeAll({ ...all, presets: next });
+  return next;
+};
+
+export const isFiltering = (filters) =>
+  !!filters.search.trim() ||
+  filters.priorities.length > 0 ||
+  filters.assigneeIds.length > 0 ||
+  filters.minReward !== '' ||
+  filters.maxReward !== '' ||
+  filters.due !== 'all';
+
+const matchesSearch = (task, search) => {
+  const terms = search.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+  const text = `${task.title || ''} ${task.description || ''}`.toLowerCase();
+  return terms.every(term => text.includes(term));
+};
+
+// Filtered and sorted copy of `tasks`. `getReward(task)` gives the amount
+// used by the reward range and the reward sort.
+export const applyTaskFilters = (tasks, filters, getReward, now = new Date()) => {
+  const min = filters.minReward === '' ? null : Number(filters.minReward);
+  const max = filters.maxReward === '' ? null : Number(filters.maxReward);
+
+  const filtered = filterTasksByDue(tasks, filters.due, now).filter(task => {
+    if (!matchesSearch(task, filters.search)) return false;
+    if (filters.priorities.length > 0 && !filters.priorities.includes(task.priority || 'medium')) return false;
+    if (filters.assigneeIds.length > 0 &&
+        !(task.assignee_user_ids || []).some(id => filters.assigneeIds.includes(id))) return false;
+    if (min !== null || max !== null) {
+      const reward = getReward(task);
+      if (min !== null && reward < min) return false;
+      if (max !== null && reward > max) return false;
+    }
+    return true;
+  });
+
+  return sortTasks(filtered, filters.sort, getReward);
+};
@@ -0,0 +1,287 @@
+import { getConversationSettings } from './conversationSettings';
+import { validateRecurrence } from './recurrence';
+
+// Task model helpers shared by the API layer and the HUD editors.
+
+export const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+export const EMPTY_TASK_INPUT = {
+  title: '',
+  description: '',
+  cover_image_url: '',
+  estimated_time_minutes: '',
+  budget_cost: '',
+  priority: 'medium',
+  assignee_user_ids: [],
+  recurrence_rule: '',
+  due_date: ''
+};
+
+// ISO timestamp <-> value of a datetime-local input (the display's local time)
+const pad = (n) => String(n).padStart(2, '0');
+
+export const toDateTimeInput = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return '';
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const fromDateTimeInput = (value) => (value ? new Date(value).toISOString() : null);
+
+// Editable fields of an existing task, as form values
+export const taskToInput = (task) => ({
+  ...EMPTY_TASK_INPUT,
+  title: task.title || '',
+  description: task.description || '',
+  cover_image_url: task.cover_image_url || '',
+  estimated_time_minutes: task.estimated_time_minutes ?? '',
+  budget_cost: task.budget_cost ?? '',
+  priority: task.priority || 'medium',
+  assignee_user_ids: task.assignee_user_ids || [],
+  recurrence_rule: task.recurrence_rule || '',
+  due_date: toDateTimeInput(task.due_date)
+});
+
+const isValidUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch {
+    return false;
+  }
+};
+
+// Returns { field: message } for every invalid field; empty object when valid
+export const validateTaskInput = (input) => {
+  const errors = {};
+  const title = (input.title || '').trim();
+
+  if (!title) {
+    errors.title = 'Title is required';
+  } else if (title.length > 200) {
+    errors.title = 'Title must be 200 characters or less';
+  }
+
+  if (input.description && input.description.length > 2000) {
+    errors.description = 'Description must be 2000 characters or less';
+  }
+
+  if (input.cover_image_url && !isValidUrl(input.cover_image_url)) {
+    errors.cover_image_url = 'Cover image must be an http(s) URL';
+  }
+
+  const minutes = input.estimated_time_minutes;
+  if (minutes !== '' && minutes != null && (!Number.isInteger(Number(minutes)) || Number(minutes) <= 0)) {
+    errors.estimated_time_minutes = 'Estimated time must be a whole number of minutes';
+  }
+
+  const budget = input.budget_cost;
+  if (budget !== '' && budget != null && (Number.isNaN(Number(budget)) || Number(budget) < 0)) {
+    errors.budget_cost = 'Reward must be zero or more';
+  }
+
+  if (input.priority && !TASK_PRIORITIES.includes(input.priority)) {
+    errors.priority = `Priority must be one of ${TASK_PRIORITIES.join(', ')}`;
+  }
+
+  if (input.due_date && Number.isNaN(new Date(input.due_date).getTime())) {
+    errors.due_date = 'Due date is not a valid date';
+  }
+
+  if (input.recurrence_rule) {
+    const recurrenceError = validateRecurrence(input.recurrence_rule);
+    if (recurrenceError) errors.recurrence_rule = recurrenceError;
+  }
+
+  return errors;
+};
+
+// Form values -> columns for the tasks table (empty optional fields -> null)
+export const inputToTaskColumns = (input) => ({
+  title: input.title.trim(),
+  description: input.description?.trim() || null,
+  cover_image_url: input.cover_image_url?.trim() || null,
+  estimated_time_minutes: input.estimated_time_minutes === '' || input.estimated_time_minutes == null
+    ? null
+    : Number(input.estimated_time_minutes),
+  budget_cost: input.budget_cost === '' || input.budget_cost == null ? null : Number(input.budget_cost),
+  priority: input.priority || 'medium',
+  assignee_user_ids: input.assignee_user_ids || [],
+  recurrence_rule: input.recurrence_rule?.trim() || null,
+  due_date: fromDateTimeInput(input.due_date)
+});
+
+export class TaskValidationError extends Error {
+  constructor(errors) {
+    super(Object.values(errors).join('. '));
+    this.name = 'TaskValidationError';
+    this.errors = errors;
+  }
+}
+
+// Status workflow
+
+export const TASK_STATUSES = ['not_started', 'in_progress', 'blocked', 'awaiting_approval', 'completed'];
+
+export const TASK_STATUS_LABELS = {
+  not_started: 'To do',
+  in_progress: 'In progress',
+  blocked: 'Blocked',
+  awaiting_approval: 'Awaiting approval',
+  completed: 'Completed'
+};
+
+// Label of a status; a status this display does not know yet (e.g. added by
+// a newer client) is shown as stored instead of failing the render
+export const getStatusLabel = (status) => TASK_STATUS_LABELS[status || 'not_started'] || status;
+
+// Board column of a task; unknown statuses are listed under "To do" so the
+// task stays visible
+export const getBoardStatus = (status) => (TASK_STATUSES.includes(status) ? status : 'not_started');
+
+// Allowed moves between statuses. Completion always needs a completer, so
+// it goes through the completion flow rather than a plain status change.
+export const STATUS_TRANSITIONS = {
+  not_started: ['in_progress', 'blocked', 'awaiting_approval', 'completed'],
+  in_progress: ['not_started', 'blocked', 'awaiting_approval', 'completed'],
+  blocked: ['not_started', 'in_progress'],
+  awaiting_approval: ['in_progress', 'completed'],
+  completed: ['not_started', 'in_progress']
+};
+
+// Statuses a person can pick directly on the board (no completer or approver involved)
+export const MANUAL_STATUSES = ['not_started', 'in_progress', 'blocked'];
+
+export const canTransition = (fromStatus, toStatus) =>
+  (STATUS_TRANSITIONS[fromStatus || 'not_started'] || []).includes(toStatus);
+
+export class TaskTransitionError extends Error {
+  constructor(fromStatus, toStatus) {
+    super(`A task cannot move from "${getStatusLabel(fromStatus)}" to "${getStatusLabel(toStatus)}"`);
+    this.name = 'TaskTransitionError';
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+  }
+}
+
+export const assertTransition = (fromStatus, toStatus) => {
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new TaskTransitionError(fromStatus || 'not_started', toStatus);
+  }
+};
+
+export const clampProgress = (value) => Math.min(100, Math.max(0, Math.round(Number(value) || 0)));
+
+// Columns to write when `task` moves to `toStatus`. Work already done is
+// kept: only not_started resets progress, and a reopened task stays below 100%.
+export const getTransitionColumns = (task, toStatus, { progress, completedBy } = {}) => {
+  const current = clampProgress(progress ?? task.progress_percentage);
+  const columns = { status: toStatus };
+
+  if (toStatus === 'completed') {
+    columns.progress_percentage = 100;
+    columns.completed_by_user_id = completedBy ?? task.completed_by_user_id ?? null;
+  } else if (toStatus === 'not_started') {
+    columns.progress_percentage = 0;
+    columns.completed_by_user_id = null;
+  } else {
+    columns.progress_percentage = Math.min(current, 99);
+    if (completedBy !== undefined) {
+      columns.completed_by_user_id = completedBy;
+    } else if (task.status === 'completed') {
+      columns.completed_by_user_id = null;
+    }
+  }
+  return columns;
+};
+
+// Due dates
+
+export const DUE_SOON_HOURS = 24;
+
+// 'overdue' | 'due_soon' (within DUE_SOON_HOURS) | 'upcoming', or null for
+// tasks without a due date and completed tasks
+export const getDueState = (task, now = new Date()) => {
+  if (!task.due_date || task.status === 'completed') return null;
+  const msLeft = new Date(task.due_date) - now;
+  if (msLeft < 0) return 'overdue';
+  if (msLeft <= DUE_SOON_HOURS * 3600 * 1000) return 'due_soon';
+  return 'upcoming';
+};
+
+// Sorting and filtering of the task board
+
+const PRIORITY_RANK = { urgent: 0, high: 1, medium: 2, low: 3 };
+
+export const TASK_SORTS = {
+  newest: 'Newest',
+  due: 'Due date',
+  priority: 'Priority',
+  reward: 'Reward'
+};
+
+export const DUE_FILTERS = {
+  all: 'All tasks',
+  due_soon: 'Due soon',
+  overdue: 'Overdue'
+};
+
+const byCreatedDesc = (a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0);
+
+// Returns a sorted copy. `getReward(task)` supplies the amount for 'reward'.
+export const sortTasks = (tasks, sort, getReward) => {
+  const sorted = [...tasks];
+  if (sort === 'due') {
+    // Tasks without a due date go last
+    sorted.sort((a, b) => {
+      if (!a.due_date || !b.due_date) return (a.due_date ? -1 : b.due_date ? 1 : 0) || byCreatedDesc(a, b);
+      return new Date(a.due_date) - new Date(b.due_date);
+    });
+  } else if (sort === 'priority') {
+    sorted.sort((a, b) =>
+      (PRIORITY_RANK[a.priority] ?? PRIORITY_RANK.medium) - (PRIORITY_RANK[b.priority] ?? PRIORITY_RANK.medium) || byCreatedDesc(a, b));
+  } else if (sort === 'reward') {
+    sorted.sort((a, b) => getReward(b) - getReward(a) || byCreatedDesc(a, b));
+  } else {
+    sorted.sort(byCreatedDesc);
+  }
+  return sorted;
+};
+
+// 'due_soon' keeps overdue tasks too: they are the most urgent of all
+export const filterTasksByDue = (tasks, filter, now = new Date()) => {
+  if (filter === 'overdue') return tasks.filter(t => getDueState(t, now) === 'overdue');
+  if (filter === 'due_soon') return tasks.filter(t => ['overdue', 'due_soon'].includes(getDueState(t, now)));
+  return tasks;
+};
+
+// Assignment
+
+// settings.assigneesOnly: only a task's assignees may be credited with it.
+// Tasks without assignees stay open to everyone.
+export const isAssigneesOnly = (conversationId) => !!getConversationSettings(conversationId).assigneesOnly;
+
+// settings.requiresApproval: completions wait in awaiting_approval until the
+// task creator approves them, and only approval pays out.
+export const isApprovalRequired = (conversationId) => !!getConversationSettings(conversationId).requiresApproval;
+
+export const isAllowedCompleter = (task, userId, assigneesOnly) => {
+  const assignees = task.assignee_user_ids || [];
+  if (!assigneesOnly || assignees.length === 0) return true;
+  return assignees.includes(userId);
+};
+
+// People who can be credited with a task: assignees first (in assignment
+// order), then everyone else unless the assignees-only policy applies
+export const getCompletionCandidates = (task, people, assigneesOnly) => {
+  const assignees = task.assignee_user_ids || [];
+  const assigned = assignees
+    .map(id => people.find(p => p.id === id))
+    .filter(Boolean)
+    .map(person => ({ ...person, assigned: true }));
+  const others = people
+    .filter(p => !assignees.includes(p.id))
+    .filter(p => isAllowedCompleter(task, p.id, assigneesOnly));
+  return [...assigned, ...others];
+};
@@ -0,0 +1,24 @@
+import { TaskTransitionError, assertTransition, getBoardStatus, getStatusLabel } from './tasks';
+
+describe('task statuses', () => {
+  it('labels known statuses and a missing one as to do', () => {
+    expect(getStatusLabel('in_progress')).toBe('In progress');
+    expect(getStatusLabel(null)).toBe('To do');
+  });
+
+  it('shows an unknown status as stored', () => {
+    expect(getStatusLabel('archived')).toBe('archived');
+    expect(() => assertTransition('archived', 'completed')).toThrow(
+      new TaskTransitionError('archived', 'completed')
+    );
+    expect(new TaskTransitionError('archived', 'completed').message).toBe(
+      'A task cannot move from "archived" to "Completed"'
+    );
+  });
+
+  it('puts tasks with an unknown status in the to do column', () => {
+    expect(getBoardStatus('blocked')).toBe('blocked');
+    expect(getBoardStatus('archived')).toBe('not_started');
+    expect(getBoardStatus(undefined)).toBe('not_started');
+  });
+});
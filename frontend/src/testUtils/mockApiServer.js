@@ -0,0 +1,29 @@
+// Runs the mock OnFire backend (plugins/mock-backend) on a random local
+// port, so service tests talk to a real PostgREST-shaped HTTP API and its
+// realtime WebSocket
+import http from 'http';
+
+const { createMockBackend } = require('../../plugins/mock-backend/mock-server');
+
+export const startMockApiServer = async (options = {}) => {
+  const backend = createMockBackend({ log: () => {}, ...options });
+  const server = http.createServer(backend.handle);
+  backend.realtime.attach(server, '/realtime');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    backend,
+    server,
+    baseUrl: `http://127.0.0.1:${port}`,
+    socketUrl: `ws://127.0.0.1:${port}/realtime`,
+    close: () => new Promise(resolve => {
+      backend.realtime.close();
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+// Nothing listens here: requests fail like they do offline
+export const UNREACHABLE_URL = 'http://127.0.0.1:9';
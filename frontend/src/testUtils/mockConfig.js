@@ -0,0 +1,14 @@
+// Stand-in for src/services/config so service tests can point the API
+// client at a local mock server:
+//
+//   jest.mock('./config', () => require('../testUtils/mockConfig'));
+//   setMockApiBaseUrl(mockServer.baseUrl);
+let apiBaseUrl = null;
+
+export const setMockApiBaseUrl = (url) => {
+  apiBaseUrl = url;
+};
+
+export const getApiBaseUrl = () => apiBaseUrl;
+
+export const getConfig = () => ({ apiBaseUrl });
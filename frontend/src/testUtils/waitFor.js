@@ -0,0 +1,9 @@
+// Resolves once `predicate` (which may be async) returns something truthy;
+// rejects after `timeout` ms
+export const waitFor = async (predicate, timeout = 2000) => {
+  const started = Date.now();
+  while (!(await predicate())) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};